@@ -0,0 +1,10 @@
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  testMatch: ['**/*.test.js', '**/*.test.ts'],
+  transform: {
+    '^.+\\.ts$': ['ts-jest', { diagnostics: false }]
+  },
+  collectCoverageFrom: ['src/**/*.{js,ts}'],
+  coverageReporters: ['json']
+};
@@ -4,6 +4,8 @@ const express = require('express');
 const { config, validateConfig } = require('./src/config/env');
 const createApp = require('./src/app');
 const connectDB = require('./src/config/db');
+const GameService = require('./src/services/gameService');
+const ChallengeService = require('./src/services/challengeService');
 console.log("BOOT OK");
 
 // Validate configuration
@@ -30,6 +32,16 @@ server.on('request', app);
 // Connect to MongoDB
 connectDB();
 
+// Scoring and challenge validation run in worker processes (worker.js), unless configured to run here as well
+const scoringJobs = new GameService().jobService;
+const challengeValidations = new ChallengeService();
+if (config.jobs.processInApi) {
+  scoringJobs.start();
+  challengeValidations.startValidations();
+} else {
+  console.log('📭 Scoring jobs and challenge validations are run by `npm run worker`, start at least one worker (or set JOBS_IN_API=true)');
+}
+
 // Start server
 const PORT = config.port;
 const HOST = config.host;
@@ -51,6 +63,8 @@ server.listen(PORT, HOST, () => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+  scoringJobs.stop();
+  challengeValidations.stopValidations();
   
   server.close((err) => {
     if (err) {
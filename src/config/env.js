@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server configuration
@@ -25,6 +26,77 @@ const config = {
     cleanupInterval: parseInt(process.env.CLEANUP_INTERVAL) || 300000 // 5 minutes in ms
   },
   
+  // Test runner configuration
+  runner: {
+    type: process.env.TEST_RUNNER || 'native' // 'native' (dotnet/maven toolchains, 'dotnet' still accepted) or 'fake' (no SDK needed)
+  },
+
+  // Scoring job queue (see src/services/jobService.js)
+  jobs: {
+    // Scoring normally runs in `npm run worker`; set JOBS_IN_API=true to also work the queue in the API process
+    processInApi: process.env.JOBS_IN_API === 'true',
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 3,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 120000, // running jobs without a heartbeat are requeued
+    waitTimeoutMs: parseInt(process.env.JOB_WAIT_TIMEOUT_MS) || 900000, // how long endGame waits for scoring
+    progressToRoom: process.env.SCORING_PROGRESS_TO_ROOM === 'true', // also send scoring_progress to the whole room
+    shutdownTimeoutMs: parseInt(process.env.JOB_SHUTDOWN_TIMEOUT_MS) || 300000 // how long a stopping worker lets jobs finish
+  },
+
+  // Per-challenge prebuilt C# projects (restored packages + compiled base code)
+  buildCache: {
+    enabled: process.env.BUILD_CACHE !== 'false',
+    dir: process.env.BUILD_CACHE_DIR || path.join(process.cwd(), 'temp', 'build-cache'),
+    lockTimeoutMs: parseInt(process.env.BUILD_CACHE_LOCK_TIMEOUT_MS) || 120000,
+    maxMb: parseInt(process.env.BUILD_CACHE_MAX_MB) || 2048 // least recently used challenges are evicted above this
+  },
+
+  // Scoring profile of rooms that do not pick one (see src/utils/scoringProfiles.js)
+  scoring: {
+    defaultProfile: process.env.SCORING_PROFILE || 'v3'
+  },
+
+  // Mutation testing, the budget is copied onto every new game
+  mutation: {
+    cache: process.env.MUTATION_CACHE !== 'false', // reuse results for the same code, tests and lines
+    cacheDir: process.env.MUTATION_CACHE_DIR || path.join(process.cwd(), 'temp', 'mutation-cache'),
+    coveredLinesOnly: process.env.MUTATION_COVERED_LINES_ONLY === 'true', // only mutate lines the player's tests run
+    maxMutants: parseInt(process.env.MUTATION_MAX_MUTANTS) || 0, // mutants scored per player, 0 = all
+    timeoutMs: parseInt(process.env.MUTATION_TIMEOUT_MS) || 300000
+  },
+
+  // Challenges added through the authoring API (see src/services/challengeService.js)
+  challenges: {
+    minMutationScore: parseInt(process.env.CHALLENGE_MIN_MUTATION_SCORE) || 60 // reference tests must kill this share of mutants
+  },
+
+  // Sandbox for player code (see src/services/sandbox.js)
+  sandbox: {
+    // 'docker', 'process' (needs root) or 'none' (local development only)
+    driver: process.env.SANDBOX_DRIVER || (process.env.NODE_ENV === 'production' ? 'process' : 'none'),
+    image: process.env.SANDBOX_IMAGE || 'test-royale-runner',
+    uidBase: parseInt(process.env.SANDBOX_UID_BASE) || 20000,
+    uidPoolSize: parseInt(process.env.SANDBOX_UID_POOL_SIZE) || 1000,
+    // uids are leased per workspace, every process of a host must share this folder
+    uidLeaseDir: process.env.SANDBOX_UID_LEASE_DIR || path.join(process.cwd(), 'temp', 'sandbox-uids'),
+    uidLeaseMs: parseInt(process.env.SANDBOX_UID_LEASE_MS) || 3600000, // leases not renewed for this long are taken over
+    memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 1024,
+    // process driver: address space (prlimit --as), only an approximate memory limit: runtimes reserve far more
+    // than they use, so it is set well above memoryMb and the heaps are held under memoryMb by runtime options
+    addressSpaceMb: parseInt(process.env.SANDBOX_ADDRESS_SPACE_MB) || (parseInt(process.env.SANDBOX_MEMORY_MB) || 1024) * 8,
+    cpus: parseFloat(process.env.SANDBOX_CPUS) || 1,
+    cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS) || 300,
+    pids: parseInt(process.env.SANDBOX_PIDS) || 256,
+    diskMb: parseInt(process.env.SANDBOX_DISK_MB) || 512,
+    timeoutMs: parseInt(process.env.SANDBOX_TIMEOUT_MS) || 60000,
+    path: process.env.SANDBOX_PATH || process.env.PATH,
+    // Read-only package caches shared with every run
+    nugetPackages: process.env.SANDBOX_NUGET_PACKAGES || '',
+    mavenRepository: process.env.SANDBOX_MAVEN_REPOSITORY || '',
+    sharedPaths: (process.env.SANDBOX_SHARED_PATHS || '').split(',').filter(Boolean)
+  },
+
   // Socket.io configuration
   socket: {
     cors: {
@@ -79,6 +151,13 @@ function validateConfig() {
   if (required.length > 0) {
     throw new Error(`Missing required environment variables: ${required.join(', ')}`);
   }
+
+  // Player code runs unconfined without a sandbox, fine on a laptop, not on a server
+  const env = process.env.NODE_ENV || 'development';
+  if (config.sandbox.driver === 'none' && env !== 'development' && env !== 'test') {
+    console.warn('⚠️⚠️⚠️ SANDBOX_DRIVER=none: player code runs UNSANDBOXED with the server\'s user, files and network');
+    console.warn(`⚠️⚠️⚠️ NODE_ENV is "${env}", set SANDBOX_DRIVER=process or docker (see README, Sandbox)`);
+  }
 }
 
 /**
@@ -1,6 +1,8 @@
 const CodeService = require('../services/codeService');
+const ChallengeService = require('../services/challengeService');
 const path = require('path'); // Add this import
 const codeService = new CodeService();
+const challengeService = new ChallengeService(codeService);
 
 class CodeController {
    constructor() {}
@@ -11,29 +13,39 @@ class CodeController {
  * @param {object} res
  * @param {object} req.body
  * @param {string} req.body.code 
+ * @param {Array<{ path: string, content: string }>} [req.body.files] - Multi-file challenge, used instead of code
  * @param {string} req.body.tests
  * @param {string} req.body.playerId 
- * @returns {object}
+ * @param {string} [req.body.language] - csharp (default) or java
+ * @returns {object} run result; on build failures `diagnostics` lists
+ *   { file, line, column, severity, code, message } and `summary` the readable form
  */
 compileAndRunCSharpCode = async (req, res) => {
   try {
-    const { code, tests, playerId } = req.body;
+    const { code, files, tests, playerId, language = 'csharp' } = req.body;
     const tempRootDir = path.join(process.cwd(), 'temp');
 
     // 1️⃣ Compile and run the C# code
     const result = await codeService.compileAndRunCSharpCode(
-      code,
+      Array.isArray(files) && files.length > 0 ? files : code,
       tests,
       playerId,
-      tempRootDir
+      tempRootDir,
+      language
     );
 
     // ✅ Return the cleaned result with stats
     res.json({
       success: result.success,
+      error: result.error,
+      errorType: result.errorType,
+      violation: result.violation,
+      diagnostics: result.diagnostics || [],
+      summary: result.summary,
       stdout: result.stdout,
       stderr: result.stderr,
       stats: result.stats,
+      tests: result.tests || [],
       executionTime: result.executionTime
     });
     
@@ -61,23 +73,31 @@ compileAndRunCSharpCode = async (req, res) => {
  * @param {object} req.body
  * @param {string} req.body.code 
  * @param {string} req.body.playerTestDir
+ * @param {string} [req.body.language] - csharp (default) or java
  * @returns 
  */
 generateCoverageReport = async (req,res )=>{
   try {
-    const { playerTestDir  } = req.body;
+    const { playerTestDir, language = 'csharp' } = req.body;
     if(!playerTestDir){
       return res.status(400).json({ error: "Missing playerTestDir"});
     }
    
     
-    const result = await codeService.generateCoverageReport(playerTestDir);
+    const result = await codeService.generateCoverageReport(playerTestDir, language);
     res.json(
       {
         lineCoverage: result.lineCoverage,
         coverageSummary: result.coverageSummary,
         lineRate: result.lineRate,
-        branchRate: result.branchRate
+        branchRate: result.branchRate,
+        coverageByFile: result.coverageByFile,
+        methodCoverage: result.methodCoverage,
+        untestedMethods: result.untestedMethods,
+        publicMethodCoverage: result.publicMethodCoverage,
+        error: result.error,
+        errorType: result.errorType,
+        violation: result.violation
       }
     )
 
@@ -90,11 +110,15 @@ generateCoverageReport = async (req,res )=>{
 }
 
 
+  /**
+   * @route GET /api/code/:id
+   * @query {string} [mode] - bugHunt serves the code with the seeded bugs, like bug-hunt games
+   */
 getChallenge = async (req, res) => {
 
 try{
   const { id } = req.params;
-  const result = await codeService.getChallenge(id);
+  const result = await codeService.getChallenge(id, { mode: req.query.mode });
   if (!result.success) {
     return res.status(404).json({ error: result.error });
   }
@@ -104,14 +128,104 @@ catch(error){
     return res.status(500).json({ error: error.message });
 }
 }
+  /**
+   * @route GET /api/code/challenges
+   * @desc Browse playable challenges with play statistics (times played, average scores, best player)
+   * @query {number} [page], [limit] - Pagination, 20 per page by default
+   * @query {string} [search] - Text in the title or description
+   * @query {string} [tags], [difficulty] - Comma separated, any of them
+   * @query {string} [language], [sort] - sort is newest (default), oldest or title
+   * @query {boolean} [mine] - The caller's own challenges, drafts and retired ones included
+   */
+listChallenges = async (req, res) => {
+  try {
+    const result = await challengeService.listChallenges(req.query, req.playerId);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+  /**
+   * @route GET /api/code/challenges/:id
+   * @desc The caller's own challenge with its validation results (author only)
+   */
+getOwnChallenge = async (req, res) => {
+  try {
+    const result = await challengeService.getOwnChallenge(req.playerId, req.params.id);
+    if (!result.success) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+  /**
+   * @route POST /api/code/challenges
+   * @desc Create a challenge and queue the validation pipeline, `challenge.validation` is pending until a worker ran it
+   * @body {string} title
+   * @body {string} [baseCode] - Or `files` for multi-file challenges
+   * @body {string} referenceTests - Author's tests, must pass and reach the minimum mutation score
+   * @body {string} [testTemplate], [language], [description], [time], [reference], [bugVariants], [seededBugs]
+   */
+createChallenge = async (req, res) => {
+  try {
+    const result = await challengeService.createChallenge(req.playerId, req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+  /**
+   * @route PUT /api/code/challenges/:id
+   * @desc Edit a challenge (author only), code changes queue the validation pipeline again
+   */
+updateChallenge = async (req, res) => {
+  try {
+    const result = await challengeService.updateChallenge(req.playerId, req.params.id, req.body);
+    if (!result.success) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+  /**
+   * @route DELETE /api/code/challenges/:id
+   * @desc Delete a challenge (author only) no running game uses
+   */
+deleteChallenge = async (req, res) => {
+  try {
+    const result = await challengeService.deleteChallenge(req.playerId, req.params.id);
+    if (!result.success) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
   /**
    * @route POST /api/code/calculateTestLines
-   * @desc Calculates total number of non-empty, non-comment lines in a test file
-   * @body {string} testCode - Absolute path to player's test file
+   * @desc Test quality of a player's tests: line count, test methods, assertions, duplicated tests and a 0-100 score
+   * @body {string} code - Player's test code
+   * @body {string} [language] - csharp (default), java, javascript or typescript
    */
   async calculateTestLines(req, res) {
     try {
-      const { code } = req.body;
+      const { code, language = 'csharp' } = req.body;
 
       if (!code) {
         return res.status(400).json({
@@ -120,8 +234,8 @@ catch(error){
         });
       }
 
-      const result = await codeService.calculateTestLines(code);
-      return res.status(200).json(result);
+      const result = await codeService.calculateTestLines(code, language);
+      return res.status(result.success ? 200 : 400).json(result);
     } catch (error) {
       console.error("Controller error in calculateTestLines:", error);
       return res.status(500).json({
@@ -136,10 +250,11 @@ catch(error){
    * @route POST /api/code/generateMutationReport
    * @desc Parses mutation report JSON and returns mutation testing summary
    * @body {string} playerTestsDir - Path to PlayerTests directory
+   * @body {string} [language] - csharp (default) or java
    */
   async generateMutationReport(req, res) {
     try {
-      const { playerTestsDir ,projectDir} = req.body;
+      const { playerTestsDir ,projectDir, language = 'csharp' } = req.body;
 
       if (!playerTestsDir) {
         return res.status(400).json({
@@ -157,7 +272,7 @@ catch(error){
 
 
 
-      const report = await codeService.generateMutationReport(playerTestsDir,projectDir);
+      const report = await codeService.generateMutationReport(playerTestsDir, projectDir, language);
 
       return res.status(200).json({
         success: true,
@@ -71,16 +71,29 @@ catch (err) {
 }
 
 
+/**
+ * POST /api/game/calculate-player-data
+ * Queue a scoring run of the player's last submission, answers 202 with the job to poll at GET /api/game/jobs/:id
+ * @param {Object} req.body.gameId - ID of the game
+ * @param {Object} req.body.playerId - ID of the player, must be the authenticated player
+ */
 calculatePlayerData = async (req, res) => {
   try {
     const { gameId, playerId } = req.body;
     if (!gameId || !playerId) {
       return res.status(400).json({ success: false, error: 'Missing fields' });
     }
-  
-    const result = await gameService.calculatePlayerData(gameId, playerId);
+    if (playerId.toString() !== req.playerId.toString()) {
+      return res.status(403).json({ success: false, error: 'Not your submission' });
+    }
 
-    res.json(result);
+    // Scoring can take minutes and runs in the worker, the request does not wait for it
+    const queued = await gameService.enqueueScoring(gameId, playerId);
+    if (!queued.success) {
+      return res.status(400).json(queued);
+    }
+
+    res.status(202).json({ success: true, pending: true, job: queued.job });
 
   } catch (err) {
     console.error("Error in calculatePlayerData:", err);
@@ -107,6 +120,99 @@ getGameResults = async (req, res) => {
 
 
 
+/**
+ * GET /api/game/:gameId/suspicions
+ * Anti-cheat reports of the game's players, host only
+ * @param {Object} req.params.gameId - ID of the game
+ */
+getSuspicionReports = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const result = await gameService.getSuspicionReports(gameId, req.playerId);
+    if (!result.success) {
+      return res.status(result.error === 'Game not found' ? 404 : 403).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error in getSuspicionReports:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /api/game/:gameId/suspicions/:playerId/review
+ * Clear or confirm a suspicious submission, host only
+ * @param {Object} req.params.gameId - ID of the game
+ * @param {Object} req.params.playerId - ID of the reviewed player
+ * @param {string} req.body.status - cleared or confirmed
+ * @param {string} [req.body.note] - Host's note
+ */
+reviewSuspicion = async (req, res) => {
+  try {
+    const { gameId, playerId } = req.params;
+    const { status, note } = req.body;
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'Missing status' });
+    }
+
+    const result = await gameService.reviewSuspicion(gameId, req.playerId, playerId, status, note);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error in reviewSuspicion:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /api/game/jobs
+ * Queue a scoring run, poll GET /api/game/jobs/:id for the result. Own submissions only, while the game is playing
+ * @param {Object} req.body.gameId - ID of the game
+ * @param {Object} req.body.playerId - ID of the player, must be the authenticated player
+ * @param {string} [req.body.testCode] - Tests to score, defaults to the last submission
+ */
+enqueueScoringJob = async (req, res) => {
+  try {
+    const { gameId, playerId, testCode } = req.body;
+    if (!gameId || !playerId) {
+      return res.status(400).json({ success: false, error: 'Missing fields' });
+    }
+    if (playerId.toString() !== req.playerId.toString()) {
+      return res.status(403).json({ success: false, error: 'Not your submission' });
+    }
+
+    const result = await gameService.enqueueScoring(gameId, playerId, testCode);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(202).json(result);
+  } catch (err) {
+    console.error("Error in enqueueScoringJob:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * GET /api/game/jobs/:id
+ * Status of a scoring job, `result` holds the player data once it has finished, own jobs only
+ */
+getScoringJob = async (req, res) => {
+  try {
+    const result = await gameService.getScoringJob(req.params.id, req.playerId);
+    if (!result.success) {
+      return res.status(result.error === 'Job not found' ? 404 : 403).json(result);
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error("Error in getScoringJob:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
   endGame =async (req, res) => {
     const { gameId } = req.params;
 
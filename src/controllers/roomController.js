@@ -1,5 +1,7 @@
 // controllers/roomController.js
 const RoomService = require('../services/roomService');
+const { listScoringProfiles } = require('../utils/scoringProfiles');
+const { config } = require('../config/env');
 const roomService = new RoomService();
 
 class RoomController {
@@ -98,6 +100,29 @@ class RoomController {
     }
   }
 
+  // POST /api/rooms/settings
+  async updateRoomSettings(req, res) {
+    try {
+      const playerId = req.playerId;
+      const { roomCode, settings } = req.body;
+      if (!roomCode || !settings) return res.status(400).json({ error: 'Missing roomCode or settings' });
+      const result = await roomService.updateRoomSettings(playerId, roomCode, settings);
+      if (!result.success) return res.status(400).json({ error: result.error });
+      return res.status(200).json(result.room);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  // GET /api/rooms/scoring-profiles
+  async getScoringProfiles(req, res) {
+    try {
+      return res.status(200).json({ success: true, profiles: listScoringProfiles(), defaultProfile: config.scoring.defaultProfile });
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
   // GET /api/rooms
   async getAllRooms(req, res) {
     try {
@@ -4,8 +4,70 @@ const { Schema } = mongoose;
 const codeSchema = new Schema({
   title: { type: String, required: true },
   description: String,
-  baseCode: { type: String, required: true },  // code students write
+  baseCode: { type: String, required: function () { return !(this.files && this.files.length); } },  // code students write
+  files: [{                                     // multi-file challenges, written into PlayerCode instead of baseCode
+    _id: false,
+    path: { type: String, required: true },     // relative to the source root, e.g. Models/IAccount.cs
+    content: { type: String, default: '' }
+  }],
   testTemplate: { type: String },              // starter code for students to write tests
+  referenceTests: { type: String },             // author's tests, never sent to players, must reach the minimum mutation score
+  reference: {                                  // correct implementation, never sent to players
+    baseCode: String,                           // single file challenges: the whole file
+    files: [{ _id: false, path: String, content: String }] // multi-file challenges: the files that differ
+  },
+  bugVariants: [{                               // known-buggy versions player tests should fail on, never sent to players
+    _id: false,
+    id: { type: String, required: true },       // e.g. "off-by-one-withdraw"
+    title: String,
+    description: String,
+    baseCode: String,
+    files: [{ _id: false, path: String, content: String }]
+  }],
+  seededBugs: {                                 // served instead of baseCode/files in bug-hunt games: the code with every bug variant's bug
+    baseCode: String,
+    files: [{ _id: false, path: String, content: String }]
+  },
+  language: { type: String, enum: ['csharp', 'java', 'javascript', 'typescript'], default: 'csharp' }, // picks the test runner
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+  tags: [{ type: String, lowercase: true, trim: true }], // topics, e.g. collections, strings, recursion
+  estimatedMinutes: { type: Number, min: 1 },   // how long a player needs to test it well
+  status: { type: String, enum: ['draft', 'published', 'retired'] }, // only published challenges are picked, unset counts as published
+  mutantCatalogue: {                           // every mutant of the code, numbered in the order they were first seen
+    sourceHash: String,                         // code the mutants belong to, a new hash starts the list over
+    complete: { type: Boolean, default: false }, // a full mutation run listed every mutant, scoring runs are measured against them
+    mutants: [{
+      _id: false,
+      key: String,                              // file + location + mutation, same mutant in every player's run
+      fileName: String,
+      mutation: String,
+      replacement: String,
+      originalCode: String,
+      location: {
+        start: { line: Number, column: Number },
+        end: { line: Number, column: Number }
+      },
+      line: Number
+    }]
+  },
+  author: { type: Schema.Types.ObjectId, ref: 'Player' }, // challenges added through the authoring API
+  validation: {                                 // last run of the authoring checks, only passed challenges are playable
+    status: { type: String, enum: ['pending', 'passed', 'failed'] }, // unset for challenges inserted directly
+    runId: String,                              // queued run, names its temp folders, newer edits queue a new one
+    requestedStatus: String,                    // status the author asked for, applied once the run passes
+    queuedAt: Date,
+    lockedAt: Date,                             // heartbeat of the worker running it, stale runs are picked up again
+    attempts: Number,
+    checkedAt: Date,
+    mutationScore: Number,                      // of the reference tests on the base code
+    steps: [{
+      _id: false,
+      name: String,                             // baseCode | testTemplate | referenceTests | mutationScore | bugVariants | pipeline
+      status: { type: String, enum: ['passed', 'failed', 'skipped'] },
+      message: String,
+      diagnostics: { type: Array, default: undefined } // compiler output of failed builds
+    }]
+  },
   createdAt: { type: Date, default: Date.now },
   time : {type: Number ,default: 1000 }
 });
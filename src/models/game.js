@@ -11,13 +11,18 @@ const gameSchema = new Schema({
     submission: {
       testCode: { type: String, default: ''  },
       submittedAt: { type: Date, default: Date.now },
-      stats : {type:Object}
+      stats : {type:Object},
+      tests: { type: Array, default: [] } // per-test results: name, outcome, duration, errorMessage, stackTrace, stdout
     },
     totalScore: { type: Number, default: 0 },
     branchCoverage: { type: Number, default: 0 },
     lineCoverage: { type : Array, default: [] },
     lineRate: { type: Number, default: 0 },
     coverageSummary: { type: Number, default: 0 },
+    coverageByFile: { type: Object, default: {} }, // file path -> coverageSummary, lineRate, branchRate
+    methodCoverage: { type: Array, default: [] }, // per class: name, lineRate, branchRate, complexity, methods
+    untestedMethods: { type: Array, default: [] }, // public methods no test reached
+    publicMethodCoverage: { type: Number, default: 0 },
     mutation: {
       score: { type: Number, default: 0 },
       total: { type: Number, default: 0 },
@@ -25,9 +30,25 @@ const gameSchema = new Schema({
       survived: { type: Number, default: 0 },
       timeout: { type: Number, default: 0 },
       noCoverage: { type: Number, default: 0 },
+      ignored: { type: Number, default: 0 }, // mutants left out by the mutation budget
+      files: { type: Object, default: {} }, // file path -> summary of that file's mutants
+      tests: { type: Object, default: {} }, // test id -> test name
      details: [
   {
     mutantId: String,
+    catalogueId: Number,             // number of the mutant in the challenge's mutant catalogue
+    mutation: String,                // mutator name
+    fileName: String,                // challenge file path
+    originalCode: String,            // code the mutant replaced
+    replacement: String,
+    location: {
+      start: { line: Number, column: Number },
+      end: { line: Number, column: Number } // end column exclusive
+    },
+    line: Number,
+    statusReason: String,
+    killedBy: [String],              // test ids, see mutation.tests
+    coveredBy: [String],
     status: {
       type: String,
 enum: [
@@ -47,7 +68,29 @@ enum: [
   },
     badgesEarned: [{ type: Schema.Types.ObjectId, ref: 'Badge' }],
     testLines: { type: Number, default: 0 },
+    testQuality: { type: Object, default: {} }, // score, test and assertion counts, duplicated tests
+    testSmells: { type: Array, default: [] }, // smell, test, line, severity, message
+    bugReport: {                                // player tests run on the reference implementation and bug variants
+      referencePassed: Boolean,                 // unset when the challenge has no reference implementation
+      wrongTests: [String],                     // tests failing on the reference implementation
+      caught: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      bugs: { type: Array, default: [] }        // id, title, caught, caughtBy, caughtAt (first submission catching it), error
+    },
+    suspicion: {                                // anti-cheat checks of the last scored submission
+      level: { type: String, enum: ['none', 'medium', 'high'], default: 'none' },
+      score: { type: Number, default: 0 },
+      flags: { type: Array, default: [] },      // type, severity, line, evidence, message
+      checkedAt: Date,
+      review: {
+        status: { type: String, enum: ['none', 'pending', 'cleared', 'confirmed'], default: 'none' },
+        reviewedBy: { type: Schema.Types.ObjectId, ref: 'Player' },
+        reviewedAt: Date,
+        note: String
+      }
+    },
     executionTime:  {type: Number, default: 0 },
+    scoreBreakdown: { type: Array, default: [] }, // points per component of the game's scoring profile
     feedback: { type: String, default: '' },
   }],
   gameState: { 
@@ -56,6 +99,19 @@ enum: [
     default: 'waiting' 
   },
 
+  // classic: tests are scored on coverage and mutants, bugHunt: players hunt the seeded bugs of the served code
+  mode: { type: String, enum: ['classic', 'bugHunt'], default: 'classic' },
+
+  // Scoring profile version the players were scored with (see src/utils/scoringProfiles.js)
+  scoringProfile: { type: String, default: 'v1' },
+
+  // Mutation testing limits of this game, copied from config.mutation when it starts
+  mutationBudget: {
+    coveredLinesOnly: { type: Boolean, default: false }, // only mutate lines the player's tests run
+    maxMutants: { type: Number, default: 0 }, // mutants scored per player, 0 = all
+    timeoutMs: { type: Number, default: 300000 }
+  },
+
   startedAt: { type: Date, default: Date.now },
   finishedAt: { type: Date },
   winner: { type: Schema.Types.ObjectId, ref: 'Player' },
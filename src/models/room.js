@@ -8,7 +8,18 @@ const roomSchema = new Schema({
   maxPlayers: { type: Number, default: 4 },
   players: [playerInRoomSchema],
   gameState: { type: String, enum: ['waiting', 'playing', 'finished'], default: 'waiting' },
-  gameData: { type: Schema.Types.Mixed, default: {} }
+  gameData: { type: Schema.Types.Mixed, default: {} },
+  settings: {                                      // chosen by the host before the game starts
+    scoringProfile: { type: String },              // scoring profile version, config default when empty
+    mode: { type: String, enum: ['classic', 'bugHunt'], default: 'classic' }, // bugHunt serves code with seeded bugs
+    challengeId: { type: Schema.Types.ObjectId, ref: 'Code' }, // picked by the host, filters are ignored then
+    filters: {                                     // which challenges startGame may pick, empty = any
+      difficulty: [String],                        // any of these
+      tags: [String],                              // at least one of these
+      language: String,
+      maxEstimatedMinutes: Number
+    }
+  }
 }, { timestamps: true });
 
 module.exports = mongoose.model('Room', roomSchema);
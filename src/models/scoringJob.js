@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One scoring run (compile, tests, coverage, mutation) of a player's submission
+const scoringJobSchema = new Schema({
+  gameId: { type: Schema.Types.ObjectId, ref: 'Game', required: true },
+  playerId: { type: Schema.Types.ObjectId, ref: 'Player', required: true },
+  roomCode: { type: String }, // room that receives progress events when enabled
+  testCode: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  result: { type: Schema.Types.Mixed, default: null }, // calculatePlayerData response
+  progress: [{                  // stage boundaries, relayed to sockets as scoring_progress
+    _id: false,
+    stage: { type: String },    // prepare | build | test | coverage | mutation | score
+    status: { type: String, enum: ['started', 'completed', 'failed'] },
+    elapsedMs: { type: Number },
+    partial: { type: Schema.Types.Mixed },
+    at: { type: Date, default: Date.now }
+  }],
+  error: { type: String, default: '' },
+  errorType: { type: String },
+  lockedAt: { type: Date },     // refreshed while running, stale locks are requeued
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+}, { timestamps: true });
+
+scoringJobSchema.index({ status: 1, createdAt: 1 });
+scoringJobSchema.index({ gameId: 1, playerId: 1, status: 1 });
+
+module.exports = mongoose.model('ScoringJob', scoringJobSchema);
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const CodeController = require('../controllers/codeController');
+const authMiddleware = require('../middleware/authMiddleware');
 
 const codeController = new CodeController();
 
+router.get('/challenges', authMiddleware, codeController.listChallenges);
+router.post('/challenges', authMiddleware, codeController.createChallenge);
+router.get('/challenges/:id', authMiddleware, codeController.getOwnChallenge);
+router.put('/challenges/:id', authMiddleware, codeController.updateChallenge);
+router.delete('/challenges/:id', authMiddleware, codeController.deleteChallenge);
 router.get('/:id', codeController.getChallenge);
 router.post("/compileAndRunCSharpCode", codeController.compileAndRunCSharpCode);
 router.post("/generateCoverageReport",codeController.generateCoverageReport);
@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const GameController = require('../controllers/gameController');
+const authMiddleware = require('../middleware/authMiddleware');
 
 const gameController = new GameController();
 
 router.post("/submitTestCode",gameController.submitTestCode);
+router.post("/jobs", authMiddleware, gameController.enqueueScoringJob);
+router.get("/jobs/:id", authMiddleware, gameController.getScoringJob);
+router.get("/:gameId/suspicions", authMiddleware, gameController.getSuspicionReports);
+router.post("/:gameId/suspicions/:playerId/review", authMiddleware, gameController.reviewSuspicion);
 router.get("/:gameId",gameController.getGame);
 router.get("/:playerId/:gameId/lastSubmission",gameController.getLastSubmission);
-router.post("/calculate-player-data", gameController.calculatePlayerData);
+router.post("/calculate-player-data", authMiddleware, gameController.calculatePlayerData);
 router.post('/end/:gameId', gameController.endGame);
 router.get('/results/:gameId', gameController.getGameResults);
 module.exports = router;
\ No newline at end of file
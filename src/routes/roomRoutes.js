@@ -7,6 +7,8 @@ const authMiddleware = require('../middleware/authMiddleware');
 router.post('/create', authMiddleware, roomController.createRoom.bind(roomController));
 router.post('/join', authMiddleware, roomController.joinRoom.bind(roomController));
 router.post('/leave', authMiddleware, roomController.leaveRoom.bind(roomController));
+router.get('/scoring-profiles', authMiddleware, roomController.getScoringProfiles.bind(roomController));
+router.post('/settings', authMiddleware, roomController.updateRoomSettings.bind(roomController));
 router.get('/:code', authMiddleware, roomController.getRoom.bind(roomController));
 router.get('/player/current', authMiddleware, roomController.getPlayerRoom.bind(roomController));
 router.post('/ready', authMiddleware, roomController.setPlayerReady.bind(roomController));
@@ -0,0 +1,589 @@
+const crypto = require('crypto');
+const path = require('path');
+const Code = require('../models/code');
+const Game = require('../models/game');
+const Player = require('../models/player');
+const CodeService = require('./codeService');
+const { config } = require('../config/env');
+const { parseList } = require('../utils/listParam');
+
+// Fields an author may set, everything else (catalogue, validation...) is managed by the server
+const EDITABLE_FIELDS = [
+  'title', 'description', 'baseCode', 'files', 'testTemplate', 'referenceTests',
+  'language', 'time', 'reference', 'bugVariants', 'seededBugs',
+  'difficulty', 'tags', 'estimatedMinutes', 'status'
+];
+
+// Sort orders of the challenge list
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  title: { title: 1, _id: 1 }
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Changing any of these runs the checks again
+const CHECKED_FIELDS = ['baseCode', 'files', 'testTemplate', 'referenceTests', 'language', 'reference', 'bugVariants'];
+
+/**
+ * Challenge authoring: create, edit and delete `Code` challenges.
+ *
+ * Every saved challenge goes through the validation pipeline: the base code and
+ * test template must compile, the author's reference tests must pass and reach
+ * config.challenges.minMutationScore, and when bug variants are given the
+ * reference tests must pass on the reference implementation and catch every bug.
+ * Saving only queues the run (`validation.status` pending), workers claim it like
+ * scoring jobs and store the results on the challenge. Games only pick published challenges that passed.
+ */
+class ChallengeService {
+  constructor(codeService = new CodeService(), options = config.jobs) {
+    this.codeService = codeService;
+    this.options = options;
+    this.validating = false;
+    this.timer = null;
+  }
+
+  /**
+   * Browse challenges, with play statistics from finished games
+   * @param {Object} query - Query string
+   * @param {number} [query.page] - 1-based, default 1
+   * @param {number} [query.limit] - Page size, default 20, at most 100
+   * @param {string} [query.search] - Text to find in the title or description
+   * @param {string|string[]} [query.tags] - Any of these tags, comma separated or repeated
+   * @param {string|string[]} [query.difficulty] - Any of these difficulties
+   * @param {string} [query.language]
+   * @param {string} [query.sort] - newest (default), oldest or title
+   * @param {boolean} [query.mine] - The caller's own challenges whatever their status, instead of the playable ones
+   * @param {string} [playerId] - Player asking, needed for `mine`
+   * @returns {Object} { success, challenges, pagination: { page, limit, total, pages } }
+   */
+  async listChallenges(query = {}, playerId = null) {
+    try {
+      const page = Math.max(parseInt(query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+      const mine = query.mine === true || query.mine === 'true';
+
+      const filter = mine
+        ? { author: playerId }
+        : { status: { $nin: ['draft', 'retired'] }, 'validation.status': { $nin: ['pending', 'failed'] } };
+
+      if (query.search) {
+        const pattern = new RegExp(String(query.search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ title: pattern }, { description: pattern }];
+      }
+      const tags = parseList(query.tags).map(tag => tag.toLowerCase());
+      if (tags.length) filter.tags = { $in: tags };
+      const difficulty = parseList(query.difficulty);
+      if (difficulty.length) filter.difficulty = { $in: difficulty };
+      if (query.language) filter.language = query.language === 'csharp' ? { $in: ['csharp', null] } : query.language;
+
+      const [total, challenges] = await Promise.all([
+        Code.countDocuments(filter),
+        Code.find(filter)
+          .select('title description language difficulty tags estimatedMinutes author status validation.status createdAt')
+          .sort(SORTS[query.sort] || SORTS.newest)
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('author', 'name')
+          .lean()
+      ]);
+
+      const stats = await this.challengeStats(challenges.map(c => c._id));
+
+      return {
+        success: true,
+        challenges: challenges.map(c => ({
+          id: c._id,
+          title: c.title,
+          description: c.description,
+          language: c.language || 'csharp',
+          difficulty: c.difficulty,
+          tags: c.tags || [],
+          estimatedMinutes: c.estimatedMinutes,
+          author: c.author ? { playerId: c.author._id, name: c.author.name } : null,
+          createdAt: c.createdAt,
+          ...(mine ? { status: c.status || 'published', validationStatus: c.validation?.status } : {}),
+          stats: stats.get(c._id.toString()) || { timesPlayed: 0, averageScore: null, averageMutationScore: null, bestPlayer: null }
+        })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Play statistics of challenges from finished games
+   * @param {Array} challengeIds - Code IDs
+   * @returns {Promise<Map<string, { timesPlayed: number, averageScore: number, averageMutationScore: number,
+   *   bestPlayer: { playerId: string, name: string, totalScore: number, gameId: string }|null }>>} keyed by challenge ID
+   */
+  async challengeStats(challengeIds) {
+    if (!challengeIds.length) return new Map();
+
+    const round = value => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+    const rows = await Game.aggregate([
+      { $match: { codeId: { $in: challengeIds }, gameState: 'finished' } },
+      { $unwind: '$players' },
+      { $sort: { 'players.totalScore': -1 } },
+      {
+        $group: {
+          _id: '$codeId',
+          games: { $addToSet: '$_id' },
+          averageScore: { $avg: '$players.totalScore' },
+          averageMutationScore: { $avg: '$players.mutation.score' },
+          best: { $first: { playerId: '$players.playerId', totalScore: '$players.totalScore', gameId: '$_id' } }
+        }
+      },
+      {
+        $lookup: { from: Player.collection.name, localField: 'best.playerId', foreignField: '_id', as: 'bestPlayer' }
+      },
+      {
+        $project: {
+          timesPlayed: { $size: '$games' },
+          averageScore: 1,
+          averageMutationScore: 1,
+          best: 1,
+          bestName: { $arrayElemAt: ['$bestPlayer.name', 0] }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), {
+      timesPlayed: row.timesPlayed,
+      averageScore: round(row.averageScore),
+      averageMutationScore: round(row.averageMutationScore),
+      bestPlayer: row.best
+        ? { playerId: row.best.playerId, name: row.bestName || 'Unknown Player', totalScore: round(row.best.totalScore), gameId: row.best.gameId }
+        : null
+    }]));
+  }
+
+  /**
+   * Challenge as its author sees it, with the validation results once the run finished
+   * @param {string} authorId - Player asking, must be the author
+   * @param {string} challengeId - Challenge ID
+   * @returns {Object} { success, challenge }, or { success: false, error, status }
+   */
+  async getOwnChallenge(authorId, challengeId) {
+    try {
+      const challenge = await Code.findById(challengeId);
+      if (!challenge) {
+        return { success: false, status: 404, error: 'Challenge not found' };
+      }
+      if (!challenge.author || challenge.author.toString() !== authorId.toString()) {
+        return { success: false, status: 403, error: 'Only the author can see this challenge' };
+      }
+      return { success: true, challenge: this._authorView(challenge) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a challenge and queue the checks. It starts as a draft unless `status` asks for published,
+   * which is applied once the checks pass
+   * @param {string} authorId - Player creating the challenge
+   * @param {Object} data - Challenge fields, see EDITABLE_FIELDS
+   * @returns {Object} { success, challenge, warning? } with `validation.status` pending, or { success: false, error }
+   *   `warning` tells why a requested status was not set yet
+   */
+  async createChallenge(authorId, data = {}) {
+    try {
+      const fields = this._pickFields(data);
+      const inputError = this._checkInput(fields, true);
+      if (inputError) {
+        return { success: false, error: inputError };
+      }
+
+      const { status = 'draft', ...rest } = fields;
+      const challenge = new Code({ ...rest, author: authorId, status: 'draft' });
+      this._queueValidation(challenge);
+      const schemaError = challenge.validateSync();
+      if (schemaError) {
+        return { success: false, error: schemaError.message };
+      }
+
+      const warning = this._applyStatus(challenge, status);
+      await challenge.save();
+      console.log(`📥 Queued validation of challenge ${challenge._id}`);
+      return { success: true, challenge: this._authorView(challenge), ...(warning ? { warning } : {}) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Edit a challenge, code changes queue the checks again
+   * @param {string} authorId - Player editing, must be the author
+   * @param {string} challengeId - Challenge ID
+   * @param {Object} data - Fields to change
+   * @returns {Object} { success, challenge, warning? }, or { success: false, error, status } (404 not found, 403 not the author)
+   */
+  async updateChallenge(authorId, challengeId, data = {}) {
+    try {
+      const challenge = await Code.findById(challengeId);
+      if (!challenge) {
+        return { success: false, status: 404, error: 'Challenge not found' };
+      }
+      if (!challenge.author || challenge.author.toString() !== authorId.toString()) {
+        return { success: false, status: 403, error: 'Only the author can edit this challenge' };
+      }
+
+      const { status, ...fields } = this._pickFields(data);
+      const inputError = this._checkInput({ status, ...fields }, false);
+      if (inputError) {
+        return { success: false, error: inputError };
+      }
+
+      challenge.set(fields);
+      // Challenges that did not pass are checked again on any edit
+      if (CHECKED_FIELDS.some(field => field in fields) || challenge.validation?.status !== 'passed') {
+        this._queueValidation(challenge, challenge.validation?.requestedStatus);
+      }
+      const schemaError = challenge.validateSync();
+      if (schemaError) {
+        return { success: false, error: schemaError.message };
+      }
+
+      const warning = status !== undefined ? this._applyStatus(challenge, status) : null;
+      await challenge.save();
+      return { success: true, challenge: this._authorView(challenge), ...(warning ? { warning } : {}) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a challenge that no running game uses
+   * @param {string} authorId - Player deleting, must be the author
+   * @param {string} challengeId - Challenge ID
+   * @returns {Object} { success }, or { success: false, error, status }
+   */
+  async deleteChallenge(authorId, challengeId) {
+    try {
+      const challenge = await Code.findById(challengeId).select('author');
+      if (!challenge) {
+        return { success: false, status: 404, error: 'Challenge not found' };
+      }
+      if (!challenge.author || challenge.author.toString() !== authorId.toString()) {
+        return { success: false, status: 403, error: 'Only the author can delete this challenge' };
+      }
+      if (await Game.exists({ codeId: challengeId, gameState: 'playing' })) {
+        return { success: false, status: 409, error: 'Challenge is used by a running game' };
+      }
+
+      await Code.deleteOne({ _id: challengeId });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Move a challenge to draft, published or retired. Only challenges that passed the checks can be published,
+   * while the checks are pending the request is kept and applied when they pass. The caller saves the challenge
+   * @param {Object} challenge - Code document
+   * @param {string} status - Requested status
+   * @returns {string|null} why the status was not set, null when it was
+   * @private
+   */
+  _applyStatus(challenge, status) {
+    const validation = challenge.validation?.status;
+    if (validation === 'pending') {
+      challenge.validation.requestedStatus = status === 'published' ? status : undefined;
+    }
+    if (status === 'published' && validation === 'pending') {
+      return `Validation is pending, it stays ${challenge.status || 'draft'} and is published once it passes`;
+    }
+    if (status === 'published' && validation !== 'passed') {
+      return `Only challenges that passed validation can be published, it stays ${challenge.status || 'draft'}`;
+    }
+    challenge.status = status;
+    return null;
+  }
+
+  /**
+   * Reset the validation to a new queued run, replacing any run of older code
+   * @param {Object} challenge - Code document, saved by the caller
+   * @param {string} [requestedStatus] - Status to apply once the run passes
+   * @private
+   */
+  _queueValidation(challenge, requestedStatus) {
+    challenge.validation = {
+      status: 'pending',
+      runId: crypto.randomBytes(6).toString('hex'),
+      requestedStatus,
+      queuedAt: new Date(),
+      attempts: 0,
+      steps: []
+    };
+  }
+
+  /**
+   * Start working the validation queue in this process, one challenge at a time
+   */
+  startValidations() {
+    if (this.timer) return;
+
+    console.log('⚙️ Challenge validations: processing');
+    this.timer = setInterval(() => this._pollValidations(), this.options.pollIntervalMs);
+  }
+
+  /**
+   * Stop claiming validations and wait for the running one to finish
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} true when no validation is left running
+   */
+  async stopValidations(timeoutMs = 0) {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.validating && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return !this.validating;
+  }
+
+  /**
+   * Claim and run the oldest queued validation
+   * @private
+   */
+  async _pollValidations() {
+    if (this.validating) return;
+    this.validating = true;
+
+    try {
+      const challenge = await this._claimValidation();
+      if (challenge) {
+        await this._validate(challenge);
+      }
+    } catch (error) {
+      console.error('❌ Challenge validation poll failed:', error.message);
+    } finally {
+      this.validating = false;
+    }
+  }
+
+  /**
+   * Atomically lock the oldest queued validation, or one whose worker stopped sending heartbeats
+   * @private
+   */
+  async _claimValidation() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.options.staleAfterMs);
+    return Code.findOneAndUpdate(
+      {
+        'validation.status': 'pending',
+        'validation.runId': { $exists: true },
+        $or: [{ 'validation.lockedAt': null }, { 'validation.lockedAt': { $lt: staleBefore } }]
+      },
+      { $set: { 'validation.lockedAt': now }, $inc: { 'validation.attempts': 1 } },
+      { sort: { 'validation.queuedAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed validation and store the results, unless an edit queued a newer run meanwhile
+   * @param {Object} challenge - Code document locked by _claimValidation()
+   * @returns {Promise<Object>} validation results
+   * @private
+   */
+  async _validate(challenge) {
+    const { runId, requestedStatus, attempts } = challenge.validation;
+    const current = { _id: challenge._id, 'validation.runId': runId };
+    const heartbeat = setInterval(() => {
+      Code.updateOne(current, { $set: { 'validation.lockedAt': new Date() } })
+        .catch(error => console.error('❌ Challenge validation heartbeat failed:', error.message));
+    }, Math.max(this.options.staleAfterMs / 4, 1000));
+
+    let validation;
+    try {
+      validation = attempts > this.options.maxAttempts
+        ? this._failedValidation('Validation was interrupted too many times')
+        : await this.validateChallenge(challenge, runId);
+    } catch (error) {
+      console.error("❌ Challenge validation failed:", error);
+      validation = this._failedValidation(error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const update = { validation };
+    if (validation.status === 'passed' && requestedStatus) {
+      update.status = requestedStatus;
+    }
+    const { modifiedCount } = await Code.updateOne(current, { $set: update });
+    console.log(modifiedCount
+      ? `📝 Challenge ${challenge._id} validation ${validation.status}`
+      : `⏭️ Challenge ${challenge._id} changed during validation, results of run ${runId} dropped`);
+    return validation;
+  }
+
+  /**
+   * Results of a run that could not go through the pipeline
+   * @param {string} message
+   * @returns {Object}
+   * @private
+   */
+  _failedValidation(message) {
+    return {
+      status: 'failed',
+      checkedAt: new Date(),
+      steps: [{ name: 'pipeline', status: 'failed', message }]
+    };
+  }
+
+  /**
+   * Validation pipeline, stops at the first failed step
+   * @param {Object} challenge - Code document
+   * @param {string} [runId] - Names the temp folders of this run, random by default so runs never share them
+   * @returns {Promise<{ status: string, checkedAt: Date, mutationScore: number|null,
+   *   steps: Array<{ name: string, status: string, message: string, diagnostics?: Array }> }>}
+   */
+  async validateChallenge(challenge, runId = crypto.randomBytes(6).toString('hex')) {
+    const language = challenge.language || 'csharp';
+    const sources = this.codeService.challengeSources(challenge);
+    const tempRootDir = path.join(process.cwd(), 'temp');
+    const runFolder = step => `challenge_${challenge._id}_${runId}_${step}`;
+
+    const steps = [];
+    let mutationScore = null;
+    const done = () => ({
+      status: steps.some(s => s.status === 'failed') ? 'failed' : 'passed',
+      checkedAt: new Date(),
+      mutationScore,
+      steps
+    });
+    const fail = (name, message, diagnostics) => {
+      steps.push({ name, status: 'failed', message, ...(diagnostics?.length ? { diagnostics } : {}) });
+      return done();
+    };
+
+    // 1️⃣ Base code and test template compile with the language template
+    const templateRun = await this.codeService.compileAndRunCSharpCode(
+      sources, challenge.testTemplate || '', runFolder('template'), tempRootDir, language
+    );
+    if (!templateRun.success && templateRun.project !== 'PlayerTests') {
+      fail('baseCode', templateRun.error, templateRun.diagnostics);
+      steps.push({ name: 'testTemplate', status: 'skipped', message: 'Base code does not compile' });
+      return done();
+    }
+    steps.push({ name: 'baseCode', status: 'passed', message: 'Compiles' });
+    if (!templateRun.success) {
+      return fail('testTemplate', templateRun.error, templateRun.diagnostics);
+    }
+    steps.push({ name: 'testTemplate', status: 'passed', message: challenge.testTemplate ? 'Compiles' : 'No test template' });
+
+    // 2️⃣ Reference tests pass on the base code
+    const referenceRun = await this.codeService.compileAndRunCSharpCode(
+      sources, challenge.referenceTests, runFolder('reference'), tempRootDir, language
+    );
+    if (!referenceRun.success) {
+      return fail('referenceTests', referenceRun.error, referenceRun.diagnostics);
+    }
+    if (referenceRun.stats.total === 0 || !referenceRun.allTestsPassed) {
+      const failing = referenceRun.tests.filter(t => t.outcome === 'failed').map(t => t.name);
+      return fail('referenceTests', referenceRun.stats.total === 0
+        ? 'Reference tests contain no test'
+        : `Reference tests fail on the base code: ${failing.join(', ')}`);
+    }
+    steps.push({ name: 'referenceTests', status: 'passed', message: `${referenceRun.stats.passed} tests pass` });
+
+    // 3️⃣ Reference tests kill enough mutants
+    const mutationReport = await this.codeService.generateMutationReport(referenceRun.playerTestsDir, tempRootDir, language, {
+      cacheKey: this.codeService.mutationCacheKey(sources, challenge.referenceTests, language, null)
+    });
+    if (!mutationReport.success) {
+      return fail('mutationScore', mutationReport.error);
+    }
+    mutationScore = mutationReport.summary.mutationScore;
+    // The same run lists every mutant of the code, games score players against it
+    const catalogue = await this.codeService.recordMutantCatalogue(challenge._id, mutationReport.mutants);
+    if (!catalogue.success) {
+      console.warn("⚠️ Could not record the mutant catalogue:", catalogue.error);
+    }
+    const minimum = config.challenges.minMutationScore;
+    if (mutationScore < minimum) {
+      return fail('mutationScore', `Reference tests reach ${mutationScore}% mutation score, ${minimum}% needed`);
+    }
+    steps.push({ name: 'mutationScore', status: 'passed', message: `${mutationScore}% mutation score (${minimum}% needed)` });
+
+    // 4️⃣ Reference tests accept the reference implementation and catch every bug variant
+    if (challenge.reference?.baseCode || challenge.reference?.files?.length || challenge.bugVariants?.length) {
+      const bugRun = await this.codeService.runBugVariants(challenge, challenge.referenceTests, runFolder('bugs'), tempRootDir, language);
+      if (!bugRun.success) {
+        return fail('bugVariants', bugRun.error);
+      }
+      if (bugRun.reference && !bugRun.reference.passed) {
+        return fail('bugVariants', `Reference tests fail on the reference implementation: ${bugRun.reference.failedTests.join(', ')}`);
+      }
+      const missed = bugRun.bugs.filter(b => !b.caught);
+      if (missed.length) {
+        return fail('bugVariants', `Reference tests miss bug variants: ${missed.map(b => b.error ? `${b.id} (${b.error})` : b.id).join(', ')}`);
+      }
+      steps.push({ name: 'bugVariants', status: 'passed', message: `${bugRun.bugsCaught} of ${bugRun.bugsTotal} bugs caught` });
+    }
+
+    return done();
+  }
+
+  /**
+   * Known fields of a request body
+   * @param {Object} data
+   * @returns {Object}
+   * @private
+   */
+  _pickFields(data) {
+    return Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  /**
+   * Check the request before anything is saved
+   * @param {Object} fields - Result of _pickFields()
+   * @param {boolean} creating - New challenges need a title, code and reference tests
+   * @returns {string|null} error message
+   * @private
+   */
+  _checkInput(fields, creating) {
+    if (creating && !fields.title) return 'Title is required';
+    if (creating && !fields.baseCode && !(Array.isArray(fields.files) && fields.files.length)) return 'baseCode or files is required';
+    if (creating && !fields.referenceTests) return 'referenceTests is required';
+
+    for (const field of ['title', 'description', 'baseCode', 'testTemplate', 'referenceTests']) {
+      if (fields[field] !== undefined && typeof fields[field] !== 'string') return `${field} must be a string`;
+    }
+    if (fields.files !== undefined && (!Array.isArray(fields.files) || fields.files.some(f => !f || typeof f.path !== 'string'))) {
+      return 'files must be a list of { path, content }';
+    }
+    if (fields.bugVariants !== undefined && !Array.isArray(fields.bugVariants)) return 'bugVariants must be a list';
+    if (fields.bugVariants && new Set(fields.bugVariants.map(b => b?.id)).size !== fields.bugVariants.length) {
+      return 'Bug variant ids must be unique';
+    }
+    if (fields.time !== undefined && !(Number(fields.time) > 0)) return 'time must be a positive number';
+    if (fields.estimatedMinutes !== undefined && !(Number(fields.estimatedMinutes) > 0)) return 'estimatedMinutes must be a positive number';
+    if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== 'string'))) {
+      return 'tags must be a list of strings';
+    }
+    const statuses = Code.schema.path('status').enumValues;
+    if (fields.status !== undefined && !statuses.includes(fields.status)) {
+      return `Unknown status: ${fields.status}, expected one of ${statuses.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Challenge as its author sees it: everything but the mutant catalogue
+   * @param {Object} challenge - Code document
+   * @returns {Object}
+   * @private
+   */
+  _authorView(challenge) {
+    const { _id, __v, mutantCatalogue, ...fields } = challenge.toObject();
+    return { id: _id, ...fields };
+  }
+}
+
+module.exports = ChallengeService;
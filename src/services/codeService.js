@@ -1,219 +1,280 @@
 const Code = require('../models/code');
 const  fs = require("fs");      
-const  path =require("path");
-const { exec, execSync } = require("child_process");
+const path = require('path');
+const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
-const PQueue = require('p-queue').default;
+const { createRunner } = require('./runners');
+const { SandboxViolationError } = require('./sandbox');
+const { config } = require('../config/env');
+const { calculateScore, getScoringProfile } = require('../utils/scoringProfiles');
+const { analyzeTests, MAX_TEST_CODE_LENGTH } = require('../utils/testQuality');
 
-class CodeService {
-  constructor() {
-    // ✅ Create queue: max 3 concurrent test executions
-    this.testQueue = new PQueue({ concurrency: 3 });
-  }
-  /**
-   * compile and run CSharp code with coverlet
-   * @param {string} code          // base code 
-   * @param {string} tests         // test that player worte 
-   * @param {string} playerId      // player Id 
-   * @param {string} tempRootDir  // dir where we save the compilation and run files 
-   * @returns {object}
-   */
+// Catalogue builds running in this process, by challenge id, so concurrent scoring runs share one
+const catalogueBuilds = new Map();
 
-  async compileAndRunCSharpCode(code, tests, playerId, tempRootDir) {
-    // ✅ Wrap in queue to limit concurrency to 3
-    console.log(`🔄 Queue Status: ${this.testQueue.size} pending, ${this.testQueue.pending} running`);
-    
-    return this.testQueue.add(async () => {
-      return this._executeTestRun(code, tests, playerId, tempRootDir);
-    });
-  }
+/**
+ * Extra fields telling the client that player code hit a sandbox limit
+ * @param {Error} error
+ * @returns {{ errorType?: string, violation?: string }}
+ */
+function errorDetails(error) {
+  return error instanceof SandboxViolationError
+    ? { errorType: error.type, violation: error.reason }
+    : {};
+}
 
-  /**
-   * Internal method that actually executes the test run
-   */
-  async _executeTestRun(code, tests, playerId, tempRootDir) {
-  let projectDir = null;
-  
-  try {
-    const templateDir = path.join(process.cwd(), "CSharpTemplate");
-    const totalTime = Date.now();
-    
-    // 1️⃣ Ensure temp root exists
-    if (!fs.existsSync(tempRootDir)) fs.mkdirSync(tempRootDir, { recursive: true });
+/**
+ * Feed a challenge's code into a hash
+ * @param {crypto.Hash} hash
+ * @param {string|Array<{ path: string, content: string }>} code - Base code or challenge files
+ * @returns {crypto.Hash} the same hash
+ */
+function hashSources(hash, code) {
+  const files = Array.isArray(code) ? code : [{ path: '', content: code }];
+  for (const file of files) {
+    hash.update(`\0${file.path}\0`).update(file.content || '');
+  }
+  return hash;
+}
 
-    // 2️⃣ Create a unique project folder for this request
-    projectDir = path.join(tempRootDir, `player_${playerId}_${Date.now()}`);
-    fs.mkdirSync(projectDir, { recursive: true });
+/**
+ * Hash of the code a challenge document is scored against, a new hash means a new mutant catalogue
+ * @param {object} challenge - Code document
+ * @returns {string}
+ */
+function challengeSourceHash(challenge) {
+  const code = challenge.files?.length
+    ? challenge.files.map(file => ({ path: file.path, content: file.content }))
+    : challenge.baseCode || '';
+  return hashSources(crypto.createHash('sha256'), code).digest('hex').slice(0, 32);
+}
 
+/**
+ * Code of another version of a challenge (reference implementation, bug variant): single file versions
+ * replace baseCode, multi-file versions list the files that differ
+ * @param {object} challenge - Code document
+ * @param {{ baseCode?: string, files?: Array<{ path: string, content: string }> }} version
+ * @returns {string|Array<{ path: string, content: string }>}
+ */
+function versionSources(challenge, version) {
+  if (challenge.files?.length) {
+    const changed = new Map((version.files || []).map(file => [file.path, file.content]));
+    return challenge.files.map(file => ({ path: file.path, content: changed.has(file.path) ? changed.get(file.path) : file.content }));
+  }
+  return version.baseCode || challenge.baseCode;
+}
 
-    // 3️⃣ Copy template (PlayerCode + PlayerTests folders)
-    fs.cpSync(templateDir, projectDir, { recursive: true });
+/**
+ * Identity of a mutant across runs: same file, same place, same mutation
+ * @param {object} mutant - Mutant from generateMutationReport()
+ * @returns {string}
+ */
+function mutantKey(mutant) {
+  const { start = {}, end = {} } = mutant.location || {};
+  return `${mutant.fileName}:${start.line}:${start.column}-${end.line}:${end.column}:${mutant.mutation}:${mutant.replacement ?? ''}`;
+}
 
-    // 4️⃣ Write BaseCode.cs to PlayerCode project
-    const baseCodePath = path.join(projectDir, "PlayerCode", "BaseCode.cs");
-    fs.writeFileSync(baseCodePath, code);
+/**
+ * Pick `count` items spread evenly over a list, so every part of the code keeps some
+ * @param {Array} list
+ * @param {number} count
+ * @returns {Array}
+ */
+function evenlySpread(list, count) {
+  return Array.from({ length: Math.min(count, list.length) }, (_, i) => list[Math.floor(i * list.length / count)]);
+}
 
+/**
+ * Lines of some mutants, keyed by file like the `lines` option of the runners
+ * @param {Array<{ fileName: string, line: number }>} mutants
+ * @returns {Object<string, number[]>}
+ */
+function mutantLines(mutants) {
+  const lines = {};
+  for (const m of mutants) {
+    lines[m.fileName] = [...new Set([...(lines[m.fileName] || []), m.line])].sort((a, b) => a - b);
+  }
+  return lines;
+}
 
-    // 5️⃣ Write PlayerTests.cs to PlayerTests project
-    const testPath = path.join(projectDir, "PlayerTests", "PlayerTests.cs");
-    fs.writeFileSync(testPath, tests);
+/**
+ * Saved mutation report for this key, null when missing or unreadable
+ * @param {string} cacheKey
+ * @returns {object|null}
+ */
+function readMutationCache(cacheKey) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(config.mutation.cacheDir, `${cacheKey}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
 
-    
-    // 6️⃣ Define directories
-    const playerTestsDir = path.join(projectDir, "PlayerTests");
-    const playerCodeDir = path.join(projectDir, "PlayerCode");
-    
-    // 7️⃣ Restore NuGet packages
-    console.log("📦 Restoring NuGet packages...");
-    try {
-      execSync(`dotnet restore "${playerTestsDir}"`, { 
-        stdio: "pipe",
-        timeout: 30000 
-      });
-      console.log("✅ NuGet packages restored successfully");
-    } catch (restoreError) {
-      const errorMsg = restoreError.stderr?.toString() || restoreError.stdout?.toString() || restoreError.message;
-      console.error("❌ NuGet restore failed:", errorMsg);
-      await this._cleanupProjectDir(projectDir);
-      throw new Error(`NuGet Restore Error: ${errorMsg}`);
-    }
-      
-    const timeNow1 = Date.now();
+/**
+ * Save a raw mutation report, renamed into place so readers never see half a file
+ * @param {string} cacheKey
+ * @param {object} report
+ */
+function writeMutationCache(cacheKey, report) {
+  try {
+    const target = path.join(config.mutation.cacheDir, `${cacheKey}.json`);
+    fs.mkdirSync(config.mutation.cacheDir, { recursive: true });
+    fs.writeFileSync(`${target}.${process.pid}.tmp`, JSON.stringify(report));
+    fs.renameSync(`${target}.${process.pid}.tmp`, target);
+  } catch (error) {
+    console.warn("⚠️ Could not cache mutation report:", error.message);
+  }
+}
 
+/**
+ * Per-method coverage table plus the public methods no test reached
+ * @param {Array<object>} classes - Runner coverage classes, each tagged with its `file`
+ * @returns {{ methodCoverage: Array, untestedMethods: Array<{ file: string, className: string, name: string, signature: string, line: number }>, publicMethodCoverage: number }}
+ */
+function methodSummary(classes) {
+  const publicMethods = classes.flatMap(c => c.methods.filter(m => m.isPublic).map(m => ({ file: c.file, className: c.name, ...m })));
+  const untestedMethods = publicMethods
+    .filter(m => !m.covered)
+    .map(({ file, className, name, signature, line }) => ({ file, className, name, signature, line }));
 
-    // 8️⃣ Build the PlayerCode library
-    
-    console.log("🔨 Building PlayerCode library...");
-    try {
-      execSync(`dotnet build "${playerCodeDir}"`, { stdio: "pipe" });
-      console.log("✅ PlayerCode library built successfully");
-    } catch (buildError) {
-      // ✅ Parse build error properly
-      const errorMsg = buildError.stderr?.toString() || buildError.message || "Failed to build PlayerCode";
-      const cleanError = this._parseCompileError(errorMsg, "PlayerCode");
-      
-      console.error("❌ PlayerCode build failed:", cleanError);
-      // Cleanup on build error
-      await this._cleanupProjectDir(projectDir);
-      
-      throw new Error(`Build Error in PlayerCode: ${cleanError}`);
-    }
+  return {
+    methodCoverage: classes,
+    untestedMethods,
+    publicMethodCoverage: publicMethods.length > 0
+      ? parseFloat((((publicMethods.length - untestedMethods.length) / publicMethods.length) * 100).toFixed(1))
+      : 0
+  };
+}
 
-    // 8️⃣ Build the PlayerTests project
-    console.log("🔨 Building PlayerTests project...");
-    try {
-      execSync(`dotnet build "${playerTestsDir}"`, { stdio: "pipe" });
-      console.log("✅ PlayerTests project built successfully");
-    } catch (buildError) {
-      // ✅ Log full error details
-      const errorMsg = buildError.stderr?.toString() || buildError.stdout?.toString() || buildError.message || "Failed to build PlayerTests";
-      console.error("❌ RAW PlayerTests build error:", errorMsg);
-      
-      const cleanError = this._parseCompileError(errorMsg, "PlayerTests");
-      console.error("❌ PlayerTests build failed (parsed):", cleanError);
-      
-      // Cleanup on build error
-      await this._cleanupProjectDir(projectDir);
-      
-      throw new Error(`Build Error in PlayerTests: ${cleanError}`);
-    }
+/**
+ * Text of the base code a mutant replaces
+ * @param {string} source - File contents
+ * @param {{ start: { line: number, column: number }, end: { line: number, column: number } }} location - 1-based, end column exclusive
+ * @returns {string|null} null when the report has no source or location
+ */
+function sourceSnippet(source, location) {
+  if (typeof source !== 'string' || !location?.start || !location?.end) return null;
 
-    // 9️⃣ Run tests - UPDATED with TRX logger to capture Console.WriteLine
+  const lines = source.split('\n');
+  const { start, end } = location;
+  if (start.line < 1 || end.line > lines.length) return null;
 
-    const runCmd = `dotnet test "${playerTestsDir}" --no-build --logger trx`;
-    const startTime = Date.now();
+  if (start.line === end.line) {
+    return lines[start.line - 1].slice(start.column - 1, end.column - 1);
+  }
+  return [
+    lines[start.line - 1].slice(start.column - 1),
+    ...lines.slice(start.line, end.line - 1),
+    lines[end.line - 1].slice(0, end.column - 1)
+  ].join('\n');
+}
 
-    return new Promise((resolve, reject) => {
-      exec(runCmd, { 
-        cwd: playerTestsDir, 
-        timeout: 20000, 
-        maxBuffer: 10 * 1024 * 1024,
-        env: { ...process.env, DOTNET_CLI_CONTEXT_VERBOSE: "false" }
-      }, async (error, stdout, stderr) => {
-        const endTime = Date.now();
-        const executionTime = (endTime - startTime) / 1000;
+class CodeService {
+  constructor(runnerFactory = createRunner) {
+    // Concurrency of scoring runs is limited by the job queue (see JobService)
+    this.createRunner = runnerFactory;
+    this.runners = new Map(); // language -> runner
+  }
 
+  /**
+   * Get the test runner for a challenge language
+   * @param {string} language - csharp | java
+   * @returns {object} runner
+   */
+  getRunner(language = 'csharp') {
+    if (!this.runners.has(language)) {
+      this.runners.set(language, this.createRunner(language));
+    }
+    return this.runners.get(language);
+  }
 
+  /**
+   * compile and run CSharp code with coverlet
+   * (any supported challenge language despite the name, kept for the API route)
+   * @param {string|Array<{ path: string, content: string }>} code // base code, or the files of a multi-file challenge
+   * @param {string} tests         // test that player worte 
+   * @param {string} playerId      // player Id 
+   * @param {string} tempRootDir  // dir where we save the compilation and run files 
+   * @param {string} language      // challenge language, csharp by default
+   * @param {function} [onProgress] // called as onProgress(stage, status, partial) at each stage boundary
+   * @returns {object}
+   */
 
-        // ✅ Extract pass/fail counts from stdout
-        const output = stdout?.trim() || "";
-        const errorOutput = stderr?.trim() || "";
-        
-        const passMatch = output.match(/Passed:\s*(\d+)/);
-        const failMatch = output.match(/Failed:\s*(\d+)/);
-        const totalMatch = output.match(/Total:\s*(\d+)/);
-        
-        const passed = passMatch ? parseInt(passMatch[1]) : 0;
-        const failed = failMatch ? parseInt(failMatch[1]) : 0;
-        const total = totalMatch ? parseInt(totalMatch[1]) : 0;
-        
+  async compileAndRunCSharpCode(code, tests, playerId, tempRootDir, language = 'csharp', onProgress = () => {}) {
+    return this._executeTestRun(code, tests, playerId, tempRootDir, language, onProgress);
+  }
 
+  /**
+   * Internal method that actually executes the test run
+   */
+  async _executeTestRun(code, tests, playerId, tempRootDir, language = 'csharp', onProgress = () => {}) {
+  let workspace = null;
+  let stage = 'prepare';
+  
+  try {
+    const runner = this.getRunner(language);
+
+    // 1️⃣ Lay out the project (template + base code + player tests)
+    onProgress(stage, 'started');
+    workspace = await runner.prepare({ code, tests, playerId, tempRootDir });
+    onProgress(stage, 'completed');
+
+    // 2️⃣ Restore and build, throws a player friendly message on compile errors
+    stage = 'build';
+    onProgress(stage, 'started');
+    await runner.build(workspace);
+    onProgress(stage, 'completed');
+
+    // 3️⃣ Run tests
+    stage = 'test';
+    onProgress(stage, 'started');
+    const testRun = await runner.test(workspace);
+    const { passed, failed, total } = testRun.stats;
+    const testResults = testRun.tests || [];
+    onProgress(stage, 'completed', { stats: testRun.stats, tests: testResults, executionTime: testRun.executionTime });
+
+    const results = {
+      success: true,  // ✅ Always return success if tests ran, regardless of pass/fail
+      allTestsPassed: failed === 0,  // ✅ Track if all tests passed
+      stdout: testRun.stdout,  // ✅ Now includes Console.WriteLine
+      stderr: testRun.stderr,
+      stats: {
+        passed,
+        failed,
+        total,
+        executionTime: testRun.executionTime.toFixed(2)
+      },
+      tests: testResults,  // ✅ One entry per test: name, outcome, duration, errorMessage, stackTrace, stdout
+      diagnostics: [],
+      projectDir: workspace.projectDir,
+      playerTestsDir: workspace.playerTestsDir,
+      executionTime: testRun.executionTime,
+      language
+    };
 
-        // ✅ NEW: Read TRX file to get Console.WriteLine output
-        let consoleOutput = '';
-        const testResultsDir = path.join(playerTestsDir, "TestResults");
-        
-        if (fs.existsSync(testResultsDir)) {
-          try {
-            const trxFiles = fs.readdirSync(testResultsDir).filter(f => f.endsWith('.trx'));
-            if (trxFiles.length > 0) {
-              const trxPath = path.join(testResultsDir, trxFiles[0]);
-              const trxContent = fs.readFileSync(trxPath, "utf8");
-              
-              // Extract all <StdOut> content from TRX
-              const stdOutMatches = trxContent.match(/<StdOut>([\s\S]*?)<\/StdOut>/g);
-              if (stdOutMatches) {
-                consoleOutput = stdOutMatches
-                  .map(match => match.replace(/<\/?StdOut>/g, '').trim())
-                  .filter(text => text.length > 0)
-                  .join('\n');
-                
-
-              }
-            }
-          } catch (err) {
-            console.warn("⚠️ Could not read TRX file:", err.message);
-          }
-        }
+    // ✅ Schedule cleanup - reduced to 2 minutes
+    setTimeout(async () => {
+      await this._cleanupProjectDir(workspace.projectDir, language);
+    }, 120000);
 
-        // ✅ Clean output - keep test results, add console output
-        const cleanedOutput = this._parseTestOutput(output, errorOutput, consoleOutput);
-
-
-        const results = {
-          success: true,  // ✅ Always return success if tests ran, regardless of pass/fail
-          allTestsPassed: failed === 0,  // ✅ Track if all tests passed
-          stdout: cleanedOutput,  // ✅ Now includes Console.WriteLine
-          stderr: errorOutput || (error ? error.message : ""),
-          stats: {
-            passed,
-            failed,
-            total,
-            executionTime: executionTime.toFixed(2)
-          },
-          projectDir,
-          playerTestsDir,
-          executionTime,
-        };
-
-        // ✅ Schedule cleanup - reduced to 2 minutes
-        setTimeout(async () => {
-          await this._cleanupProjectDir(projectDir);
-        }, 120000);
-
-        resolve(results);
-      });
-    });
+    return results;
 
   } catch (error) {
+    const diagnostics = error.diagnostics || [];
+    onProgress(stage, 'failed', { error: error.message, diagnostics, ...errorDetails(error) });
+
     // Ensure cleanup happens even if there's an error
-    if (projectDir) {
-      await this._cleanupProjectDir(projectDir);
+    if (workspace) {
+      await this._cleanupProjectDir(workspace.projectDir, language);
     }
     
     return {
       success: false,
       error: error.message,
+      ...errorDetails(error),
+      ...(error.project ? { project: error.project } : {}), // PlayerCode | PlayerTests on compile errors
+      diagnostics,                          // structured compiler output, empty for other failures
+      summary: error.summary || error.message,
       stdout: "",
       stderr: error.message,
       stats: {
@@ -221,420 +282,506 @@ class CodeService {
         failed: 0,
         total: 0,
         executionTime: "0.00"
-      }
+      },
+      tests: []
     };
   }
 }
 
-// ✅ NEW: Parse compile errors and extract meaningful messages
-_parseCompileError(errorText, project) {
-  try {
-    // Remove file paths and focus on actual error messages
-    const lines = errorText.split('\n');
-    const errors = [];
-    
-    for (const line of lines) {
-      // Extract error lines (contain CS followed by numbers)
-      if (line.includes('error CS') || line.includes('error ')) {
-        // Remove full paths, keep just the error message
-        const cleaned = line
-          .replace(/^.*error\s*CS\d+:\s*/, '')  // Remove error code prefix
-          .replace(/^.*:\s*/, '')                // Remove file path
-          .trim();
-        
-        if (cleaned && !errors.includes(cleaned)) {
-          errors.push(cleaned);
-        }
-      }
-    }
-    
-    return errors.length > 0 
-      ? errors.slice(0, 3).join('\n')  // Return first 3 errors
-      : `Failed to build ${project}. Check your code syntax.`;
-  } catch (err) {
-    return `Build failed in ${project}: ${err.message}`;
-  }
-}
+/**
+ * Run the player's tests on the challenge's reference implementation and on each bug variant.
+ * Tests failing on the reference assert wrong behaviour, they do not count as catching a bug.
+ * @param {object} challenge - Code document with reference and bugVariants
+ * @param {string} tests - Player's tests
+ * @param {string} playerId - Player Id, names the run folders
+ * @param {string} tempRootDir - Dir where we save the run files
+ * @param {string} language - Challenge language, csharp by default
+ * @returns {Promise<{ success: boolean, reference: { passed: boolean, failedTests: string[] }|null,
+ *   bugs: Array<{ id: string, title: string, caught: boolean, caughtBy: string[], error?: string }>,
+ *   bugsCaught: number, bugsTotal: number, error?: string }>}
+ */
+async runBugVariants(challenge, tests, playerId, tempRootDir, language = 'csharp') {
+  const variants = challenge.bugVariants || [];
+  const hasReference = Boolean(challenge.reference?.baseCode || challenge.reference?.files?.length);
+  const failedTests = run => (run.tests || []).filter(t => t.outcome === 'failed').map(t => t.name);
+  const runId = suffix => `${playerId}_${suffix.replace(/[^\w-]/g, '_')}`;
 
-// ✅ UPDATED: Parse test output with TRX console output
-_parseTestOutput(stdout, stderr, consoleOutput = '') {
   try {
-    // ✅ If we have console output from TRX, prioritize it
-    if (consoleOutput && consoleOutput.trim().length > 0) {
-      // Get test summary from stdout
-      const passMatch = stdout.match(/Passed:\s*(\d+)/);
-      const failMatch = stdout.match(/Failed:\s*(\d+)/);
-      const totalMatch = stdout.match(/Total:\s*(\d+)/);
-      
-      const summary = [];
-      if (totalMatch) summary.push(`Total tests: ${totalMatch[1]}`);
-      if (passMatch) summary.push(`Passed: ${passMatch[1]}`);
-      if (failMatch) summary.push(`Failed: ${failMatch[1]}`);
-      
-      // Combine console output with test summary
-      const finalOutput = [
-        consoleOutput,
-        '\n--- Test Results ---',
-        summary.join('\n')
-      ].join('\n');
-      
-      return finalOutput;
+    let reference = null;
+    let wrongTests = new Set();
+
+    if (hasReference) {
+      console.log("🧪 Running player tests on the reference implementation...");
+      const run = await this._executeTestRun(versionSources(challenge, challenge.reference), tests, runId('reference'), tempRootDir, language);
+      if (!run.success) {
+        return { success: false, error: `Reference implementation run failed: ${run.error}`, reference: null, bugs: [], bugsCaught: 0, bugsTotal: variants.length };
+      }
+      wrongTests = new Set(failedTests(run));
+      reference = { passed: wrongTests.size === 0, failedTests: [...wrongTests] };
     }
 
-    // Fallback: Parse stdout directly (old behavior)
-    if (!stdout || stdout.trim().length === 0) {
-      return 'No test output captured';
+    const bugs = [];
+    for (const variant of variants) {
+      console.log(`🐞 Running player tests on bug variant ${variant.id}...`);
+      const run = await this._executeTestRun(versionSources(challenge, variant), tests, runId(`bug_${variant.id}`), tempRootDir, language);
+      const caughtBy = run.success ? failedTests(run).filter(name => !wrongTests.has(name)) : [];
+      bugs.push({
+        id: variant.id,
+        title: variant.title || variant.id,
+        caught: caughtBy.length > 0,
+        caughtBy,
+        ...(run.success ? {} : { error: run.error })
+      });
     }
 
-    const linesToSkip = [
-      'Test run for',
-      'test files matched',
-      '.NETCoreApp',
-      'Version=v',
-      '.dll',
-      'Starting test execution',
-      'VSTest',
-      'XUnit',
-      'TestPlatform',
-      'Logging Vstest',
-      'Logging TestHost',
-      'Results File:',
-      'TestResults',
-      '.trx',
-      '/app/temp/',
-      'player_',
-      'Attachments:'
-    ];
-
-    const lines = stdout.split('\n');
-    const cleaned = lines
-      .filter(line => {
-        const trimmed = line.trim();
-        
-        // Skip if it's a path (Windows or Unix)
-        if (/^[A-Z]:\\/.test(trimmed) || /^\/[A-Za-z]/.test(trimmed) || trimmed.includes('/app/temp/')) {
-          return false;
-        }
-        
-        // Skip if it contains execution time with path pattern
-        if (/\(\d+\.\d+s\)$/.test(trimmed) && trimmed.includes('/')) {
-          return false;
-        }
-        
-        // Skip if it matches VSTest keywords
-        if (linesToSkip.some(skip => trimmed.includes(skip))) {
-          return false;
-        }
-        
-        // Skip completely empty lines
-        if (trimmed === '') {
-          return false;
-        }
-        
-        return true;
-      })
-      .map(line => line.trim())
-      .join('\n');
-
-    return cleaned.length > 0 ? cleaned : 'No output captured';
-  } catch (err) {
-    return consoleOutput || stdout || 'Test execution completed';
+    return {
+      success: true,
+      reference,
+      bugs,
+      bugsCaught: bugs.filter(b => b.caught).length,
+      bugsTotal: bugs.length
+    };
+  } catch (error) {
+    console.error("❌ Bug variant runs failed:", error);
+    return { success: false, error: error.message, reference: null, bugs: [], bugsCaught: 0, bugsTotal: variants.length };
   }
 }
+
 /**
- * Generate coverage report for player's BaseCode.cs
+ * Generate coverage report for the challenge files (BaseCode.cs for single file challenges)
  * @param {string} playerTestsDir - Directory containing player's test results
- * @returns {Promise<{ success: boolean, lineCoverage: Array, coverageSummary: number, lineRate: number, branchRate: number, error?: string }>}
+ * @param {string} language - Challenge language, csharp by default
+ * @returns {Promise<{ success: boolean, lineCoverage: Array, coverageSummary: number, lineRate: number, branchRate: number, coverageByFile: object, methodCoverage: Array, untestedMethods: Array, publicMethodCoverage: number, error?: string }>}
+ *   `lineCoverage` lists the lines of every file (each entry has its `file`), `coverageByFile` has
+ *   { coverageSummary, lineRate, branchRate, lineCoverage } per file path.
+ *   `methodCoverage` is the runner's per-class, per-method table, `untestedMethods` the public methods no test reached
  */
-async generateCoverageReport(playerTestsDir) {
+async generateCoverageReport(playerTestsDir, language = 'csharp') {
   try {
 
-
     // ✅ Validate playerTestsDir exists
     if (!fs.existsSync(playerTestsDir)) {
       throw new Error(`PlayerTests directory not found: ${playerTestsDir}`);
     }
 
-    // ✅ Get base code path and validate
-    const baseCodePath = path.join(playerTestsDir, "..", "PlayerCode", "BaseCode.cs");
-    if (!fs.existsSync(baseCodePath)) {
-      throw new Error("BaseCode.cs not found");
-    }
-
-    const baseCode = fs.readFileSync(baseCodePath, "utf8");
-    const totalBaseCodeLines = baseCode.split("\n").length;
-
-    // Initialize coverage array
-    const lineCoverage = Array.from({ length: totalBaseCodeLines }, (_, i) => ({
-      line: i + 1,
-      covered: false,
-      file: "BaseCode.cs"
-    }));
+    const coverage = await this.getRunner(language).coverage(playerTestsDir);
+    const { lineRate, branchRate } = coverage;
+    const methods = methodSummary(coverage.files.flatMap(f => f.classes.map(c => ({ file: f.file, ...c }))));
 
-    const testResultsDir = path.join(playerTestsDir, "TestResults");
-
-
-    // ✅ Run coverage collection
-    const runCmd = `dotnet test "${playerTestsDir}" --collect:"XPlat Code Coverage" --logger "trx;LogFileName=test_results.trx" --no-build`;
-    try {
-      execSync(runCmd, { cwd: playerTestsDir, stdio: "pipe", timeout: 20000 });
-
-    } catch (err) {
-      console.warn("⚠️ Coverage run failed, attempting to parse existing results:", err.message);
-    }
+    const lineCoverage = [];
+    const coverageByFile = {};
+    let coveredLines = 0;
+    let validLines = 0;
 
-    // ✅ Find coverage file
-    if (!fs.existsSync(testResultsDir)) {
-      console.warn("⚠️ TestResults directory not found, returning base coverage data");
-      return {
-        success: true,
-        lineCoverage,
-        coverageSummary: 0,
-        lineRate: 0,
-        branchRate: 0
-      };
-    }
+    for (const { file, source, lines } of coverage.files) {
+      const totalLines = source.split("\n").length;
+
+      // Initialize coverage array
+      const fileCoverage = Array.from({ length: totalLines }, (_, i) => ({
+        line: i + 1,
+        covered: false,
+        file,
+        hits: 0,
+        branchesCovered: 0,
+        branchesTotal: 0,
+        partial: false // executed, but some branches never taken
+      }));
+
+      // ✅ Parse coverage safely
+      let fileCovered = 0;
+      let fileValid = 0;
+      let fileBranches = 0;
+      let fileBranchesCovered = 0;
+
+      for (const { line, hits, branchesCovered = 0, branchesTotal = 0 } of lines || []) {
+        if (line >= 1 && line <= totalLines) {
+          fileValid++;
+          fileBranches += branchesTotal;
+          fileBranchesCovered += branchesCovered;
+          const entry = fileCoverage[line - 1];
+          entry.hits = hits;
+          entry.branchesCovered = branchesCovered;
+          entry.branchesTotal = branchesTotal;
+          if (hits > 0) {
+            fileCovered++;
+            entry.covered = true;
+            entry.partial = branchesTotal > 0 && branchesCovered < branchesTotal;
+          }
+        }
+      }
 
-    const coverageFile = this.findCoverageFile(testResultsDir);
-    if (!coverageFile) {
-      console.warn("⚠️ No coverage file found");
-      return {
-        success: true,
-        lineCoverage,
-        coverageSummary: 0,
-        lineRate: 0,
-        branchRate: 0
+      const fileRate = fileValid > 0 ? parseFloat(((fileCovered / fileValid) * 100).toFixed(1)) : 0;
+      coverageByFile[file] = {
+        coverageSummary: fileRate,
+        lineRate: fileRate,
+        branchRate: fileBranches > 0 ? parseFloat(((fileBranchesCovered / fileBranches) * 100).toFixed(1)) : 0,
+        lineCoverage: fileCoverage
       };
-    }
-
 
-
-    // ✅ Parse XML safely
-    let xml;
-    try {
-      xml = fs.readFileSync(coverageFile, "utf8");
-
-    } catch (err) {
-      throw new Error(`Failed to read coverage file: ${err.message}`);
+      lineCoverage.push(...fileCoverage);
+      coveredLines += fileCovered;
+      validLines += fileValid;
     }
 
-    // ✅ Extract global coverage rates
-    const lineRateMatch = xml.match(/line-rate="([\d.]+)"/);
-    const branchRateMatch = xml.match(/branch-rate="([\d.]+)"/);
-    const lineRate = lineRateMatch ? parseFloat(lineRateMatch[1]) * 100 : 0;
-    const branchRate = branchRateMatch ? parseFloat(branchRateMatch[1]) * 100 : 0;
-
-
-    // ✅ Extract BaseCode.cs block
-    const fileMatch = xml.match(/<class[^>]*filename="[^"]*BaseCode\.cs"[^>]*>[\s\S]*?<\/class>/);
-    if (!fileMatch) {
-      console.warn("⚠️ No coverage data for BaseCode.cs found");
+    if (!coverage.files.some(f => f.lines)) {
       return {
         success: true,
         lineCoverage,
         coverageSummary: lineRate.toFixed(1),
         lineRate,
-        branchRate
+        branchRate,
+        coverageByFile,
+        ...methods
       };
     }
 
-    const baseCodeXml = fileMatch[0];
-    const lineRegex = /<line number="(\d+)" hits="(\d+)"/g;
-
-    // ✅ Parse coverage safely
-    let match;
-    let coveredLines = 0;
-    let validLines = 0;
-
-    while ((match = lineRegex.exec(baseCodeXml)) !== null) {
-      const line = Number(match[1]);
-      const hits = Number(match[2]);
-
-      if (line >= 1 && line <= totalBaseCodeLines) {
-        validLines++;
-        if (hits > 0) {
-          coveredLines++;
-          lineCoverage[line - 1].covered = true;
-        }
-      }
-    }
-
     const coverageSummary = validLines > 0 
       ? ((coveredLines / validLines) * 100).toFixed(1)
       : 0;
 
-
-
     return {
       success: true,
       lineCoverage,
       coverageSummary: parseFloat(coverageSummary),
       lineRate,
-      branchRate
+      branchRate,
+      coverageByFile,
+      ...methods
     };
 
   } catch (error) {
     console.error("❌ Coverage generation failed:", error.message);
     return {
-      ...defaultResponse,
-      error: error.message
+      success: false,
+      lineCoverage: [],
+      coverageSummary: 0,
+      lineRate: 0,
+      branchRate: 0,
+      coverageByFile: {},
+      methodCoverage: [],
+      untestedMethods: [],
+      publicMethodCoverage: 0,
+      error: error.message,
+      ...errorDetails(error)
     };
   }
 }
 
 /**
- * Helper function to find coverage file recursively
- * @param {string} testResultsDir - Test results directory
- * @returns {string|null} Path to coverage file or null
+ * Test quality of a player's tests: test methods, assertions per test, assertion types, duplicated tests
+ * and a 0-100 score that longer files alone cannot raise
+ * @param {string} code - Player's test code
+ * @param {string} [language] - Challenge language, csharp by default
+ * @returns {{ success: boolean, totalTestLines: number, score: number, error?: string }} plus the fields of analyzeTests()
  */
-findCoverageFile(testResultsDir) {
+async calculateTestLines(code, language = 'csharp') {
   try {
-    if (!fs.existsSync(testResultsDir)) {
-      console.warn("⚠️ Test results directory does not exist:", testResultsDir);
-      return null;
+    if (code.length > MAX_TEST_CODE_LENGTH) {
+      return { success: false, error: `Test code is longer than ${MAX_TEST_CODE_LENGTH} characters`, totalTestLines: 0, score: 0 };
     }
+    return { success: true, ...analyzeTests(code, language) };
+  } catch (error) {
+    console.error("❌ Error calculating test lines:", error);
+    return { success: false, error: error.message, totalTestLines: 0, score: 0 };
+  }
+}
 
-    const files = fs.readdirSync(testResultsDir, { withFileTypes: true });
 
-    for (const entry of files) {
-      const fullPath = path.join(testResultsDir, entry.name);
+/**
+ * Key of a mutation run in the mutation cache: the same code, tests and lines give the same mutants and results
+ * @param {string|Array<{ path: string, content: string }>} code - Base code or challenge files
+ * @param {string} tests - Player's tests
+ * @param {string} language - Challenge language
+ * @param {Object<string, number[]>|null} lines - Lines mutation is restricted to
+ * @returns {string}
+ */
+mutationCacheKey(code, tests, language, lines = null) {
+  const hash = hashSources(crypto.createHash('sha256').update(language), code);
+  hash.update('\0tests\0').update(tests || '');
+  hash.update('\0lines\0').update(JSON.stringify(lines));
+  return hash.digest('hex').slice(0, 32);
+}
 
-      try {
-        if (entry.isDirectory()) {
-          const nested = this.findCoverageFile(fullPath);
-          if (nested) return nested;
-        } else if (
-          entry.name.endsWith(".coverage") || 
-          entry.name.endsWith(".xml") || 
-          entry.name === "coverage.cobertura.xml"
-        ) {
-
-          return fullPath;
-        }
-      } catch (err) {
-        console.warn("⚠️ Error processing file:", entry.name, err.message);
-        continue;
-      }
+/**
+ * Start the challenge's mutant catalogue over when its code changed since the catalogue was built
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<{ success: boolean, sourceHash?: string, error?: string }>}
+ */
+async prepareMutantCatalogue(challengeId) {
+  try {
+    const challenge = await Code.findById(challengeId).select('baseCode files mutantCatalogue.sourceHash').lean();
+    if (!challenge) {
+      return { success: false, error: 'Challenge not found' };
     }
 
-    return null;
+    const sourceHash = challengeSourceHash(challenge);
+    await Code.updateOne(
+      { _id: challengeId, 'mutantCatalogue.sourceHash': { $ne: sourceHash } },
+      { mutantCatalogue: { sourceHash, mutants: [] } }
+    );
+    return { success: true, sourceHash };
   } catch (error) {
-    console.error("❌ Error searching for coverage file:", error.message);
-    return null;
+    return { success: false, error: error.message };
   }
 }
+
 /**
- * returnes number of meaningful test lines
- * @param {string} code 
- * @returns 
+ * Add the mutants of a run to the challenge's catalogue and give each its catalogue number.
+ * Every player mutates the same code, so the same mutant gets the same number in every player's results.
+ * @param {string} challengeId - Challenge ID
+ * @param {Array} mutants - Mutants from generateMutationReport()
+ * @returns {Promise<{ success: boolean, mutants: Array, error?: string }>} the mutants with `catalogueId`
  */
-async calculateTestLines(code) {
+async catalogueMutants(challengeId, mutants) {
   try {
-    const cleaned = code
-      .replace(/\/\*[\s\S]*?\*\//g, "")  // block comments
-      .replace(/\/\/.*$/gm, "");         // single-line comments
+    const prepared = await this.prepareMutantCatalogue(challengeId);
+    if (!prepared.success) {
+      return { success: false, error: prepared.error, mutants };
+    }
 
-    const lines = cleaned
-      .split("\n")
-      .map(line => line.trim())
-      .filter(line => line.length > 0 && line !== "{" && line !== "}");
+    // $addToSet keeps concurrent scoring runs from adding the same mutant twice
+    const entries = mutants.map(m => ({
+      key: mutantKey(m),
+      fileName: m.fileName,
+      mutation: m.mutation,
+      replacement: m.replacement,
+      originalCode: m.originalCode,
+      location: m.location,
+      line: m.line
+    }));
+    await Code.updateOne(
+      { _id: challengeId, 'mutantCatalogue.sourceHash': prepared.sourceHash },
+      { $addToSet: { 'mutantCatalogue.mutants': { $each: entries } } }
+    );
 
+    const challenge = await Code.findById(challengeId).select('mutantCatalogue.mutants.key').lean();
+    const numbers = new Map((challenge.mutantCatalogue?.mutants || []).map((m, i) => [m.key, i + 1]));
 
-    return {  success: true ,totalTestLines: lines.length};
+    return {
+      success: true,
+      sourceHash: prepared.sourceHash,
+      mutants: mutants.map(m => ({ ...m, catalogueId: numbers.get(mutantKey(m)) ?? null }))
+    };
   } catch (error) {
-    console.error("❌ Error calculating test lines:", error);
-    return { success: false, error: error.message, totalTestLines: 0 };
+    return { success: false, error: error.message, mutants };
   }
 }
 
-
-async generateMutationReport(playerTestsDir,projectDir) {
-
-
+/**
+ * Store the mutants of a full mutation run (no line restriction, no budget) as the challenge's complete catalogue
+ * @param {string} challengeId - Challenge ID
+ * @param {Array} mutants - Mutants from generateMutationReport()
+ * @returns {Promise<{ success: boolean, mutants?: Array, error?: string }>} the catalogue
+ */
+async recordMutantCatalogue(challengeId, mutants) {
   try {
-    // 1️⃣ Ensure Stryker is installed
-    try {
-      execSync('dotnet tool list -g', { stdio: 'pipe', encoding: 'utf8' });
-      console.log("✅ Checking for Stryker.NET...");
-    } catch {
-      console.log("📦 Installing Stryker.NET globally...");
-      execSync('dotnet tool install -g dotnet-stryker', { stdio: 'inherit' });
+    const catalogued = await this.catalogueMutants(challengeId, mutants);
+    if (!catalogued.success) {
+      return { success: false, error: catalogued.error };
     }
 
-  // 2️⃣ Create solution if missing
-const solutionPath = path.join(projectDir, "TempSolution.sln");
-const tempDir = path.dirname(playerTestsDir); // temp folder containing PlayerCode and PlayerTests
-const playerCodeProj = path.join(tempDir, "PlayerCode", "PlayerCode.csproj");
-const playerTestsProj = path.join(playerTestsDir, "PlayerTests.csproj");
-
-
-
-// always recreate solution
-if (fs.existsSync(solutionPath)) {
-  fs.unlinkSync(solutionPath);
+    const challenge = await Code.findOneAndUpdate(
+      { _id: challengeId, 'mutantCatalogue.sourceHash': catalogued.sourceHash },
+      { $set: { 'mutantCatalogue.complete': true } },
+      { new: true, projection: { mutantCatalogue: 1 } }
+    ).lean();
+    if (!challenge) {
+      return { success: false, error: 'Challenge code changed while its mutants were catalogued' };
+    }
+    return { success: true, mutants: challenge.mutantCatalogue.mutants };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 }
 
-execSync(`dotnet new sln -n TempSolution`, { cwd: projectDir });
-execSync(`dotnet sln "${solutionPath}" add "${playerCodeProj}"`, { cwd: projectDir });
-execSync(`dotnet sln "${solutionPath}" add "${playerTestsProj}"`, { cwd: projectDir });
-
-    // 3️⃣ Run Stryker
-    const strykerCmd = `dotnet stryker --solution "${solutionPath}" --test-project "${playerTestsProj}" --reporter json --output "${projectDir}/StrykerOutput"`;
-
-    console.log("🧬 Running Stryker mutation testing...");
-    console.log("📂 Solution:", solutionPath);
-
-    execSync(strykerCmd, { cwd: projectDir, stdio: "inherit", timeout: 300000 });
-
-    console.log("✅ Stryker completed successfully");
-
-  // 4️⃣ Parse report
-  const strykerOutputDir = path.join(projectDir, "StrykerOutput");
+/**
+ * Complete mutant catalogue of a challenge, built once per version of its code: the reference tests
+ * (the test template when there are none) run through mutation testing, every mutant is listed
+ * whatever the tests kill. Challenge validation builds it already, the mutation cache makes a rebuild cheap.
+ * @param {string} challengeId - Challenge ID
+ * @returns {Promise<{ success: boolean, mutants?: Array, error?: string }>} the catalogue
+ */
+async buildMutantCatalogue(challengeId) {
+  const key = challengeId.toString();
+  if (!catalogueBuilds.has(key)) {
+    catalogueBuilds.set(key, this._buildMutantCatalogue(challengeId).finally(() => catalogueBuilds.delete(key)));
+  }
+  return catalogueBuilds.get(key);
+}
 
-  // Try to find timestamped folder first
-  const timestampedFolders = fs.readdirSync(strykerOutputDir)
-    .filter(f => fs.statSync(path.join(strykerOutputDir, f)).isDirectory())
-    .sort()
-    .reverse();
+/**
+ * @see buildMutantCatalogue
+ * @private
+ */
+async _buildMutantCatalogue(challengeId) {
+  try {
+    const challenge = await Code.findById(challengeId).lean();
+    if (!challenge) {
+      return { success: false, error: 'Challenge not found' };
+    }
+    if (challenge.mutantCatalogue?.complete && challenge.mutantCatalogue.sourceHash === challengeSourceHash(challenge)) {
+      return { success: true, mutants: challenge.mutantCatalogue.mutants };
+    }
 
-  // Determine report path // Determine report path (supports both .json and .js)
-const possibleReportFiles = [
-  path.join(strykerOutputDir, timestampedFolders[0], "reports", "mutation-report.json"),
-  path.join(strykerOutputDir, timestampedFolders[0], "reports", "mutation-report.js"),
-  path.join(strykerOutputDir, "reports", "mutation-report.json"),
-  path.join(strykerOutputDir, "reports", "mutation-report.js")
-];
+    console.log(`📚 Building the mutant catalogue of challenge ${challengeId}...`);
+    const language = challenge.language || 'csharp';
+    const sources = this.challengeSources(challenge);
+    const tests = challenge.referenceTests || challenge.testTemplate || '';
+    const tempRootDir = path.join(process.cwd(), 'temp');
 
-const reportPath = possibleReportFiles.find(f => fs.existsSync(f));
+    const run = await this.compileAndRunCSharpCode(sources, tests, `challenge_${challengeId}_catalogue`, tempRootDir, language);
+    if (!run.success) {
+      return { success: false, error: `Catalogue run failed: ${run.error}` };
+    }
+    const report = await this.generateMutationReport(run.playerTestsDir, tempRootDir, language, {
+      cacheKey: this.mutationCacheKey(sources, tests, language, null)
+    });
+    if (!report.success) {
+      return { success: false, error: `Catalogue mutation run failed: ${report.error}` };
+    }
 
-if (!reportPath) throw new Error("Report file not found");
+    const recorded = await this.recordMutantCatalogue(challengeId, report.mutants);
+    if (recorded.success) {
+      console.log(`✅ Catalogued ${recorded.mutants.length} mutants of challenge ${challengeId}`);
+    }
+    return recorded;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-  const data = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+/**
+ * Run mutation testing against the player's tests
+ * @param {string} playerTestsDir - Directory containing player's tests
+ * @param {string} projectDir - Directory used for mutation output
+ * @param {string} language - Challenge language, csharp by default
+ * @param {object} [options]
+ * @param {string} [options.cacheKey] - From mutationCacheKey(), reuses an earlier run with the same inputs
+ * @param {Object<string, number[]>} [options.lines] - Only mutate these lines (e.g. the ones the tests cover)
+ * @param {number} [options.maxMutants] - Mutants to score, the rest are reported as Ignored. 0 = all.
+ *   With a catalogue the runner only mutates the lines of the picked mutants, PIT caps mutants per class instead
+ * @param {Array} [options.catalogue] - The challenge's complete mutant catalogue: its mutants missing from the run
+ *   are added, as NoCoverage on lines `lines` left out, so every player is scored on the same mutants
+ * @param {number} [options.timeoutMs] - Time budget of the mutation run
+ * @returns {Promise<{ success: boolean, mutants: Array, summary: object, files: object, error?: string, cached?: boolean }>}
+ *   `files` has the summary of each challenge file, mutants carry their file path as `fileName`,
+ *   the original snippet next to the replacement, their location range and the ids of the tests
+ *   that killed/covered them (`tests` maps those ids to test names)
+ */
+async generateMutationReport(playerTestsDir, projectDir, language = 'csharp', options = {}) {
+  const { lines = null, maxMutants = 0, timeoutMs, catalogue = null } = options;
+
+  // Over budget: an evenly spread selection of the catalogue, the runner only mutates their lines
+  const candidates = (catalogue || []).filter(m => !lines || (lines[m.fileName] || []).includes(m.line));
+  const budgeted = maxMutants > 0 && candidates.length > maxMutants
+    ? new Set(evenlySpread(candidates, maxMutants).map(m => m.key || mutantKey(m)))
+    : null;
+  const mutatedLines = budgeted ? mutantLines(candidates.filter(m => budgeted.has(m.key || mutantKey(m)))) : lines;
+  const cacheKey = config.mutation.cache && options.cacheKey
+    ? (budgeted ? `${options.cacheKey}_budget${maxMutants}` : options.cacheKey)
+    : null;
 
+  try {
+  let data = cacheKey ? readMutationCache(cacheKey) : null;
+  const cached = Boolean(data);
+
+  if (cached) {
+    console.log("♻️ Reusing cached mutation report");
+  } else if (mutatedLines && !Object.values(mutatedLines).some(fileLines => fileLines.length)) {
+    // The tests run no code at all, nothing worth mutating
+    data = { files: {} };
+  } else {
+    data = await this.getRunner(language).mutate(playerTestsDir, projectDir, { lines: mutatedLines, maxMutants, timeoutMs });
+    if (cacheKey) writeMutationCache(cacheKey, data);
+  }
 
-  // 5️⃣ Extract mutants
-  const mutants = Object.values(data.files || {}).flatMap(file =>
+  // Extract mutants, report files are keyed by challenge file path
+  const mutants = Object.entries(data.files || {}).flatMap(([fileName, file]) =>
     (file.mutants || []).map(m => ({
       id: m.id,
       mutation: m.mutatorName || m.replacement,
-      originalCode: m.replacement,
+      originalCode: sourceSnippet(file.source, m.location),
+      replacement: m.replacement ?? null,
+      location: {
+        start: { line: m.location?.start?.line, column: m.location?.start?.column },
+        end: { line: m.location?.end?.line, column: m.location?.end?.column }
+      },
       line: m.location?.start?.line,
       status: m.status,
-      fileName: file.language || "BaseCode.cs"
+      statusReason: m.statusReason || null,
+      killedBy: m.killedBy || [],
+      coveredBy: m.coveredBy || [],
+      fileName
     }))
-  );
+  ).filter(m => !mutatedLines || (mutatedLines[m.fileName] || []).includes(m.line)); // PIT and the fake runner cannot skip lines themselves
+
+  // Lines hold more mutants than were picked, and without a catalogue the budget applies to what the run found
+  const scored = budgeted || (maxMutants > 0 && mutants.length > maxMutants
+    ? new Set(evenlySpread(mutants, maxMutants).map(mutantKey))
+    : null);
+  if (scored) {
+    for (const m of mutants) {
+      if (!scored.has(mutantKey(m))) {
+        m.status = "Ignored";
+        m.statusReason = "Outside the mutation budget";
+      }
+    }
+  }
+
+  // Measured against the whole catalogue: a mutant on a line the run skipped would not have been killed
+  if (catalogue?.length) {
+    const seen = new Set(mutants.map(mutantKey));
+    for (const entry of catalogue) {
+      if (seen.has(entry.key || mutantKey(entry))) continue;
+      const skippedLine = Boolean(lines) && !(lines[entry.fileName] || []).includes(entry.line);
+      const overBudget = Boolean(budgeted) && !budgeted.has(entry.key || mutantKey(entry));
+      mutants.push({
+        id: null,
+        mutation: entry.mutation,
+        originalCode: entry.originalCode,
+        replacement: entry.replacement ?? null,
+        location: entry.location,
+        line: entry.line,
+        status: skippedLine ? "NoCoverage" : "Ignored",
+        statusReason: skippedLine ? "No test runs this line" : overBudget ? "Outside the mutation budget" : "Not in this run",
+        killedBy: [],
+        coveredBy: [],
+        fileName: entry.fileName
+      });
+    }
+  }
 
-  const killed = mutants.filter(m => m.status === "Killed").length;
-  const survived = mutants.filter(m => m.status === "Survived").length;
-  const timeout = mutants.filter(m => m.status === "Timeout").length;
-  const noCoverage = mutants.filter(m => m.status === "NoCoverage").length;
-  const totalMutants = mutants.length;
-  const mutationScore = totalMutants > 0 ? ((killed / totalMutants) * 100).toFixed(1) : "0";
+  // Test ids used by killedBy/coveredBy -> test names (schema 2 reports list them under testFiles)
+  const tests = {};
+  for (const testFile of Object.values(data.testFiles || {})) {
+    for (const test of testFile.tests || []) {
+      tests[test.id] = test.name;
+    }
+  }
+
+  const summarize = (list) => {
+    const killed = list.filter(m => m.status === "Killed").length;
+    const survived = list.filter(m => m.status === "Survived").length;
+    const timeout = list.filter(m => m.status === "Timeout").length;
+    const noCoverage = list.filter(m => m.status === "NoCoverage").length;
+    const ignored = list.filter(m => m.status === "Ignored").length;
+    const totalMutants = list.length - ignored; // like Stryker, ignored mutants do not count toward the score
+    const mutationScore = totalMutants > 0 ? ((killed / totalMutants) * 100).toFixed(1) : "0";
+    return { totalMutants, killed, survived, timeout, noCoverage, ignored, mutationScore: parseFloat(mutationScore) };
+  };
+
+  const files = {};
+  for (const fileName of new Set([...Object.keys(data.files || {}), ...mutants.map(m => m.fileName)])) {
+    files[fileName] = summarize(mutants.filter(m => m.fileName === fileName));
+  }
 
   return {
     success: true,
     mutants,
-    summary: { totalMutants, killed, survived, timeout, noCoverage, mutationScore: parseFloat(mutationScore) }
+    summary: summarize(mutants),
+    files,
+    tests,
+    cached
   };
 
 } catch (error) {
@@ -642,32 +789,46 @@ if (!reportPath) throw new Error("Report file not found");
   return {
     success: false,
     error: error.message,
+    ...errorDetails(error),
     mutants: [],
-    summary: { totalMutants: 0, killed: 0, survived: 0, timeout: 0, noCoverage: 0, mutationScore: 0 }
+    summary: { totalMutants: 0, killed: 0, survived: 0, timeout: 0, noCoverage: 0, ignored: 0, mutationScore: 0 },
+    files: {},
+    tests: {}
   };
 }
 }
   /**
    * Get a specific code challenge
    * @param {string} challengeId - Challenge ID
+   * @param {object} [options]
+   * @param {string} [options.mode] - bugHunt serves the code with the seeded bugs
    * @returns {Object} Code challenge details
    */
-  async getChallenge(challengeId) {
+  async getChallenge(challengeId, options = {}) {
     try {
-      const challenge = await Code.findById(challengeId).lean();
+      const challenge = await Code.findById(challengeId).select('-mutantCatalogue -reference -bugVariants -referenceTests').lean();
 
       if (!challenge) {
         return { success: false, error: 'Challenge not found' };
       }
 
+      const served = this.challengeSources(challenge, options.mode);
+
       return {
         success: true,
         challenge: {
           id: challenge._id,
           title: challenge.title,
           description: challenge.description,
-          baseCode: challenge.baseCode,
+          baseCode: Array.isArray(served) ? challenge.baseCode : served,
+          files: Array.isArray(served) ? served : [],
           testTemplate: challenge.testTemplate,
+          language: challenge.language || 'csharp',
+          difficulty: challenge.difficulty,
+          tags: challenge.tags || [],
+          estimatedMinutes: challenge.estimatedMinutes,
+          author: challenge.author,
+          status: challenge.status || 'published',
           createdAt: challenge.createdAt,
           time : challenge.time 
         }
@@ -677,22 +838,76 @@ if (!reportPath) throw new Error("Report file not found");
     }
   }
 
+/**
+ * Code players test in a game of the given mode: the challenge code, or in bug-hunt games the code with the seeded bugs
+ * @param {object} challenge - Code document
+ * @param {string} [mode] - classic (default) or bugHunt
+ * @returns {string|Array<{ path: string, content: string }>} base code, or the files of a multi-file challenge
+ */
+challengeSources(challenge, mode = 'classic') {
+  if (mode === 'bugHunt' && (challenge.seededBugs?.baseCode || challenge.seededBugs?.files?.length)) {
+    return versionSources(challenge, challenge.seededBugs);
+  }
+  return challenge.files?.length ? challenge.files.map(file => ({ path: file.path, content: file.content })) : challenge.baseCode || '';
+}
+
 /**
  * Get a random challenge
+ * @param {object} [options]
+ * @param {string} [options.mode] - bugHunt only picks challenges with seeded bugs, a reference implementation
+ *   and bug variants, and serves the seeded code
+ * @param {object} [options.filters] - Room filters: { difficulty: [], tags: [], language, maxEstimatedMinutes }
+ * @param {Array<string>} [options.excludeIds] - Challenges to avoid (already played), used anyway when nothing else matches
+ * @param {string} [options.challengeId] - Challenge the host picked, filters and excludeIds are ignored
  * @returns {Object} Random challenge
  */
-async getRandomChallenge() {
+async getRandomChallenge(options = {}) {
   try {
-    const count = await Code.countDocuments();
+    const mode = options.mode || 'classic';
+    const { difficulty = [], tags = [], language, maxEstimatedMinutes } = options.filters || {};
+
+    // Published (or inserted directly) challenges whose authoring checks passed
+    const filter = {
+      status: { $nin: ['draft', 'retired'] },
+      'validation.status': { $nin: ['pending', 'failed'] }
+    };
+    if (mode === 'bugHunt') {
+      filter['bugVariants.0'] = { $exists: true };
+      filter.$and = [
+        { $or: [{ 'reference.baseCode': { $nin: [null, ''] } }, { 'reference.files.0': { $exists: true } }] },
+        { $or: [{ 'seededBugs.baseCode': { $nin: [null, ''] } }, { 'seededBugs.files.0': { $exists: true } }] }
+      ];
+    }
+    if (options.challengeId) {
+      filter._id = options.challengeId;
+    } else {
+      if (difficulty.length) filter.difficulty = { $in: difficulty };
+      if (tags.length) filter.tags = { $in: tags };
+      if (language) filter.language = language === 'csharp' ? { $in: ['csharp', null] } : language; // csharp is the default
+      if (maxEstimatedMinutes) filter.estimatedMinutes = { $lte: maxEstimatedMinutes };
+    }
+
+    let query = options.excludeIds?.length && !options.challengeId ? { ...filter, _id: { $nin: options.excludeIds } } : filter;
+    let count = await Code.countDocuments(query);
+    if (count === 0 && query !== filter) {
+      console.log("♻️ Every matching challenge was played already, picking a played one");
+      query = filter;
+      count = await Code.countDocuments(query);
+    }
+    if (count === 0 && options.challengeId) {
+      return { success: false, error: `The picked challenge is not available${mode === 'bugHunt' ? ' for bug-hunt games' : ''}` };
+    }
     if (count === 0) {
+      const filtered = difficulty.length || tags.length || language || maxEstimatedMinutes;
       return {
         success: false,
-        error: 'No challenges found'
+        error: `No ${mode === 'bugHunt' ? 'bug-hunt ' : ''}challenges found${filtered ? ' matching the room filters' : ''}`
       };
     }
 
     const randomIndex = Math.floor(Math.random() * count);
-    const challenge = await Code.findOne().skip(randomIndex);
+    const challenge = await Code.findOne(query).skip(randomIndex).select('-mutantCatalogue -reference -referenceTests');
+    const served = this.challengeSources(challenge, mode);
 
     return {
       success: true,
@@ -700,9 +915,17 @@ async getRandomChallenge() {
         id: challenge._id,
         title: challenge.title,
         description: challenge.description,
-        baseCode: challenge.baseCode,
+        baseCode: Array.isArray(served) ? challenge.baseCode : served,
+        files: Array.isArray(served) ? served : [],
+        mode,
+        ...(mode === 'bugHunt' ? { bugCount: challenge.bugVariants.length } : {}),
         testCases: challenge.testCases,
         testTemplate: challenge.testTemplate,
+        language: challenge.language || 'csharp',
+        difficulty: challenge.difficulty,
+        tags: challenge.tags || [],
+        estimatedMinutes: challenge.estimatedMinutes,
+        author: challenge.author,
         createdAt: challenge.createdAt
       }
     };
@@ -792,28 +1015,46 @@ async getRandomChallenge() {
           doc.moveDown(1.5);
         }
 
+        // Reference implementation and known bugs Section
+        if (playerData.bugReport) {
+          const { referencePassed, wrongTests = [], caught = 0, total = 0 } = playerData.bugReport;
+          doc.fontSize(16).fillColor('#1e293b').text('Known Bugs', { underline: true });
+          doc.moveDown(0.5);
+          doc.fontSize(12).fillColor('#475569');
+
+          if (referencePassed !== undefined && referencePassed !== null) {
+            doc.text(`Reference Implementation: ${referencePassed ? 'all tests pass' : `${wrongTests.length} tests fail`}`);
+          }
+          doc.text(`Bugs Caught: ${caught} of ${total}`);
+          doc.moveDown(1.5);
+        }
+
         // Scores Section
         doc.fontSize(16).fillColor('#1e293b').text('Score Breakdown', { underline: true });
         doc.moveDown(0.5);
         doc.fontSize(12).fillColor('#475569');
         
-        // Calculate component scores (matching backend formula)
-        const coverageSummary = playerData.coverageSummary || 0;
-        const mutationScoreValue = playerData.mutation?.score || 0;
-        const testLines = playerData.testLines || 0;
-        const executionTime = playerData.executionTime || 0;
-        
-        const mutationComponent = mutationScoreValue * 0.4;
-        const branchComponent = branchRate * 0.2;
-        const coverageComponent = coverageSummary * 0.2;
-        const testLinesComponent = testLines * 0.1;
-        const timeDeduction = executionTime * 0.1;
-        
-        doc.text(`Mutation Score (${mutationScoreValue.toFixed(1)}% × 40%): ${mutationComponent.toFixed(2)} points`);
-        doc.text(`Branch Coverage (${branchRate.toFixed(1)}% × 20%): ${branchComponent.toFixed(2)} points`);
-        doc.text(`Line Coverage (${coverageSummary}% × 20%): ${coverageComponent.toFixed(2)} points`);
-        doc.text(`Test Quality (${testLines} lines × 10%): ${testLinesComponent.toFixed(2)} points`);
-        doc.text(`Time Penalty (${executionTime.toFixed(2)}s × 10%): -${timeDeduction.toFixed(2)} points`);
+        // Component scores with the profile the game was scored with (reports from before profiles are v1)
+        const score = calculateScore({
+          mutation: playerData.mutation?.score || 0,
+          branch: branchRate,
+          coverage: playerData.coverageSummary || 0,
+          testLines: playerData.testLines || 0,
+          testQuality: playerData.testQuality?.score || 0,
+          testSmells: playerData.testSmells?.filter(s => s.severity === 'warning').length || 0,
+          bugsCaught: playerData.bugReport?.total ? (playerData.bugReport.caught / playerData.bugReport.total) * 100 : 0,
+          wrongTests: playerData.bugReport?.wrongTests?.length || 0,
+          executionTime: playerData.executionTime || 0
+        }, playerData.scoringProfile);
+        const profile = getScoringProfile(score.version);
+
+        doc.text(`Scoring Profile: ${profile.name} (${profile.version})`);
+        for (const entry of score.breakdown) {
+          const counted = ['lines', 'smells', 'tests'].includes(entry.unit);
+          const value = counted ? `${entry.value} ${entry.unit}` : `${Number(entry.value).toFixed(entry.unit === 's' ? 2 : 1)}${entry.unit}`;
+          const cap = entry.cap !== undefined ? `, max ${entry.cap}${counted ? ` ${entry.unit}` : entry.unit}` : '';
+          doc.text(`${entry.label} (${value} × ${Math.round(entry.weight * 100)}%${cap}): ${entry.penalty ? '-' : ''}${entry.points.toFixed(2)} points`);
+        }
         doc.moveDown(0.5);
         doc.fontSize(14).fillColor('#2563eb').text(`Total Score: ${(playerData.totalScore || 0).toFixed(2)} points`, { underline: true });
 
@@ -836,14 +1077,12 @@ async getRandomChallenge() {
   /**
    * Clean up temporary project directory
    * @param {string} projectDir - Directory to clean up
+   * @param {string} language - Runner that prepared it, releases its sandbox uid
    * @private
    */
-  async _cleanupProjectDir(projectDir) {
+  async _cleanupProjectDir(projectDir, language) {
     try {
-      if (fs.existsSync(projectDir)) {
-        await fs.promises.rm(projectDir, { recursive: true, force: true });
-
-      }
+      await this.getRunner(language).cleanup(projectDir);
     } catch (error) {
       console.error(`❌ Failed to clean up ${projectDir}:`, error);
     }
@@ -7,8 +7,14 @@ const Badge = require('../models/badge');
 const CodeService = require('./codeService');
 const RoomService = require('./roomService');
 const PlayerService = require('./playerService');
+const JobService = require('./jobService');
 const path = require('path');
 const { base } = require('../models/code');
+const { config } = require('../config/env');
+const { calculateScore, BUG_HUNT_PROFILE } = require('../utils/scoringProfiles');
+const { detectTestSmells } = require('../utils/testSmells');
+const { MAX_TEST_CODE_LENGTH } = require('../utils/testQuality');
+const { checkSuspicion } = require('../utils/antiCheat');
 class GameService {
 
   constructor() {
@@ -16,6 +22,11 @@ class GameService {
     this.codeService = new CodeService(); 
     this.roomService = new RoomService();
     this.playerService = new PlayerService();
+    this.jobService = new JobService(
+      (job, reportProgress) => this.calculatePlayerData(
+        job.gameId.toString(), job.playerId.toString(), job.testCode, reportProgress
+      )
+    );
   }
 
   async getGame(gameId) {
@@ -46,8 +57,18 @@ class GameService {
       return { success: false, error: 'Game already started in this room' };
     }
 
-    const codeChallengeResult = await this.codeService.getRandomChallenge();
-    if (!codeChallengeResult.success) return { success: false, error: 'Code challenge not found' };
+    // Pick by the room's filters, skipping challenges any player in the room already played
+    const mode = room.settings?.mode || 'classic';
+    const playedIds = await Game.distinct('codeId', {
+      'players.playerId': { $in: room.players.map(p => p.playerId._id || p.playerId) }
+    });
+    const codeChallengeResult = await this.codeService.getRandomChallenge({
+      mode,
+      filters: room.settings?.filters,
+      excludeIds: playedIds,
+      challengeId: room.settings?.challengeId
+    });
+    if (!codeChallengeResult.success) return { success: false, error: codeChallengeResult.error || 'Code challenge not found' };
     
     
     const allReady = room.players.every(p => p.isReady);
@@ -55,6 +76,13 @@ class GameService {
 
     const challenge = codeChallengeResult.challenge;
 
+    // Every player's mutants are numbered from the same catalogue, start it over if the code changed.
+    // The first scoring run builds it when challenge validation has not
+    const catalogue = await this.codeService.prepareMutantCatalogue(challenge.id);
+    if (!catalogue.success) {
+      console.warn("⚠️ Could not prepare the mutant catalogue:", catalogue.error);
+    }
+
     const game = new Game({
       roomCode: room.code,
       hostId: room.hostId,
@@ -80,13 +108,20 @@ class GameService {
         feedback: ''
       })),
       gameState: 'playing',
+      mode,
+      scoringProfile: mode === 'bugHunt' ? BUG_HUNT_PROFILE : room.settings?.scoringProfile || config.scoring.defaultProfile,
+      mutationBudget: {
+        coveredLinesOnly: config.mutation.coveredLinesOnly,
+        maxMutants: config.mutation.maxMutants,
+        timeoutMs: config.mutation.timeoutMs
+      },
       startedAt: new Date()
     });
 
     await game.save();
 
     // Use your roomService method here
-    const updateResult = await this.roomService.updateRoomGameState(room.code, 'playing', { gameId: game._id, codeId: challenge.id });
+    const updateResult = await this.roomService.updateRoomGameState(room.code, 'playing', { gameId: game._id, codeId: challenge.id, mode });
     if (!updateResult.success) return { success: false, error: updateResult.error };
 
     this.activeGames.set(game._id.toString(), {
@@ -135,6 +170,10 @@ async submitTestCode(gameId, playerId, testCode) {
       return { success: false, error: "No test code submitted" };
     }
 
+    if (testCode.length > MAX_TEST_CODE_LENGTH) {
+      return { success: false, error: `Test code is longer than ${MAX_TEST_CODE_LENGTH} characters` };
+    }
+
     // Find player inside game
     const playerIndex = game.players.findIndex(
       p => p.playerId.toString() === playerId.toString()
@@ -242,17 +281,23 @@ async getLastSubmission(playerId, gameId) {
   async getGameResults(gameId) {
     try {
       const game = await Game.findById(gameId)
-        .populate('players.playerId', 'name email'); // Populate player names
+        .populate('players.playerId', 'name email') // Populate player names
+        .populate('codeId', 'mutantCatalogue bugVariants');
         
       if (!game){
         return { success:false , error:"Game not found"};
       }
 
-      // Transform the data to include player names directly
+      // Transform the data to include player names directly, anti-cheat reports are for the host only.
+      // Anyone may read the results, during play they only tell how many bugs each player caught
       const gameResults = game.players.map(playerData => ({
-        ...playerData.toObject(),
+        ...(({ suspicion, bugReport, ...data }) => ({
+          ...data,
+          bugReport: game.gameState === 'finished' ? bugReport : this.countBugs(bugReport)
+        }))(playerData.toObject()),
         playerName: playerData.playerId?.name || 'Unknown Player',
-        playerId: playerData.playerId?._id || playerData.playerId // Keep the ID as well
+        playerId: playerData.playerId?._id || playerData.playerId, // Keep the ID as well
+        scoringProfile: game.scoringProfile // the PDF report renders the breakdown with it
       }));
 
       if(!gameResults)
@@ -261,7 +306,10 @@ async getLastSubmission(playerId, gameId) {
       }
       return {
         success:true,
-        playerData: gameResults // Fixed typo: was playerDate
+        playerData: gameResults, // Fixed typo: was playerDate
+        mutantLeaderboard: this.mutantLeaderboard(game.players, game.codeId?.mutantCatalogue?.mutants),
+        // Seeded bugs stay hidden until the game is over
+        ...(game.mode === 'bugHunt' && game.gameState === 'finished' ? { bugs: this.revealBugs(game.players, game.codeId?.bugVariants) } : {})
       }
     }
     catch (error){
@@ -272,7 +320,251 @@ async getLastSubmission(playerId, gameId) {
     } 
 }
 
-async calculatePlayerData (gameId, playerId , testCode){
+/**
+ * Cross-player view of the challenge's mutants: who killed each one, and who killed the most
+ * @param {Array} players - Game players, playerId populated with the name
+ * @param {Array} [catalogue] - Mutants of the challenge's mutant catalogue
+ * @returns {{ mutants: Array, players: Array }} mutants hardest first (killed by the fewest players),
+ *   players by kills, `uniqueKills` counting the mutants nobody else killed
+ */
+mutantLeaderboard(players, catalogue = []) {
+  const mutants = catalogue.map((m, i) => ({
+    catalogueId: i + 1,
+    fileName: m.fileName,
+    line: m.line,
+    mutation: m.mutation,
+    originalCode: m.originalCode,
+    replacement: m.replacement,
+    killedBy: [],
+    evaluatedBy: 0 // players whose run included this mutant
+  }));
+
+  const ranking = players.map(p => ({
+    playerId: p.playerId?._id || p.playerId,
+    playerName: p.playerId?.name || 'Unknown Player',
+    killed: 0,
+    uniqueKills: 0
+  }));
+
+  players.forEach((p, index) => {
+    for (const detail of p.mutation?.details || []) {
+      const mutant = mutants[detail.catalogueId - 1];
+      if (!mutant || detail.status === 'Ignored') continue;
+
+      mutant.evaluatedBy++;
+      if (detail.status === 'Killed') {
+        mutant.killedBy.push(ranking[index]);
+        ranking[index].killed++;
+      }
+    }
+  });
+
+  for (const mutant of mutants) {
+    if (mutant.killedBy.length === 1) mutant.killedBy[0].uniqueKills++;
+    mutant.killRate = mutant.evaluatedBy > 0 ? Math.round((mutant.killedBy.length / mutant.evaluatedBy) * 100) : 0;
+  }
+
+  return {
+    mutants: mutants
+      .map(m => ({ ...m, killedBy: m.killedBy.map(({ playerId, playerName }) => ({ playerId, playerName })) }))
+      .sort((a, b) => a.killedBy.length - b.killedBy.length || a.catalogueId - b.catalogueId),
+    players: [...ranking].sort((a, b) => b.killed - a.killed || b.uniqueKills - a.uniqueKills)
+  };
+}
+
+/**
+ * Seeded bugs of a bug-hunt game, each with the first player who caught it
+ * @param {Array} players - Game players, playerId populated with the name when available
+ * @param {Array} [variants] - Bug variants of the challenge
+ * @returns {Array<{ id: string, title: string, description: string, caughtBy: number,
+ *   firstCaughtBy: { playerId: string, playerName: string, caughtAt: Date, tests: string[] }|null }>}
+ *   `caughtBy` counts the players who caught the bug
+ */
+revealBugs(players, variants = []) {
+  return variants.map(variant => {
+    const catches = players
+      .map(p => ({ player: p, bug: (p.bugReport?.bugs || []).find(b => b.id === variant.id && b.caught) }))
+      .filter(c => c.bug)
+      .map(c => ({ ...c, caughtAt: c.bug.caughtAt || c.player.submission?.submittedAt }))
+      .sort((a, b) => new Date(a.caughtAt) - new Date(b.caughtAt));
+    const first = catches[0];
+
+    return {
+      id: variant.id,
+      title: variant.title || variant.id,
+      description: variant.description || '',
+      caughtBy: catches.length,
+      firstCaughtBy: first
+        ? {
+          playerId: first.player.playerId?._id || first.player.playerId,
+          playerName: first.player.playerId?.name || 'Unknown Player',
+          caughtAt: first.caughtAt,
+          tests: first.bug.caughtBy
+        }
+        : null
+    };
+  });
+}
+
+/**
+ * Bug report as its player may see it while the game runs: the counts and the bugs they caught,
+ * without titles or descriptions, so the seeded bugs can't be read off before the reveal
+ * @param {Object} [bugReport] - Player's bug report
+ * @returns {Object|undefined}
+ */
+hideBugs(bugReport) {
+  if (!bugReport) return bugReport;
+  return {
+    ...bugReport,
+    bugs: (bugReport.bugs || [])
+      .filter(bug => bug.caught)
+      .map(({ id, caught, caughtBy, caughtAt }) => ({ id, caught, caughtBy, caughtAt }))
+  };
+}
+
+/**
+ * Bug report as other players may see it while the game runs: only how many bugs were caught,
+ * bug ids and test names would tell them which bugs to look for and how
+ * @param {Object} [bugReport] - Player's bug report
+ * @returns {Object|undefined}
+ */
+countBugs(bugReport) {
+  if (!bugReport) return bugReport;
+  return { caught: bugReport.caught, total: bugReport.total };
+}
+
+/**
+ * Anti-cheat reports of a game's players, for the host to review
+ * @param {string} gameId - Game ID
+ * @param {string} hostId - Player asking, must be the game's host
+ * @returns {Object} Players with a suspicious submission
+ */
+async getSuspicionReports(gameId, hostId) {
+  try {
+    const game = await Game.findById(gameId).populate('players.playerId', 'name email');
+    if (!game) {
+      return { success: false, error: "Game not found" };
+    }
+
+    if (game.hostId.toString() !== hostId.toString()) {
+      return { success: false, error: "Only the host can review suspicious submissions" };
+    }
+
+    const reports = game.players
+      .filter(p => p.suspicion && p.suspicion.level !== 'none')
+      .map(p => ({
+        playerId: p.playerId?._id || p.playerId,
+        playerName: p.playerId?.name || 'Unknown Player',
+        testCode: p.submission?.testCode,
+        suspicion: p.suspicion
+      }));
+
+    return { success: true, reports };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record the host's decision on a suspicious submission
+ * @param {string} gameId - Game ID
+ * @param {string} hostId - Player reviewing, must be the game's host
+ * @param {string} playerId - Player whose submission is reviewed
+ * @param {string} status - cleared or confirmed
+ * @param {string} [note] - Host's note
+ * @returns {Object} Updated suspicion report
+ */
+async reviewSuspicion(gameId, hostId, playerId, status, note = '') {
+  try {
+    if (!['cleared', 'confirmed'].includes(status)) {
+      return { success: false, error: "Status must be cleared or confirmed" };
+    }
+
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return { success: false, error: "Game not found" };
+    }
+
+    if (game.hostId.toString() !== hostId.toString()) {
+      return { success: false, error: "Only the host can review suspicious submissions" };
+    }
+
+    const gamePlayer = game.players.find(p => p.playerId.toString() === playerId.toString());
+    if (!gamePlayer) {
+      return { success: false, error: "Player not in this game" };
+    }
+
+    if (!gamePlayer.suspicion || gamePlayer.suspicion.level === 'none') {
+      return { success: false, error: "Nothing to review for this player" };
+    }
+
+    gamePlayer.suspicion.review = { status, reviewedBy: hostId, reviewedAt: new Date(), note };
+    game.markModified("players");
+    await game.save();
+
+    return { success: true, suspicion: gamePlayer.suspicion };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Queue a scoring run for a player's submission, only while the game is playing
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Player ID
+ * @param {string} [testCode] - Tests to score, defaults to the player's last submission
+ * @returns {Object} Queued job
+ */
+async enqueueScoring(gameId, playerId, testCode) {
+  try {
+    const game = await Game.findById(gameId);
+    if (!game) {
+      return { success: false, error: "Game not found" };
+    }
+
+    // Finished games are scored by endGame, later runs would overwrite the final results
+    if (game.gameState !== "playing") {
+      return { success: false, error: "Game is not active" };
+    }
+
+    const gamePlayer = game.players.find(
+      p => p.playerId.toString() === playerId.toString()
+    );
+    if (!gamePlayer) {
+      return { success: false, error: "Player not in this game" };
+    }
+
+    return this.jobService.enqueue(gameId, playerId, testCode || gamePlayer.submission?.testCode, game.roomCode);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a scoring job's status, with the player data once it finished
+ * @param {string} jobId - Job ID
+ * @param {string} playerId - Authenticated player, only the job's own player can read it
+ * @returns {Object} Job status
+ */
+async getScoringJob(jobId, playerId) {
+  const result = await this.jobService.getJob(jobId);
+  if (result.success && result.job.playerId.toString() !== playerId.toString()) {
+    return { success: false, error: "Not your scoring job" };
+  }
+  return result;
+}
+
+/**
+ * Compile, test, cover and mutate a player's submission and store the scores
+ * @param {string} gameId - Game ID
+ * @param {string} playerId - Player ID
+ * @param {string} testCode - Player's test code
+ * @param {function} [onProgress] - Called with { stage, status, partial } at each stage boundary
+ * @returns {Object} Player data
+ */
+async calculatePlayerData (gameId, playerId , testCode, onProgress = () => {}){
+  const progress = (stage, status, partial) => onProgress({ stage, status, ...(partial ? { partial } : {}) });
+
   try {
     const player = await this.playerService.getPlayer(playerId);
     
@@ -294,30 +586,40 @@ async calculatePlayerData (gameId, playerId , testCode){
         return { success:false , error:"Player not in this game"}
       }   
 
-      const baseCode = game.codeId.baseCode;
+      // Score the tests this run was asked for, everything below reads them from the submission
+      if (testCode) {
+        gamePlayer.submission.testCode = testCode;
+      }
+
+      const language = game.codeId.language || 'csharp';
+      // Bug-hunt players test the code with the seeded bugs
+      const bugHunt = game.mode === 'bugHunt';
+      const sources = this.codeService.challengeSources(game.codeId, game.mode);
  
 
       const tempRootDir = path.join(process.cwd(), 'temp');
       
       const runCode = await this.codeService.compileAndRunCSharpCode(
-       baseCode, gamePlayer.submission.testCode, playerId,
-       tempRootDir
+       sources, gamePlayer.submission.testCode, playerId,
+       tempRootDir, language, progress
       )
 
       if(!runCode.success){
-        return { success:false ,error: runCode.error};
+        return { success:false ,error: runCode.error, errorType: runCode.errorType, violation: runCode.violation, diagnostics: runCode.diagnostics};
       }
 
       // ✅ Tests ran successfully (even if some failed)
       const executionTime = runCode.executionTime ;
       const testStats = runCode.stats ;
+      const testResults = runCode.tests || [];
 
       const playerTestDir = runCode.playerTestsDir ;
 
       let coverageReport;
 try {
   console.log("Starting coverage report...");
-  coverageReport = await this.codeService.generateCoverageReport(playerTestDir);
+  progress('coverage', 'started');
+  coverageReport = await this.codeService.generateCoverageReport(playerTestDir, language);
   console.log("Finished coverage report");
 } catch(e) {
   console.error("Coverage report error:", e);
@@ -326,8 +628,8 @@ try {
 
 
       if(!coverageReport.success){
-
-        return { success:false ,error: coverageReport.error};
+        progress('coverage', 'failed', { error: coverageReport.error, errorType: coverageReport.errorType });
+        return { success:false ,error: coverageReport.error, errorType: coverageReport.errorType, violation: coverageReport.violation};
 
       }
 
@@ -337,19 +639,54 @@ try {
       const coverageSummary = coverageReport.coverageSummary;
       const lineRate = coverageReport.lineRate;
       const branchRate = coverageReport.branchRate;
+      const { methodCoverage, untestedMethods, publicMethodCoverage } = coverageReport;
+      // Per file rates, the lines are already in lineCoverage
+      const coverageByFile = Object.fromEntries(
+        Object.entries(coverageReport.coverageByFile || {}).map(([file, { lineCoverage: _, ...rates }]) => [file, rates])
+      );
+      progress('coverage', 'completed', { coverageSummary, lineRate, branchRate, publicMethodCoverage });
 
-      const calculateTestLines = await this.codeService.calculateTestLines(baseCode);
-      if(!calculateTestLines.success){
-        return { success:false ,error: calculateTestLines.error};
+      // Measured on the tests that just ran
+      const testQuality = await this.codeService.calculateTestLines(gamePlayer.submission.testCode, language);
+      if(!testQuality.success){
+        return { success:false ,error: testQuality.error};
       }
 
-      const testLines = calculateTestLines.totalTestLines ;
+      const testLines = testQuality.totalTestLines ;
+      const { success: _, ...testQualityData } = testQuality;
+      const testSmells = detectTestSmells(gamePlayer.submission.testCode, language);
 
       let generateMutationReport;
   try {
 
+       progress('mutation', 'started');
+
+       // Mutants on lines no test runs can only survive, the budget may skip them
+       const budget = game.mutationBudget || config.mutation;
+       // Seeded bugs make tests fail on purpose and mutation testing needs passing tests, no lines mutate no mutants
+       const mutatedLines = bugHunt
+        ? {}
+        : budget.coveredLinesOnly
+        ? Object.fromEntries(Object.keys(coverageReport.coverageByFile || {}).map(file => [
+          file,
+          lineCoverage.filter(l => l.file === file && l.covered).map(l => l.line)
+        ]))
+        : null;
+
+       // Every player is scored on the challenge's complete mutant catalogue, built by the first run that needs it
+       const catalogue = bugHunt ? null : await this.codeService.buildMutantCatalogue(game.codeId._id);
+       if (catalogue && !catalogue.success) {
+        console.warn("⚠️ Could not build the mutant catalogue, scoring this run's mutants only:", catalogue.error);
+       }
+
        generateMutationReport = await this.codeService.generateMutationReport(
-        playerTestDir, tempRootDir
+        playerTestDir, tempRootDir, language, {
+          cacheKey: bugHunt ? null : this.codeService.mutationCacheKey(sources, gamePlayer.submission.testCode, language, mutatedLines),
+          lines: mutatedLines,
+          maxMutants: budget.maxMutants,
+          timeoutMs: budget.timeoutMs,
+          catalogue: catalogue?.success ? catalogue.mutants : null
+        }
       )
       console.log("Finished Mutation report");
 } catch(e) {
@@ -357,23 +694,67 @@ try {
 }
     
       if(!generateMutationReport.success){
-        return { success:false ,error: generateMutationReport.error};
+        progress('mutation', 'failed', { error: generateMutationReport.error, errorType: generateMutationReport.errorType });
+        return { success:false ,error: generateMutationReport.error, errorType: generateMutationReport.errorType, violation: generateMutationReport.violation};
       }
 
 
-      const mutants = generateMutationReport.mutants ;
+      // Number the mutants like in everyone else's results
+      const catalogued = await this.codeService.catalogueMutants(game.codeId._id, generateMutationReport.mutants);
+      if (!catalogued.success) {
+        console.warn("⚠️ Could not update the mutant catalogue:", catalogued.error);
+      }
+      const mutants = catalogued.mutants;
       const mutantionSummary = generateMutationReport.summary;
+      progress('mutation', 'completed', { summary: mutantionSummary });
+
+      // 🐞 Do the tests accept the reference implementation and reject the known bugs?
+      let bugReport = null;
+      if (game.codeId.reference?.baseCode || game.codeId.reference?.files?.length || game.codeId.bugVariants?.length) {
+        progress('bugs', 'started');
+        const bugRun = await this.codeService.runBugVariants(game.codeId, gamePlayer.submission.testCode, playerId, tempRootDir, language);
+        if (bugRun.success) {
+          // A bug keeps the time it was first caught while later submissions still catch it
+          const now = new Date();
+          const previous = new Map((gamePlayer.bugReport?.bugs || []).map(bug => [bug.id, bug]));
+          bugReport = {
+            referencePassed: bugRun.reference?.passed,
+            wrongTests: bugRun.reference?.failedTests || [],
+            caught: bugRun.bugsCaught,
+            total: bugRun.bugsTotal,
+            bugs: bugRun.bugs.map(bug => ({
+              ...bug,
+              caughtAt: bug.caught ? (previous.get(bug.id)?.caught && previous.get(bug.id).caughtAt) || now : null
+            }))
+          };
+          progress('bugs', 'completed', { caught: bugReport.caught, total: bugReport.total, referencePassed: bugReport.referencePassed });
+        } else if (bugHunt) {
+          progress('bugs', 'failed', { error: bugRun.error });
+          return { success: false, error: bugRun.error };
+        } else {
+          console.warn("⚠️ Could not run the bug variants:", bugRun.error);
+          progress('bugs', 'failed', { error: bugRun.error });
+        }
+      }
       
-      gamePlayer.submission.testCode = testCode;
       gamePlayer.submission.stats = testStats;
+      gamePlayer.submission.tests = testResults;
       gamePlayer.submission.submittedAt = new Date();
 
-      gamePlayer.totalScore =
-      (mutantionSummary.mutationScore * 0.4) +
-      (branchRate * 0.2 )+
-      (coverageSummary * 0.2) +
-      (testLines *0.1)
-      - (executionTime *0.1);
+      // Scored with the profile the game started with, see src/utils/scoringProfiles.js
+      const score = calculateScore({
+        mutation: mutantionSummary.mutationScore,
+        branch: branchRate,
+        coverage: coverageSummary,
+        testLines,
+        testQuality: testQualityData.score,
+        testSmells: testSmells.penaltySmells,
+        bugsCaught: bugReport?.total ? (bugReport.caught / bugReport.total) * 100 : 0,
+        wrongTests: bugReport?.wrongTests.length || 0,
+        executionTime
+      }, game.scoringProfile);
+      gamePlayer.totalScore = score.total;
+      gamePlayer.scoreBreakdown = score.breakdown;
       
 
       
@@ -381,6 +762,10 @@ try {
       gamePlayer.lineRate = lineRate;
       gamePlayer.branchCoverage = branchRate;
       gamePlayer.coverageSummary = coverageSummary;
+      gamePlayer.coverageByFile = coverageByFile;
+      gamePlayer.methodCoverage = methodCoverage;
+      gamePlayer.untestedMethods = untestedMethods;
+      gamePlayer.publicMethodCoverage = publicMethodCoverage;
       gamePlayer.mutation = {
         score: mutantionSummary.mutationScore,
         total: mutantionSummary.totalMutants,
@@ -388,9 +773,28 @@ try {
         survived: mutantionSummary.survived,
         timeout: mutantionSummary.timeout,
         noCoverage: mutantionSummary.noCoverage,
-        details: mutants
+        ignored: mutantionSummary.ignored,
+        files: generateMutationReport.files,
+        tests: generateMutationReport.tests,
+        details: mutants.map(({ id, ...mutant }) => ({ mutantId: id, ...mutant }))
       };
       gamePlayer.testLines = testLines;
+      gamePlayer.testQuality = testQualityData;
+      gamePlayer.testSmells = testSmells.smells;
+      gamePlayer.bugReport = bugReport || undefined;
+
+      // 🕵️ Anti-cheat, a new submission needs a new review
+      const suspicion = checkSuspicion({
+        testCode: gamePlayer.submission.testCode,
+        language,
+        lineRate,
+        mutationScore: mutantionSummary.mutationScore,
+        testQuality: testQualityData
+      });
+      gamePlayer.suspicion = { ...suspicion, review: { status: suspicion.level === 'none' ? 'none' : 'pending' } };
+      if (suspicion.level !== 'none') {
+        console.warn(`🕵️ Suspicious submission from player ${playerId} in game ${gameId}: ${suspicion.flags.map(f => f.type).join(', ')}`);
+      }
       gamePlayer.executionTime = executionTime;
 
       game.markModified("players");
@@ -398,14 +802,20 @@ try {
       game.markModified("mutation");
       game.markModified("lineCoverage");
       await game.save();
+      progress('score', 'completed', { totalScore: gamePlayer.totalScore });
 
       return {
       success: true,
       playerData: {
         stats: testStats,
+        tests: testResults,
         coverageSummary: coverageSummary,
         lineRate: lineRate,
         branchCoverage: branchRate,
+        coverageByFile: coverageByFile,
+        methodCoverage: methodCoverage,
+        untestedMethods: untestedMethods,
+        publicMethodCoverage: publicMethodCoverage,
         mutation: {
           score: mutantionSummary.mutationScore,
           total: mutantionSummary.totalMutants,
@@ -413,10 +823,19 @@ try {
           survived: mutantionSummary.survived,
           timeout: mutantionSummary.timeout,
           noCoverage: mutantionSummary.noCoverage,
+          ignored: mutantionSummary.ignored,
+          files: generateMutationReport.files,
+          tests: generateMutationReport.tests,
           details: mutants
         },
         testLines: testLines,
+        testQuality: testQualityData,
+        testSmells: testSmells.smells,
+        // Also the job result relayed to sockets, the seeded bugs stay hidden until the game is over
+        bugReport: game.gameState === 'finished' ? bugReport : this.hideBugs(bugReport),
         totalScore: gamePlayer.totalScore,
+        scoringProfile: score.version,
+        scoreBreakdown: score.breakdown,
         executionTime: executionTime,
         lineCoverage: lineCoverage  // ✅ EXPLICITLY INCLUDE THIS
       }
@@ -564,39 +983,51 @@ try {
         return { success: true, error: 'Game already finished' };
       }
 
-      // ✅ NEW: Auto-calculate missing player data before ending
+      // ✅ Queue scoring for incomplete players, then wait for every run of this game
       console.log("🔍 Checking for incomplete player data...");
-      const tempRootDir = path.join(process.cwd(), 'temp');
-      
+      const activeJobs = await this.jobService.getActiveJobs(gameId);
+      const jobIds = activeJobs.map(job => job._id);
+
       for (const gamePlayer of game.players) {
-        // Check if player has incomplete data (no mutation score or no coverage)
-        const hasIncompletData = 
-          !gamePlayer.mutation?.score || 
-          gamePlayer.mutation.score === 0 || 
-          !gamePlayer.lineRate || 
-          !gamePlayer.submission?.testCode;
-
-        if (hasIncompletData && gamePlayer.submission?.testCode) {
-          console.log(`⚙️ Auto-calculating data for player ${gamePlayer.playerId}...`);
-          
-          try {
-            const calculateResult = await this.calculatePlayerData(
-              gameId, 
-              gamePlayer.playerId.toString(), 
-              gamePlayer.submission.testCode
-            );
-            
-            if (calculateResult.success) {
-              console.log(`✅ Data calculated for player ${gamePlayer.playerId}`);
-            } else {
-              console.warn(`⚠️ Failed to calculate data for ${gamePlayer.playerId}:`, calculateResult.error);
-            }
-          } catch (calcError) {
-            console.error(`❌ Error calculating player data:`, calcError);
+        // Check if player has incomplete data (no mutation score or no coverage, bug hunts skip mutation testing)
+        const hasIncompletData = game.mode === 'bugHunt'
+          ? !gamePlayer.bugReport?.total || !gamePlayer.submission?.testCode
+          : !gamePlayer.mutation?.score || 
+            gamePlayer.mutation.score === 0 || 
+            !gamePlayer.lineRate || 
+            !gamePlayer.submission?.testCode;
+
+        const alreadyQueued = activeJobs.some(
+          job => job.playerId.toString() === gamePlayer.playerId.toString()
+        );
+
+        if (hasIncompletData && gamePlayer.submission?.testCode && !alreadyQueued) {
+          console.log(`⚙️ Queueing data calculation for player ${gamePlayer.playerId}...`);
+          const queued = await this.jobService.enqueue(
+            gameId,
+            gamePlayer.playerId.toString(),
+            gamePlayer.submission.testCode,
+            game.roomCode
+          );
+
+          if (queued.success) {
+            jobIds.push(queued.job.id);
+          } else {
+            console.warn(`⚠️ Failed to queue data calculation for ${gamePlayer.playerId}:`, queued.error);
           }
         }
       }
 
+      if (jobIds.length > 0) {
+        const { finished, jobs } = await this.jobService.waitForJobs(jobIds);
+        if (!finished) {
+          console.warn("⚠️ Timed out waiting for scoring jobs, ending game with the data available");
+        }
+        for (const job of jobs.filter(j => j.status === 'failed')) {
+          console.warn(`⚠️ Failed to calculate data for ${job.playerId}:`, job.error);
+        }
+      }
+
       // Reload game to get updated player data
       await game.save();
       const updatedGame = await Game.findById(gameId).populate('codeId');
@@ -626,11 +1057,38 @@ try {
       // const winner = playerScores[0];
       // game.winner = winner.playerId;
 
+      // 🐞 Bug hunt: who caught each seeded bug first
+      const bugReveal = updatedGame.mode === 'bugHunt' ? this.revealBugs(updatedGame.players, updatedGame.codeId?.bugVariants) : null;
+
       // ✅ 4️⃣ Award badges to each player
       for (let i = 0; i < updatedGame.players.length; i++) {
         const gamePlayer = updatedGame.players[i];
         const badges = [];
 
+        // 🔍 Public methods no test reached
+        for (const method of gamePlayer.untestedMethods || []) {
+          gamePlayer.feedback = (gamePlayer.feedback || '') + `\n🔍 You never tested \`${method.name}\` (${method.className})`;
+        }
+
+        // 👃 Test smells
+        for (const smell of gamePlayer.testSmells || []) {
+          gamePlayer.feedback = (gamePlayer.feedback || '') + `\n👃 Line ${smell.line}: ${smell.message}`;
+        }
+
+        // 🐞 Reference implementation and known bugs
+        const bugReport = gamePlayer.bugReport;
+        if (bugReport?.wrongTests?.length) {
+          gamePlayer.feedback = (gamePlayer.feedback || '') + `\n❌ Fails on the correct implementation: ${bugReport.wrongTests.map(t => `\`${t}\``).join(', ')}`;
+        }
+        if (bugReport?.total) {
+          gamePlayer.feedback = (gamePlayer.feedback || '') + `\n🐞 Caught ${bugReport.caught} of ${bugReport.total} known bugs`;
+        }
+        for (const bug of bugReveal || []) {
+          if (bug.firstCaughtBy && bug.firstCaughtBy.playerId.toString() === gamePlayer.playerId.toString()) {
+            gamePlayer.feedback = (gamePlayer.feedback || '') + `\n🥇 First to catch: ${bug.title}`;
+          }
+        }
+
         // 🎖️ Mutation Slayer: Kill ≥ 80% of mutants
         if (gamePlayer.mutation?.score >= 80) {
           const mutationSlayerBadge = await Badge.findOne({ condition: 'mutation_slayer' });
@@ -760,14 +1218,22 @@ try {
           gameId: updatedGame._id,
           winner: updatedGame.winner,
           gameDuration: gameDuration,
+          scoringProfile: updatedGame.scoringProfile,
+          mode: updatedGame.mode,
+          ...(bugReveal ? { bugs: bugReveal } : {}),
           players: updatedGame.players.map(p => ({
             playerId: p.playerId,
             totalScore: p.totalScore,
+            scoreBreakdown: p.scoreBreakdown,
             badgesEarned: p.badgesEarned,
             feedback: p.feedback,
             mutation: p.mutation,
             lineCoverage: p.lineCoverage,
             lineRate: p.lineRate,
+            methodCoverage: p.methodCoverage,
+            untestedMethods: p.untestedMethods,
+            testSmells: p.testSmells,
+            bugReport: p.bugReport,
             executionTime: p.executionTime
           }))
         }
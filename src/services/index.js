@@ -3,6 +3,7 @@ const PlayerService = require('./playerService');
 const RoomService = require('./roomService');
 const GameService = require('./gameService');
 const CodeService = require('./codeService');
+const ChallengeService = require('./challengeService');
 const AchievementService = require('./achievementService');
 const BadgeService = require('./badgeService');
 const LeaderboardService = require('./leaderboardService');
@@ -13,6 +14,7 @@ const playerService = new PlayerService();
 const roomService = new RoomService();
 const gameService = new GameService();
 const codeService = new CodeService();
+const challengeService = new ChallengeService(codeService);
 const achievementService = new AchievementService();
 const badgeService = new BadgeService();
 const leaderboardService = new LeaderboardService();
@@ -24,6 +26,7 @@ module.exports = {
   RoomService,
   GameService,
   CodeService,
+  ChallengeService,
   AchievementService,
   BadgeService,
   LeaderboardService,
@@ -34,6 +37,7 @@ module.exports = {
   roomService,
   gameService,
   codeService,
+  challengeService,
   achievementService,
   badgeService,
   leaderboardService
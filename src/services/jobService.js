@@ -0,0 +1,351 @@
+const ScoringJob = require('../models/scoringJob');
+const { config } = require('../config/env');
+const { MAX_TEST_CODE_LENGTH } = require('../utils/testQuality');
+
+const FINISHED = ['succeeded', 'failed'];
+
+/**
+ * Mongo-backed queue for scoring runs.
+ *
+ * Jobs survive restarts: a job is claimed atomically, keeps a heartbeat in
+ * `lockedAt` while it runs, and is put back in the queue when the process
+ * that claimed it dies. Any number of processes may work the same queue.
+ */
+class JobService {
+  /**
+   * @param {function(object, function): Promise<object>} handler - Runs a claimed job, resolves with a `{ success, error? }` result.
+   *   Gets a `reportProgress({ stage, status, partial })` callback as second argument
+   * @param {object} options - Queue settings, config.jobs by default
+   */
+  constructor(handler, options = config.jobs) {
+    this.handler = handler;
+    this.options = options;
+    this.running = 0;
+    this.polling = false;
+    this.timer = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Queue a scoring run. A run still waiting for the same player is reused with the newer tests.
+   * @param {string} gameId
+   * @param {string} playerId
+   * @param {string} testCode
+   * @param {string} [roomCode] - Room of the game, for room-wide progress events
+   * @returns {Promise<{ success: boolean, job?: object, error?: string }>}
+   */
+  async enqueue(gameId, playerId, testCode, roomCode) {
+    try {
+      if (!testCode) {
+        return { success: false, error: 'No test code submitted' };
+      }
+      // Test analysis runs on every job, keep its input bounded
+      if (testCode.length > MAX_TEST_CODE_LENGTH) {
+        return { success: false, error: `Test code is longer than ${MAX_TEST_CODE_LENGTH} characters` };
+      }
+
+      const pending = await ScoringJob.findOneAndUpdate(
+        { gameId, playerId, status: 'queued' },
+        { $set: { testCode, roomCode } },
+        { new: true }
+      );
+      if (pending) {
+        return { success: true, job: this.toStatus(pending) };
+      }
+
+      const job = await ScoringJob.create({
+        gameId,
+        playerId,
+        roomCode,
+        testCode,
+        maxAttempts: this.options.maxAttempts
+      });
+      console.log(`📥 Queued scoring job ${job._id} for player ${playerId}`);
+
+      return { success: true, job: this.toStatus(job) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a job's status (and result once finished)
+   * @param {string} jobId
+   * @returns {Promise<{ success: boolean, job?: object, error?: string }>}
+   */
+  async getJob(jobId) {
+    try {
+      const job = await ScoringJob.findById(jobId);
+      if (!job) {
+        return { success: false, error: 'Job not found' };
+      }
+      return { success: true, job: this.toStatus(job) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Jobs of a game that have not finished yet
+   * @param {string} gameId
+   * @returns {Promise<Array>}
+   */
+  async getActiveJobs(gameId) {
+    return ScoringJob.find({ gameId, status: { $in: ['queued', 'running'] } });
+  }
+
+  /**
+   * Wait until every job has finished or the timeout expires
+   * @param {Array<string>} jobIds
+   * @param {number} timeoutMs
+   * @returns {Promise<{ finished: boolean, jobs: Array }>}
+   */
+  async waitForJobs(jobIds, timeoutMs = this.options.waitTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const jobs = await ScoringJob.find({ _id: { $in: jobIds } });
+      const finished = jobs.every(job => FINISHED.includes(job.status));
+
+      if (finished || Date.now() >= deadline) {
+        return { finished, jobs: jobs.map(job => this.toStatus(job)) };
+      }
+      await new Promise(resolve => setTimeout(resolve, this.options.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Start working the queue in this process
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(`⚙️ Scoring jobs: processing with concurrency ${this.options.concurrency}`);
+    this.timer = setInterval(() => this._poll(), this.options.pollIntervalMs);
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the running ones to finish.
+   * Jobs still running after the timeout are requeued once their heartbeat goes stale.
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} true when no job is left running
+   */
+  async stop(timeoutMs = 0) {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.running > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return this.running === 0;
+  }
+
+  /**
+   * Follow job changes made by any process (the API relays them to players while workers run the jobs).
+   * Every poll reads the jobs that may still change and compares each with what was already reported
+   * (status, attempt, progress count). A shared updatedAt cursor would skip writes: processes stamp them
+   * before they commit, so a write can land after a newer one was already read.
+   * @param {function(object): void} onChange - Called with the job status whenever a job changes state
+   * @param {function(object, object): void} [onProgress] - Called with (job status, progress event) for every new stage boundary
+   */
+  watch(onChange, onProgress = () => {}) {
+    if (this.watchTimer) return;
+
+    const lastStatus = new Map(); // jobId -> status already reported, for jobs still followed
+    const reported = new Map();   // jobId -> { attempts, count } of progress events already reported
+    const done = new Set();       // finished jobs already reported, kept while the query still lists them
+
+    this.watchTimer = setInterval(async () => {
+      try {
+        // Jobs finishing between two polls were never seen running, the window is wide enough for clock skew
+        const recentlyFinished = new Date(Date.now() - this.options.staleAfterMs);
+        const jobs = await ScoringJob.find({
+          $or: [
+            { status: { $in: ['queued', 'running'] } },
+            { _id: { $in: [...lastStatus.keys()] } },
+            { finishedAt: { $gte: recentlyFinished } }
+          ]
+        }).select('-testCode -result').sort({ createdAt: 1 });
+
+        const listed = new Set();
+        for (const listedJob of jobs) {
+          const id = listedJob._id.toString();
+          listed.add(id);
+          if (done.has(id)) continue;
+
+          // Results are only loaded for the one event that carries them
+          const job = FINISHED.includes(listedJob.status)
+            ? (await ScoringJob.findById(listedJob._id).select('-testCode')) || listedJob
+            : listedJob;
+          const status = this.toStatus(job);
+
+          // A retried job starts a fresh progress list
+          const previous = reported.get(id);
+          const seen = previous && previous.attempts === job.attempts ? previous.count : 0;
+          for (const event of job.progress.slice(seen)) {
+            onProgress(status, event);
+          }
+          reported.set(id, { attempts: job.attempts, count: job.progress.length });
+
+          if (lastStatus.get(id) === job.status) continue; // progress only
+
+          if (FINISHED.includes(job.status)) {
+            lastStatus.delete(id);
+            reported.delete(id);
+            done.add(id);
+          } else {
+            lastStatus.set(id, job.status);
+          }
+          onChange(status);
+        }
+
+        for (const id of done) {
+          if (!listed.has(id)) done.delete(id);
+        }
+      } catch (error) {
+        console.error('❌ Scoring job watch failed:', error.message);
+      }
+    }, this.options.pollIntervalMs);
+  }
+
+  /**
+   * Stop following job changes
+   */
+  unwatch() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+
+  /**
+   * Public shape of a job, the submitted tests are left out
+   * @param {object} job - ScoringJob document
+   * @returns {object}
+   */
+  toStatus(job) {
+    return {
+      id: job._id,
+      gameId: job.gameId,
+      playerId: job.playerId,
+      roomCode: job.roomCode,
+      status: job.status,
+      stage: job.progress?.length ? job.progress[job.progress.length - 1].stage : undefined,
+      attempts: job.attempts,
+      result: job.result,
+      error: job.error || undefined,
+      errorType: job.errorType,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Claim jobs until the concurrency limit is reached
+   * @private
+   */
+  async _poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this._recoverStale();
+
+      while (this.running < this.options.concurrency) {
+        const job = await this._claimNext();
+        if (!job) break;
+
+        this.running++;
+        this._execute(job).finally(() => { this.running--; });
+      }
+    } catch (error) {
+      console.error('❌ Scoring job poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to running
+   * @private
+   */
+  async _claimNext() {
+    const now = new Date();
+    return ScoringJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: now, lockedAt: now, progress: [] }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @private
+   */
+  async _execute(job) {
+    console.log(`🏃 Running scoring job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const heartbeat = setInterval(() => {
+      ScoringJob.updateOne({ _id: job._id, status: 'running' }, { $set: { lockedAt: new Date() } })
+        .catch(error => console.error('❌ Scoring job heartbeat failed:', error.message));
+    }, Math.max(this.options.staleAfterMs / 4, 1000));
+
+    // Writes are chained so stage boundaries are stored in order
+    let progressWrites = Promise.resolve();
+    const reportProgress = ({ stage, status, partial }) => {
+      const event = { stage, status, partial, elapsedMs: Date.now() - job.startedAt.getTime(), at: new Date() };
+      progressWrites = progressWrites
+        .then(() => ScoringJob.updateOne({ _id: job._id }, { $push: { progress: event } }))
+        .catch(error => console.error('❌ Scoring job progress update failed:', error.message));
+    };
+
+    try {
+      const result = await this.handler(job, reportProgress);
+      await progressWrites;
+
+      // A failed run (compile error, sandbox violation...) is a result, not something to retry
+      await ScoringJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: result.success ? 'succeeded' : 'failed',
+          result,
+          error: result.success ? '' : (result.error || 'Scoring failed'),
+          errorType: result.errorType,
+          finishedAt: new Date()
+        }
+      });
+      console.log(`${result.success ? '✅' : '⚠️'} Scoring job ${job._id} ${result.success ? 'succeeded' : 'failed'}`);
+    } catch (error) {
+      const retry = job.attempts < job.maxAttempts;
+      await ScoringJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: retry ? 'queued' : 'failed',
+          error: error.message,
+          ...(retry ? {} : { finishedAt: new Date() })
+        }
+      });
+      console.error(`❌ Scoring job ${job._id} crashed${retry ? ', requeued' : ''}:`, error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Requeue running jobs whose process stopped sending heartbeats
+   * @private
+   */
+  async _recoverStale() {
+    const staleBefore = new Date(Date.now() - this.options.staleAfterMs);
+    const stale = { status: 'running', lockedAt: { $lt: staleBefore } };
+
+    await ScoringJob.updateMany(
+      { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      { $set: { status: 'failed', error: 'Scoring run was interrupted too many times', finishedAt: new Date() } }
+    );
+    const { modifiedCount } = await ScoringJob.updateMany(stale, { $set: { status: 'queued' } });
+    if (modifiedCount > 0) {
+      console.warn(`♻️ Requeued ${modifiedCount} interrupted scoring job(s)`);
+    }
+  }
+}
+
+module.exports = JobService;
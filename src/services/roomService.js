@@ -1,6 +1,9 @@
 const Room = require('../models/room');
 const Player = require('../models/player');
+const Code = require('../models/code');
 const { generateUniqueRoomCode, isValidRoomCode } = require('../utils/generateCode');
+const { getScoringProfile } = require('../utils/scoringProfiles');
+const { parseList } = require('../utils/listParam');
 const mongoose = require('mongoose');
 
 class RoomService {
@@ -40,6 +43,11 @@ class RoomService {
         };
       }
 
+      const settings = this._validateSettings(options.settings || {});
+      if (!settings.success) {
+        return { success: false, error: settings.error };
+      }
+
       // Generate unique room code
       const roomCode = generateUniqueRoomCode(this.activeRooms, options.codeLength || 6);
     
@@ -56,7 +64,8 @@ class RoomService {
           score: 0,
           joinedAt: new Date()
         }],
-        gameState: 'waiting'
+        gameState: 'waiting',
+        settings: settings.settings
       });
 
       await room.save();
@@ -69,6 +78,7 @@ class RoomService {
         maxPlayers: room.maxPlayers,
         players: room.players,
         gameState: room.gameState,
+        settings: room.settings,
         createdAt: room.createdAt
       });
 
@@ -88,6 +98,7 @@ class RoomService {
             joinedAt: p.joinedAt
           })),
           gameState: room.gameState,
+          settings: room.settings,
           createdAt: room.createdAt
         }
       };
@@ -137,6 +148,7 @@ class RoomService {
           })),
           gameState: room.gameState,
           gameData: room.gameData,
+          settings: room.settings,
           createdAt: room.createdAt,
           updatedAt: room.updatedAt
         }
@@ -188,6 +200,7 @@ class RoomService {
           })),
           gameState: room.gameState,
           gameData: room.gameData,
+          settings: room.settings,
           createdAt: room.createdAt,
           updatedAt: room.updatedAt
         }
@@ -517,6 +530,7 @@ class RoomService {
           players: room.players,
           gameState: room.gameState,
           gameData: room.gameData,
+          settings: room.settings,
           createdAt: room.createdAt,
           updatedAt: room.updatedAt
         }
@@ -529,6 +543,163 @@ class RoomService {
     }
   }
 
+  /**
+   * Change the settings of a room, only the host can and only before the game starts
+   * @param {string} playerId - Player ID, must be the host
+   * @param {string} roomCode - Room code
+   * @param {Object} settings - Settings to change, the ones left out keep their value
+   * @param {string} [settings.scoringProfile] - Scoring profile version of classic games
+   * @param {string} [settings.mode] - Game mode, classic or bugHunt
+   * @param {string|null} [settings.challengeId] - Challenge picked by the host, null picks one by filters again
+   * @param {Object|null} [settings.filters] - { difficulty, tags, language, maxEstimatedMinutes } the picked challenge must match
+   * @returns {Object} Room settings or error
+   */
+  async updateRoomSettings(playerId, roomCode, settings = {}) {
+    try {
+      const room = await Room.findOne({ code: roomCode });
+      if (!room) {
+        return {
+          success: false,
+          error: 'Room not found'
+        };
+      }
+
+      if (room.hostId.toString() !== playerId.toString()) {
+        return {
+          success: false,
+          error: 'Only the host can change room settings'
+        };
+      }
+
+      if (room.gameState !== 'waiting') {
+        return {
+          success: false,
+          error: 'Settings cannot change once the game started'
+        };
+      }
+
+      const validated = this._validateSettings(settings);
+      if (!validated.success) {
+        return { success: false, error: validated.error };
+      }
+
+      room.settings = { ...room.settings?.toObject?.(), ...validated.settings };
+      await room.save();
+
+      const activeRoom = this.activeRooms.get(roomCode);
+      if (activeRoom) {
+        activeRoom.settings = room.settings;
+      }
+
+      return {
+        success: true,
+        room: {
+          id: room._id,
+          code: room.code,
+          hostId: room.hostId,
+          gameState: room.gameState,
+          settings: room.settings
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check room settings sent by a client
+   * @param {Object} settings - Requested settings
+   * @returns {Object} { success, settings } with the known settings only, or { success: false, error }
+   * @private
+   */
+  _validateSettings(settings) {
+    const validated = {};
+
+    if (settings.scoringProfile !== undefined) {
+      if (!settings.scoringProfile) {
+        return { success: false, error: 'scoringProfile must not be empty' };
+      }
+      const profile = getScoringProfile(settings.scoringProfile);
+      if (!profile) {
+        return { success: false, error: `Unknown scoring profile: ${settings.scoringProfile}` };
+      }
+      if (profile.mode) {
+        return { success: false, error: `Scoring profile ${settings.scoringProfile} is only used by ${profile.mode} games` };
+      }
+      validated.scoringProfile = settings.scoringProfile;
+    }
+
+    if (settings.mode !== undefined) {
+      if (!settings.mode) {
+        return { success: false, error: 'mode must not be empty' };
+      }
+      const modes = Room.schema.path('settings.mode').enumValues;
+      if (!modes.includes(settings.mode)) {
+        return { success: false, error: `Unknown game mode: ${settings.mode}, expected one of ${modes.join(', ')}` };
+      }
+      validated.mode = settings.mode;
+    }
+
+    if (settings.challengeId !== undefined) {
+      if (settings.challengeId === '') {
+        return { success: false, error: 'challengeId must not be empty, send null to pick by filters' };
+      }
+      if (settings.challengeId !== null && !mongoose.Types.ObjectId.isValid(settings.challengeId)) {
+        return { success: false, error: `Invalid challenge id: ${settings.challengeId}` };
+      }
+      validated.challengeId = settings.challengeId; // null goes back to picking by filters
+    }
+
+    if (settings.filters !== undefined) {
+      const filters = this._validateFilters(settings.filters || {});
+      if (!filters.success) {
+        return { success: false, error: filters.error };
+      }
+      validated.filters = filters.filters;
+    }
+
+    return { success: true, settings: validated };
+  }
+
+  /**
+   * Check the challenge filters of room settings
+   * @param {Object} filters - { difficulty, tags, language, maxEstimatedMinutes }, difficulty and tags as a list, a single value or comma-separated
+   * @returns {Object} { success, filters } normalised to lists, or { success: false, error }
+   * @private
+   */
+  _validateFilters(filters) {
+    const validated = {
+      difficulty: parseList(filters.difficulty),
+      tags: parseList(filters.tags).map(tag => tag.toLowerCase())
+    };
+
+    const difficulties = Code.schema.path('difficulty').enumValues;
+    const unknown = validated.difficulty.find(d => !difficulties.includes(d));
+    if (unknown !== undefined) {
+      return { success: false, error: `Unknown difficulty: ${unknown}, expected one of ${difficulties.join(', ')}` };
+    }
+
+    if (filters.language !== undefined && filters.language !== null) {
+      const languages = Code.schema.path('language').enumValues;
+      if (!languages.includes(filters.language)) {
+        return { success: false, error: `Unknown language: ${filters.language}, expected one of ${languages.join(', ')}` };
+      }
+      validated.language = filters.language;
+    }
+
+    if (filters.maxEstimatedMinutes !== undefined && filters.maxEstimatedMinutes !== null) {
+      if (!(Number(filters.maxEstimatedMinutes) > 0)) {
+        return { success: false, error: 'maxEstimatedMinutes must be a positive number' };
+      }
+      validated.maxEstimatedMinutes = Number(filters.maxEstimatedMinutes);
+    }
+
+    return { success: true, filters: validated };
+  }
+
   /**
    * Get all active rooms
    * @param {Object} options - Query options
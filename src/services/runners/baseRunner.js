@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+
+// Build output and dependency folders never hold challenge sources
+const IGNORED_DIRS = ['bin', 'obj', 'node_modules', 'target', 'TestResults', 'StrykerOutput'];
+
+/**
+ * Build failure with the compiler output parsed into diagnostics.
+ * The message keeps the "Build Error in <project>: <summary>" form players already see.
+ */
+class CompileError extends Error {
+  /**
+   * @param {string} project - PlayerCode | PlayerTests
+   * @param {Array<{ file: string|null, line: number|null, column: number|null, severity: string, code: string|null, message: string }>} diagnostics
+   * @param {string} summary - Human readable digest of the diagnostics
+   */
+  constructor(project, diagnostics, summary) {
+    super(`Build Error in ${project}: ${summary}`);
+    this.name = 'CompileError';
+    this.project = project;
+    this.diagnostics = diagnostics;
+    this.summary = summary;
+  }
+}
+
+/**
+ * Base class for test runners used by CodeService.
+ *
+ * A runner owns everything that is specific to a toolchain: laying out the
+ * project on disk, building it, running the player's tests, collecting
+ * coverage and running mutation testing. CodeService only orchestrates the
+ * stages and shapes the results for the API.
+ *
+ * Anything that executes player code must go through `this.sandbox.run()`.
+ */
+class BaseRunner {
+  /**
+   * @param {string} name - Runner name used in error messages
+   * @param {import('../sandbox')} sandbox - Sandbox every toolchain command runs in
+   */
+  constructor(name, sandbox) {
+    this.name = name;
+    this.sandbox = sandbox;
+  }
+
+  /**
+   * Run a toolchain command for a workspace inside the sandbox
+   * @param {string} projectDir - Workspace root, the only place the command may write
+   * @param {string} command - Shell command
+   * @param {object} [options] - Sandbox options (cwd, timeoutMs, network, allowFailure, env)
+   * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
+   */
+  run(projectDir, command, options = {}) {
+    return this.sandbox.run(command, { cwd: projectDir, workspace: projectDir, ...options });
+  }
+
+  /**
+   * Build a CompileError from parsed diagnostics, the summary lists the first three errors
+   * @param {string} project - PlayerCode | PlayerTests
+   * @param {Array<object>} diagnostics
+   * @param {string} fallback - Summary when nothing could be parsed from the compiler output
+   * @returns {CompileError}
+   */
+  compileError(project, diagnostics, fallback) {
+    const errors = [];
+    for (const d of diagnostics.filter(d => d.severity === 'error')) {
+      const location = d.file ? `${d.file}${d.line ? `:${d.line}` : ''} ` : '';
+      const line = `${location}${d.message}`;
+      if (!errors.includes(line)) errors.push(line);
+    }
+
+    const summary = errors.length > 0 ? errors.slice(0, 3).join('\n') : fallback;
+    console.error(`❌ ${project} build failed:`, summary);
+    return new CompileError(project, diagnostics, summary);
+  }
+
+  /**
+   * Normalize a challenge's sources to a files list
+   * @param {string|Array<{ path: string, content: string }>} code - Single base code string or the challenge files
+   * @param {string} defaultPath - File name used for a single base code string
+   * @returns {Array<{ path: string, content: string }>} files with normalized relative paths
+   */
+  sourceFiles(code, defaultPath) {
+    if (!Array.isArray(code)) {
+      return [{ path: defaultPath, content: code || '' }];
+    }
+    if (code.length === 0) {
+      throw new Error('Challenge has no source files');
+    }
+
+    const seen = new Set();
+    return code.map(file => {
+      const relative = path.posix.normalize(String(file.path || '').replace(/\\/g, '/'));
+      if (!relative || relative === '.' || relative.startsWith('../') || relative === '..' || path.posix.isAbsolute(relative)) {
+        throw new Error(`Invalid source file path: ${file.path}`);
+      }
+      if (seen.has(relative)) {
+        throw new Error(`Duplicate source file path: ${relative}`);
+      }
+      seen.add(relative);
+      return { path: relative, content: file.content || '' };
+    });
+  }
+
+  /**
+   * Write challenge files below a source folder, creating sub folders as needed
+   * @param {string} dir - Source root (PlayerCode project, src/main/java...)
+   * @param {Array<{ path: string, content: string }>} files - Result of sourceFiles()
+   */
+  writeSources(dir, files) {
+    for (const file of files) {
+      const target = path.join(dir, ...file.path.split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content);
+    }
+  }
+
+  /**
+   * Challenge source files found below a source folder
+   * @param {string} dir - Source root
+   * @param {Array<string>} extensions - e.g. ['.cs']
+   * @returns {Array<string>} relative paths with forward slashes, sorted
+   */
+  listSources(dir, extensions) {
+    const found = [];
+    const walk = (current) => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || IGNORED_DIRS.includes(entry.name)) continue;
+
+        const full = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          walk(full);
+        } else if (extensions.includes(path.extname(entry.name))) {
+          found.push(path.relative(dir, full).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    if (fs.existsSync(dir)) walk(dir);
+    return found.sort();
+  }
+
+  /**
+   * Challenge file a path from a coverage or mutation report refers to.
+   * Reports use absolute paths, paths relative to the project or bare file names.
+   * @param {string} reportPath
+   * @param {Array<string>} files - Relative challenge file paths
+   * @returns {string|null}
+   */
+  matchSource(reportPath, files) {
+    const normalized = String(reportPath || '').replace(/\\/g, '/');
+    const suffixMatches = files
+      .filter(file => normalized === file || normalized.endsWith(`/${file}`))
+      .sort((a, b) => b.length - a.length);
+    if (suffixMatches.length > 0) return suffixMatches[0];
+
+    const byName = files.filter(file => path.posix.basename(file) === path.posix.basename(normalized));
+    return byName.length === 1 ? byName[0] : null;
+  }
+
+  /**
+   * Path of a file named in compiler output, relative to the source root holding it, so players can
+   * tell apart files of the same name in different folders
+   * @param {string} reportedPath - Absolute, or relative to the project folder, as the compiler printed it
+   * @param {string} projectDir - Workspace the compiler ran in
+   * @param {Array<string>} roots - Source roots relative to the project folder, e.g. ['src/main/java', 'src/test/java']
+   * @returns {string} e.g. Models/Account.cs, the bare file name for paths outside the project
+   */
+  sourcePath(reportedPath, projectDir, roots) {
+    const normalized = reportedPath.replace(/\\/g, '/');
+    const project = `${projectDir.replace(/\\/g, '/').replace(/\/+$/, '')}/`;
+    const relative = normalized.startsWith(project) ? normalized.slice(project.length) : normalized;
+    if (path.posix.isAbsolute(relative) || /^[A-Za-z]:\//.test(relative)) {
+      return path.posix.basename(relative);
+    }
+
+    const root = roots.find(r => relative.startsWith(`${r}/`));
+    return root ? relative.slice(root.length + 1) : relative;
+  }
+
+  /**
+   * Find the source line declaring a member, walking up from the first line the coverage tool reports for it
+   * @param {string} source - Base code
+   * @param {string} name - Member name (the class name for constructors)
+   * @param {number} line - 1-based line at or just inside the member
+   * @returns {string} Trimmed declaration line, '' when not found
+   */
+  declarationOf(source, name, line) {
+    const lines = source.split('\n');
+    const pattern = new RegExp(`(^|[^\\w$])${name.replace(/[.*+?^${}()|[\]\\$]/g, '\\$&')}\\b`);
+
+    for (let i = Math.min(line, lines.length) - 1; i >= 0 && i >= line - 10; i--) {
+      if (pattern.test(lines[i])) return lines[i].trim();
+    }
+    return '';
+  }
+
+  /**
+   * Collapse line numbers into inclusive ranges
+   * @param {number[]} lines - 1-based line numbers, in any order
+   * @returns {Array<[number, number]>} e.g. [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+   */
+  lineRanges(lines) {
+    const ranges = [];
+    for (const line of [...new Set(lines)].sort((a, b) => a - b)) {
+      const last = ranges[ranges.length - 1];
+      if (last && line === last[1] + 1) last[1] = line;
+      else ranges.push([line, line]);
+    }
+    return ranges;
+  }
+
+  /**
+   * Create a project folder containing the base code and the player's tests
+   * @param {object} options
+   * @param {string|Array<{ path: string, content: string }>} options.code // base code, or the files of a multi-file challenge
+   * @param {string} options.tests        // test that player wrote
+   * @param {string} options.playerId     // player Id
+   * @param {string} options.tempRootDir  // dir where we save the compilation and run files
+   * @returns {Promise<{ projectDir: string, playerCodeDir: string, playerTestsDir: string }>}
+   */
+  async prepare(options) {
+    throw new Error(`${this.name} runner does not implement prepare()`);
+  }
+
+  /**
+   * Build base code and tests. Throws a CompileError (see compileError()) on compile errors.
+   * @param {object} workspace - Result of prepare()
+   */
+  async build(workspace) {
+    throw new Error(`${this.name} runner does not implement build()`);
+  }
+
+  /**
+   * Run the player's tests
+   * @param {object} workspace - Result of prepare()
+   * @returns {Promise<{ stdout: string, stderr: string, stats: { passed: number, failed: number, total: number }, tests: Array<object>, executionTime: number }>}
+   *   `tests` has one { name, outcome: passed|failed|skipped, duration (s), errorMessage, stackTrace, stdout } per test
+   */
+  async test(workspace) {
+    throw new Error(`${this.name} runner does not implement test()`);
+  }
+
+  /**
+   * Collect line/branch coverage for the base code
+   * @param {string} playerTestsDir - Directory containing player's tests
+   * @returns {Promise<{ lineRate: number, branchRate: number, files: Array<{ file: string, source: string, lines: Array<{ line: number, hits: number, branchesCovered: number, branchesTotal: number }>|null, classes: Array<object> }> }>}
+   *   One `files` entry per challenge file, `file` being its path relative to the source root.
+   *   `lines` is null when the report has no entry for the file, lines without branches have branchesTotal 0.
+   *   `classes` has one { name, lineRate, branchRate, complexity, methods } per class of the file, each method
+   *   being { name, signature, line, lineRate, branchRate, complexity, covered, isPublic } (rates in percent)
+   */
+  async coverage(playerTestsDir) {
+    throw new Error(`${this.name} runner does not implement coverage()`);
+  }
+
+  /**
+   * Run mutation testing and return the raw report
+   * @param {string} playerTestsDir - Directory containing player's tests
+   * @param {string} projectDir - Directory used for mutation output
+   * @param {object} [options]
+   * @param {Object<string, number[]>} [options.lines] - Only mutate these lines, keyed by challenge file path.
+   *   Runners that cannot restrict the tool leave it to the caller to drop the other mutants
+   * @param {number} [options.maxMutants] - Mutation budget, for runners that cannot restrict lines: the tool
+   *   stops creating mutants around it instead. 0 = all
+   * @param {number} [options.timeoutMs] - Time budget of the mutation run
+   * @returns {Promise<object>} report in the mutation-testing-elements JSON format (Stryker's json reporter),
+   *   `files` keyed by challenge file path relative to the source root
+   */
+  async mutate(playerTestsDir, projectDir, options = {}) {
+    throw new Error(`${this.name} runner does not implement mutate()`);
+  }
+
+  /**
+   * Remove a workspace once its run is over and give its sandbox uid back
+   * @param {string} projectDir - Result of prepare()
+   */
+  async cleanup(projectDir) {
+    await fs.promises.rm(projectDir, { recursive: true, force: true });
+    this.sandbox?.release(projectDir);
+  }
+}
+
+module.exports = BaseRunner;
+module.exports.CompileError = CompileError;
@@ -0,0 +1,814 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const BaseRunner = require('./baseRunner');
+const { SandboxViolationError } = require('../sandbox');
+const { config } = require('../../config/env');
+const { xmlAttributes, xmlText } = require('../../utils/xml');
+const { directorySize } = require('../../utils/directorySize');
+
+// File name of single file challenges
+const BASE_FILE = "BaseCode.cs";
+
+// Projects of the workspace, each the source root of its files
+const PROJECTS = ["PlayerCode", "PlayerTests"];
+
+// Bump when the layout of prebuilt folders changes
+const CACHE_FORMAT = 1;
+const READY_MARKER = ".prebuilt";
+const LOCK_FILE = ".lock";
+const EVICTED = ".evicted.";
+
+// TRX outcomes mapped to the ones every runner reports
+const TRX_OUTCOMES = {
+  Passed: 'passed',
+  Failed: 'failed',
+  Error: 'failed',
+  Timeout: 'failed',
+  Aborted: 'failed',
+  NotExecuted: 'skipped',
+  Inconclusive: 'skipped'
+};
+
+/**
+ * Runs C# challenges with the dotnet CLI (MSTest + coverlet + Stryker.NET)
+ */
+class DotnetRunner extends BaseRunner {
+  constructor(language, sandbox) {
+    super('dotnet', sandbox);
+    this.templateDir = path.join(process.cwd(), "CSharpTemplate");
+    this.pendingBuilds = new Map(); // cache key -> prebuild in progress
+  }
+
+  async prepare({ code, tests, playerId, tempRootDir }) {
+    // 1️⃣ Ensure temp root exists
+    if (!fs.existsSync(tempRootDir)) fs.mkdirSync(tempRootDir, { recursive: true });
+
+    // 2️⃣ Create a unique project folder for this request
+    const projectDir = path.join(tempRootDir, `player_${playerId}_${Date.now()}`);
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    // 3️⃣ Start from the restored and compiled base code of this challenge when available,
+    //    timestamps are kept so MSBuild sees PlayerCode as up to date
+    const files = this.sourceFiles(code, BASE_FILE);
+    const prebuiltDir = config.buildCache.enabled ? await this._prebuilt(files) : null;
+    fs.cpSync(prebuiltDir || this.templateDir, projectDir, {
+      recursive: true,
+      preserveTimestamps: true,
+      filter: (src) => ![READY_MARKER, ".home", ".tmp"].includes(path.basename(src))
+    });
+
+    // 4️⃣ Write the challenge files (BaseCode.cs for single file challenges) to PlayerCode project
+    if (!prebuiltDir) {
+      this.writeSources(path.join(projectDir, "PlayerCode"), files);
+    }
+
+    // 5️⃣ Write PlayerTests.cs to PlayerTests project
+    fs.writeFileSync(path.join(projectDir, "PlayerTests", "PlayerTests.cs"), tests);
+
+    // 6️⃣ Hand the folder over to the sandbox user
+    await this.sandbox.adopt(projectDir);
+
+    return {
+      projectDir,
+      playerCodeDir: path.join(projectDir, "PlayerCode"),
+      playerTestsDir: path.join(projectDir, "PlayerTests"),
+      prebuilt: Boolean(prebuiltDir)
+    };
+  }
+
+  async build({ projectDir, playerCodeDir, playerTestsDir, prebuilt }) {
+    // 1️⃣ + 2️⃣ Restore and build PlayerCode, already done for prebuilt workspaces
+    if (!prebuilt) {
+      await this._buildPlayerCode(projectDir, playerCodeDir, playerTestsDir);
+    }
+
+    // 3️⃣ Build the PlayerTests project
+    console.log("🔨 Building PlayerTests project...");
+    try {
+      const references = prebuilt ? " -p:BuildProjectReferences=false" : "";
+      await this.run(projectDir, `dotnet build "${playerTestsDir}" --no-restore${references}`);
+      console.log("✅ PlayerTests project built successfully");
+    } catch (buildError) {
+      if (buildError instanceof SandboxViolationError) throw buildError;
+      // ✅ Log full error details
+      const errorMsg = `${buildError.stdout || ''}\n${buildError.stderr || ''}`.trim() || buildError.message || "Failed to build PlayerTests";
+      console.error("❌ RAW PlayerTests build error:", errorMsg);
+
+      throw this.compileError("PlayerTests", this._parseDiagnostics(errorMsg, projectDir), "Failed to build PlayerTests. Check your code syntax.");
+    }
+  }
+
+  /**
+   * Restore NuGet packages and build the PlayerCode library
+   * @private
+   */
+  async _buildPlayerCode(projectDir, playerCodeDir, playerTestsDir) {
+    // 1️⃣ Restore NuGet packages (only the template's csproj files are evaluated, so network is allowed)
+    console.log("📦 Restoring NuGet packages...");
+    try {
+      await this.run(projectDir, `dotnet restore "${playerTestsDir}"`, { timeoutMs: 30000, network: true });
+      console.log("✅ NuGet packages restored successfully");
+    } catch (restoreError) {
+      if (restoreError instanceof SandboxViolationError) throw restoreError;
+      const errorMsg = restoreError.stderr || restoreError.stdout || restoreError.message;
+      console.error("❌ NuGet restore failed:", errorMsg);
+      throw new Error(`NuGet Restore Error: ${errorMsg}`);
+    }
+
+    // 2️⃣ Build the PlayerCode library
+    console.log("🔨 Building PlayerCode library...");
+    try {
+      await this.run(projectDir, `dotnet build "${playerCodeDir}" --no-restore`);
+      console.log("✅ PlayerCode library built successfully");
+    } catch (buildError) {
+      if (buildError instanceof SandboxViolationError) throw buildError;
+      // ✅ Parse build error properly
+      const errorMsg = `${buildError.stdout || ''}\n${buildError.stderr || ''}`.trim() || buildError.message || "Failed to build PlayerCode";
+      throw this.compileError("PlayerCode", this._parseDiagnostics(errorMsg, projectDir), "Failed to build PlayerCode. Check your code syntax.");
+    }
+  }
+
+  /**
+   * Folder holding the template with this base code restored and compiled, built on first use.
+   * Keyed by challenge files + template version, so editing either gives a fresh entry; the entries
+   * of old code are evicted once the cache outgrows config.buildCache.maxMb.
+   * @param {Array<{ path: string, content: string }>} files - Challenge files
+   * @returns {Promise<string|null>} cache folder, null when another process holds a stale build lock
+   * @private
+   */
+  async _prebuilt(files) {
+    const hash = crypto.createHash("sha256").update(this._templateVersion());
+    for (const file of files) {
+      hash.update(`\0${file.path}\0`).update(file.content);
+    }
+    const key = hash.digest("hex").slice(0, 32);
+    const cacheDir = path.join(config.buildCache.dir, key);
+
+    // The marker's mtime is the last use, eviction drops the least recently used entries
+    try {
+      const now = new Date();
+      fs.utimesSync(path.join(cacheDir, READY_MARKER), now, now);
+      return cacheDir;
+    } catch {
+      // not built yet
+    }
+
+    // Players of the same game submit at the same time, build once
+    if (!this.pendingBuilds.has(key)) {
+      const pending = this._createPrebuilt(files, cacheDir)
+        .finally(() => this.pendingBuilds.delete(key));
+      this.pendingBuilds.set(key, pending);
+    }
+    return this.pendingBuilds.get(key);
+  }
+
+  /**
+   * Restore and compile the base code into `cacheDir`. Built in place because restore writes
+   * absolute paths into obj/; a lock file keeps other workers out meanwhile.
+   * @private
+   */
+  async _createPrebuilt(files, cacheDir) {
+    const lockPath = `${cacheDir}${LOCK_FILE}`;
+    fs.mkdirSync(config.buildCache.dir, { recursive: true });
+
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+    } catch {
+      return this._waitForPrebuilt(cacheDir, lockPath);
+    }
+
+    console.log("📦 Prebuilding PlayerCode for this challenge...");
+    try {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      fs.cpSync(this.templateDir, cacheDir, { recursive: true });
+      this.writeSources(path.join(cacheDir, "PlayerCode"), files);
+      fs.writeFileSync(path.join(cacheDir, "PlayerTests", "PlayerTests.cs"), "");
+      await this.sandbox.adopt(cacheDir);
+
+      await this._buildPlayerCode(cacheDir, path.join(cacheDir, "PlayerCode"), path.join(cacheDir, "PlayerTests"));
+
+      fs.writeFileSync(path.join(cacheDir, READY_MARKER), new Date().toISOString());
+      console.log("✅ PlayerCode prebuilt and cached");
+      try {
+        this._evictPrebuilt(cacheDir);
+      } catch (error) {
+        console.error("❌ Build cache eviction failed:", error.message);
+      }
+      return cacheDir;
+    } catch (error) {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      throw error;
+    } finally {
+      // Nothing runs in the cache folder after the build, copies get the uid of their own run
+      this.sandbox.release(cacheDir);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Remove the least recently used prebuilt folders until the cache fits config.buildCache.maxMb.
+   * Folders used within lockTimeoutMs may still be copied from and are kept, like ones still building.
+   * @param {string} keep - Folder just built
+   * @private
+   */
+  _evictPrebuilt(keep) {
+    const { dir, maxMb, lockTimeoutMs } = config.buildCache;
+    const entries = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const entryDir = path.join(dir, entry.name);
+      // Left behind by an eviction that crashed halfway
+      if (entry.name.includes(EVICTED)) {
+        fs.rmSync(entryDir, { recursive: true, force: true });
+        continue;
+      }
+      let usedAt = null;
+      try {
+        usedAt = fs.statSync(path.join(entryDir, READY_MARKER)).mtimeMs;
+      } catch {
+        // still building
+      }
+      entries.push({ entryDir, usedAt, size: directorySize(entryDir) });
+    }
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const usedBefore = Date.now() - lockTimeoutMs;
+    const evictable = entries
+      .filter(entry => entry.usedAt !== null && entry.usedAt < usedBefore && entry.entryDir !== keep)
+      .sort((a, b) => a.usedAt - b.usedAt);
+
+    for (const entry of evictable) {
+      if (total <= maxMb * 1024 * 1024) break;
+      // Renamed first, so no run starts copying a half removed folder
+      const doomed = `${entry.entryDir}${EVICTED}${process.pid}`;
+      fs.renameSync(entry.entryDir, doomed);
+      fs.rmSync(doomed, { recursive: true, force: true });
+      total -= entry.size;
+      console.log(`🧹 Evicted prebuilt ${path.basename(entry.entryDir)} from the build cache`);
+    }
+  }
+
+  /**
+   * Wait for another process to finish a prebuild, a failed or stuck one means building uncached
+   * @private
+   */
+  async _waitForPrebuilt(cacheDir, lockPath) {
+    const deadline = Date.now() + config.buildCache.lockTimeoutMs;
+
+    while (Date.now() < deadline) {
+      if (fs.existsSync(path.join(cacheDir, READY_MARKER))) return cacheDir;
+      if (!fs.existsSync(lockPath)) break;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (fs.existsSync(path.join(cacheDir, READY_MARKER))) return cacheDir;
+
+    // Lock older than the timeout belongs to a crashed process
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > config.buildCache.lockTimeoutMs) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    } catch {
+      // lock already gone
+    }
+    return null;
+  }
+
+  /**
+   * Hash of the template project files, changes whenever the template does
+   * @private
+   */
+  _templateVersion() {
+    if (!this.templateVersion) {
+      const hash = crypto.createHash("sha256").update(String(CACHE_FORMAT));
+      for (const project of ["PlayerCode/PlayerCode.csproj", "PlayerTests/PlayerTests.csproj"]) {
+        hash.update(fs.readFileSync(path.join(this.templateDir, project)));
+      }
+      this.templateVersion = hash.digest("hex");
+    }
+    return this.templateVersion;
+  }
+
+  async test({ projectDir, playerTestsDir }) {
+    // Run tests with TRX logger to capture Console.WriteLine
+    const startTime = Date.now();
+    const { stdout, stderr, exitCode } = await this.run(
+      projectDir,
+      `dotnet test "${playerTestsDir}" --no-build --logger trx`,
+      { cwd: playerTestsDir, timeoutMs: 20000, allowFailure: true }
+    );
+    const executionTime = (Date.now() - startTime) / 1000;
+
+    // ✅ Extract pass/fail counts from stdout
+    const output = stdout.trim();
+    const errorOutput = stderr.trim();
+
+    // ✅ Read TRX file for per-test results and Console.WriteLine output
+    const { tests, consoleOutput } = this._readTrx(playerTestsDir);
+
+    // Counts come from the TRX, the console summary is the fallback when it is missing
+    const passMatch = output.match(/Passed:\s*(\d+)/);
+    const failMatch = output.match(/Failed:\s*(\d+)/);
+    const totalMatch = output.match(/Total:\s*(\d+)/);
+
+    const passed = tests.length > 0 ? tests.filter(t => t.outcome === 'passed').length : (passMatch ? parseInt(passMatch[1]) : 0);
+    const failed = tests.length > 0 ? tests.filter(t => t.outcome === 'failed').length : (failMatch ? parseInt(failMatch[1]) : 0);
+    const total = tests.length > 0 ? tests.length : (totalMatch ? parseInt(totalMatch[1]) : 0);
+
+    return {
+      stdout: this._parseTestOutput(output, errorOutput, consoleOutput),
+      stderr: errorOutput || (exitCode !== 0 && total === 0 ? `dotnet test exited with code ${exitCode}` : ""),
+      stats: { passed, failed, total },
+      tests,
+      executionTime
+    };
+  }
+
+  async coverage(playerTestsDir) {
+    const projectDir = path.dirname(playerTestsDir);
+
+    // ✅ Get challenge files and validate
+    const playerCodeDir = path.join(projectDir, "PlayerCode");
+    const sources = this.listSources(playerCodeDir, [".cs"]);
+    if (sources.length === 0) {
+      throw new Error("BaseCode.cs not found");
+    }
+
+    const result = {
+      lineRate: 0,
+      branchRate: 0,
+      files: sources.map(file => ({
+        file,
+        source: fs.readFileSync(path.join(playerCodeDir, file), "utf8"),
+        lines: null,
+        classes: []
+      }))
+    };
+
+    // ✅ Run coverage collection (failing tests still produce coverage)
+    const runCmd = `dotnet test "${playerTestsDir}" --collect:"XPlat Code Coverage" --logger "trx;LogFileName=test_results.trx" --no-build`;
+    const { exitCode } = await this.run(projectDir, runCmd, { cwd: playerTestsDir, timeoutMs: 20000, allowFailure: true });
+    if (exitCode !== 0) {
+      console.warn(`⚠️ Coverage run exited with code ${exitCode}, attempting to parse existing results`);
+    }
+
+    // ✅ Find coverage file
+    const testResultsDir = path.join(playerTestsDir, "TestResults");
+    if (!fs.existsSync(testResultsDir)) {
+      console.warn("⚠️ TestResults directory not found, returning base coverage data");
+      return result;
+    }
+
+    const coverageFile = this.findCoverageFile(testResultsDir);
+    if (!coverageFile) {
+      console.warn("⚠️ No coverage file found");
+      return result;
+    }
+
+    let xml;
+    try {
+      xml = fs.readFileSync(coverageFile, "utf8");
+    } catch (err) {
+      throw new Error(`Failed to read coverage file: ${err.message}`);
+    }
+
+    // ✅ Extract global coverage rates
+    const lineRateMatch = xml.match(/line-rate="([\d.]+)"/);
+    const branchRateMatch = xml.match(/branch-rate="([\d.]+)"/);
+    result.lineRate = lineRateMatch ? parseFloat(lineRateMatch[1]) * 100 : 0;
+    result.branchRate = branchRateMatch ? parseFloat(branchRateMatch[1]) * 100 : 0;
+
+    // ✅ Group <class> blocks by challenge file (nested types and lambdas get their own <class>)
+    const blocksByFile = new Map();
+    for (const [block] of xml.matchAll(/<class\b[^>]*>[\s\S]*?<\/class>/g)) {
+      const { filename } = xmlAttributes(block.slice(0, block.indexOf(">") + 1));
+      const file = this.matchSource(filename, sources);
+      if (!file) continue;
+      if (!blocksByFile.has(file)) blocksByFile.set(file, []);
+      blocksByFile.get(file).push(block);
+    }
+
+    for (const entry of result.files) {
+      const classBlocks = blocksByFile.get(entry.file);
+      if (!classBlocks) {
+        console.warn(`⚠️ No coverage data for ${entry.file} found`);
+        continue;
+      }
+      entry.lines = this._mergeCoberturaLines(classBlocks);
+      entry.classes = this._parseCoberturaClasses(classBlocks, entry.source);
+    }
+
+    return result;
+  }
+
+  /**
+   * Line entries of all <class> blocks of one file, a line reported by several classes keeps its best counts
+   * @param {Array<string>} classBlocks
+   * @returns {Array<{ line: number, hits: number, branchesCovered: number, branchesTotal: number }>}
+   * @private
+   */
+  _mergeCoberturaLines(classBlocks) {
+    const byLine = new Map();
+    for (const block of classBlocks) {
+      // Class level <lines> come after the per-method ones
+      const body = block.slice(block.lastIndexOf("<lines>"));
+      for (const entry of this._parseCoberturaLines(body)) {
+        const seen = byLine.get(entry.line);
+        if (!seen) {
+          byLine.set(entry.line, entry);
+          continue;
+        }
+        seen.hits = Math.max(seen.hits, entry.hits);
+        if (entry.branchesTotal > seen.branchesTotal ||
+            (entry.branchesTotal === seen.branchesTotal && entry.branchesCovered > seen.branchesCovered)) {
+          seen.branchesCovered = entry.branchesCovered;
+          seen.branchesTotal = entry.branchesTotal;
+        }
+      }
+    }
+    return [...byLine.values()].sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Per-class, per-method coverage from Cobertura <class>/<method> entries.
+   * Compiler generated classes (lambdas, iterators, async state machines) are left out.
+   * @param {Array<string>} classBlocks - <class> elements of one challenge file
+   * @param {string} source - File contents, used to tell public members apart
+   * @returns {Array<object>}
+   * @private
+   */
+  _parseCoberturaClasses(classBlocks, source) {
+    const classes = [];
+
+    for (const block of classBlocks) {
+      const classAttrs = xmlAttributes(block.slice(0, block.indexOf(">") + 1));
+      if (/[<>]/.test(classAttrs.name)) continue;
+
+      const shortName = classAttrs.name.split(/[./]/).pop();
+      const methods = [];
+
+      for (const [, tag, body] of block.matchAll(/(<method\b[^>]*>)([\s\S]*?)<\/method>/g)) {
+        const attrs = xmlAttributes(tag);
+        if (attrs.name === ".cctor") continue;
+
+        // Constructors and property accessors are declared under another name in the source
+        const name = attrs.name === ".ctor" ? shortName : attrs.name.replace(/^(get|set|init|add|remove)_/, "");
+        const lineNumbers = [...body.matchAll(/<line\b[^>]*\bnumber="(\d+)"/g)].map(m => Number(m[1]));
+        const hits = [...body.matchAll(/<line\b[^>]*\bhits="(\d+)"/g)].map(m => Number(m[1]));
+        const line = lineNumbers.length > 0 ? Math.min(...lineNumbers) : null;
+        const declaration = line ? this.declarationOf(source, name, line) : "";
+
+        methods.push({
+          name: attrs.name,
+          signature: attrs.signature || "",
+          line,
+          lineRate: (parseFloat(attrs["line-rate"]) || 0) * 100,
+          branchRate: (parseFloat(attrs["branch-rate"]) || 0) * 100,
+          complexity: Number(attrs.complexity) || 1,
+          covered: hits.some(h => h > 0),
+          isPublic: /\bpublic\b/.test(declaration)
+        });
+      }
+
+      classes.push({
+        name: classAttrs.name,
+        lineRate: (parseFloat(classAttrs["line-rate"]) || 0) * 100,
+        branchRate: (parseFloat(classAttrs["branch-rate"]) || 0) * 100,
+        complexity: Number(classAttrs.complexity) || 0,
+        methods
+      });
+    }
+
+    return classes;
+  }
+
+  /**
+   * Read the <line> entries of a Cobertura class with their branch counts.
+   * `condition-coverage="50% (1/2)"` is preferred; without it the <conditions>
+   * children are used, counting two outcomes per jump condition.
+   * @param {string} xml - <lines> section of a class
+   * @returns {Array<{ line: number, hits: number, branchesCovered: number, branchesTotal: number }>}
+   * @private
+   */
+  _parseCoberturaLines(xml) {
+    const lines = [];
+    const lineRegex = /<line\b([^>]*?)(?:\/>|>([\s\S]*?)<\/line>)/g;
+
+    let match;
+    while ((match = lineRegex.exec(xml)) !== null) {
+      const attrs = xmlAttributes(match[1]);
+      const entry = { line: Number(attrs.number), hits: Number(attrs.hits) || 0, branchesCovered: 0, branchesTotal: 0 };
+
+      const ratio = (attrs["condition-coverage"] || "").match(/\((\d+)\/(\d+)\)/);
+      if (ratio) {
+        entry.branchesCovered = Number(ratio[1]);
+        entry.branchesTotal = Number(ratio[2]);
+      } else if (match[2]) {
+        for (const [condition] of match[2].matchAll(/<condition\b[^>]*>/g)) {
+          const coverage = parseFloat(xmlAttributes(condition).coverage) || 0;
+          entry.branchesTotal += 2;
+          entry.branchesCovered += Math.round((coverage / 100) * 2);
+        }
+      }
+
+      if (!Number.isNaN(entry.line)) lines.push(entry);
+    }
+    return lines;
+  }
+
+
+  /**
+   * Stryker.NET mutate patterns limited to the given lines, spans are character offsets ("File.cs{10..120}")
+   * @param {string} playerCodeDir - PlayerCode folder
+   * @param {Object<string, number[]>} lines - Lines to mutate per challenge file
+   * @returns {string[]}
+   */
+  _mutateSpans(playerCodeDir, lines) {
+    return Object.entries(lines).flatMap(([file, fileLines]) => {
+      const filePath = path.join(playerCodeDir, file);
+      if (!fs.existsSync(filePath)) return [];
+
+      // Offset of the first character of every line
+      const offsets = [0];
+      for (const text of fs.readFileSync(filePath, "utf8").split("\n")) {
+        offsets.push(offsets[offsets.length - 1] + text.length + 1);
+      }
+
+      return this.lineRanges(fileLines)
+        .filter(([start]) => start < offsets.length)
+        .map(([start, end]) => `**/${file}{${offsets[start - 1]}..${offsets[Math.min(end, offsets.length - 1)] - 1}}`);
+    });
+  }
+
+  async mutate(playerTestsDir, projectDir, options = {}) {
+    // The workspace is the folder holding PlayerCode and PlayerTests, output stays inside it
+    const workspaceDir = path.dirname(playerTestsDir);
+    const outputDir = path.join(workspaceDir, "StrykerOutput");
+
+    // 1️⃣ Always recreate the solution
+    const solutionPath = path.join(workspaceDir, "TempSolution.sln");
+    const playerCodeProj = path.join(workspaceDir, "PlayerCode", "PlayerCode.csproj");
+    const playerTestsProj = path.join(playerTestsDir, "PlayerTests.csproj");
+
+    if (fs.existsSync(solutionPath)) {
+      fs.unlinkSync(solutionPath);
+    }
+
+    await this.run(workspaceDir, `dotnet new sln -n TempSolution`);
+    await this.run(workspaceDir, `dotnet sln "${solutionPath}" add "${playerCodeProj}"`);
+    await this.run(workspaceDir, `dotnet sln "${solutionPath}" add "${playerTestsProj}"`);
+
+    // 2️⃣ Run Stryker
+    const mutateArgs = options.lines
+      ? this._mutateSpans(path.join(workspaceDir, "PlayerCode"), options.lines).map(span => ` --mutate "${span}"`).join("")
+      : "";
+    const strykerCmd = `dotnet stryker --solution "${solutionPath}" --test-project "${playerTestsProj}" --reporter json --output "${outputDir}"${mutateArgs}`;
+
+    console.log("🧬 Running Stryker mutation testing...");
+    console.log("📂 Solution:", solutionPath);
+
+    await this.run(workspaceDir, strykerCmd, { timeoutMs: options.timeoutMs || 300000 });
+
+    console.log("✅ Stryker completed successfully");
+
+    // 3️⃣ Find report, try timestamped folder first
+    const timestampedFolders = fs.readdirSync(outputDir)
+      .filter(f => fs.statSync(path.join(outputDir, f)).isDirectory())
+      .sort()
+      .reverse();
+
+    // Determine report path (supports both .json and .js)
+    const possibleReportFiles = [
+      path.join(outputDir, timestampedFolders[0] || "", "reports", "mutation-report.json"),
+      path.join(outputDir, timestampedFolders[0] || "", "reports", "mutation-report.js"),
+      path.join(outputDir, "reports", "mutation-report.json"),
+      path.join(outputDir, "reports", "mutation-report.js")
+    ];
+
+    const reportPath = possibleReportFiles.find(f => fs.existsSync(f));
+    if (!reportPath) throw new Error("Report file not found");
+
+    // Stryker.NET keys files by absolute path, the API uses paths relative to PlayerCode
+    const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    const sources = this.listSources(path.join(workspaceDir, "PlayerCode"), [".cs"]);
+    report.files = Object.fromEntries(
+      Object.entries(report.files || {}).map(([file, data]) => [this.matchSource(file, sources) || file, data])
+    );
+    return report;
+  }
+
+  /**
+   * Helper function to find coverage file recursively
+   * @param {string} testResultsDir - Test results directory
+   * @returns {string|null} Path to coverage file or null
+   */
+  findCoverageFile(testResultsDir) {
+    try {
+      if (!fs.existsSync(testResultsDir)) {
+        console.warn("⚠️ Test results directory does not exist:", testResultsDir);
+        return null;
+      }
+
+      const files = fs.readdirSync(testResultsDir, { withFileTypes: true });
+
+      for (const entry of files) {
+        const fullPath = path.join(testResultsDir, entry.name);
+
+        try {
+          if (entry.isDirectory()) {
+            const nested = this.findCoverageFile(fullPath);
+            if (nested) return nested;
+          } else if (
+            entry.name.endsWith(".coverage") ||
+            entry.name.endsWith(".xml") ||
+            entry.name === "coverage.cobertura.xml"
+          ) {
+            return fullPath;
+          }
+        } catch (err) {
+          console.warn("⚠️ Error processing file:", entry.name, err.message);
+          continue;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error("❌ Error searching for coverage file:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read per-test results from the newest TRX file
+   * @param {string} playerTestsDir - Directory containing player's tests
+   * @returns {{ tests: Array<object>, consoleOutput: string }} tests in run order, all <StdOut> joined
+   * @private
+   */
+  _readTrx(playerTestsDir) {
+    const testResultsDir = path.join(playerTestsDir, "TestResults");
+    const empty = { tests: [], consoleOutput: '' };
+    if (!fs.existsSync(testResultsDir)) return empty;
+
+    try {
+      const trxFiles = fs.readdirSync(testResultsDir)
+        .filter(f => f.endsWith('.trx'))
+        .map(f => path.join(testResultsDir, f))
+        .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+      if (trxFiles.length === 0) return empty;
+
+      const trxContent = fs.readFileSync(trxFiles[0], "utf8");
+      const tests = [];
+
+      // <UnitTestResult testName="..." duration="00:00:00.0123" outcome="Failed"> <Output>...</Output> </UnitTestResult>
+      const resultRegex = /<UnitTestResult\b([^>]*?)(?:\/>|>([\s\S]*?)<\/UnitTestResult>)/g;
+      let match;
+      while ((match = resultRegex.exec(trxContent)) !== null) {
+        const attributes = xmlAttributes(match[1]);
+        const body = match[2] || '';
+
+        tests.push({
+          name: attributes.testName,
+          outcome: TRX_OUTCOMES[attributes.outcome] || 'failed',
+          duration: this._trxDuration(attributes.duration),
+          errorMessage: xmlText(body, "Message"),
+          stackTrace: xmlText(body, "StackTrace"),
+          stdout: xmlText(body, "StdOut")
+        });
+      }
+
+      const consoleOutput = tests
+        .map(test => test.stdout)
+        .filter(Boolean)
+        .join('\n');
+
+      return { tests, consoleOutput };
+    } catch (err) {
+      console.warn("⚠️ Could not read TRX file:", err.message);
+      return empty;
+    }
+  }
+
+  // "00:00:01.2345678" -> 1.2345678 seconds
+  _trxDuration(duration) {
+    if (!duration) return 0;
+    const [hours, minutes, seconds] = duration.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+
+  /**
+   * Parse MSBuild output into diagnostics, e.g.
+   * "/tmp/.../PlayerTests.cs(12,5): error CS0103: The name 'x' does not exist [/tmp/.../PlayerTests.csproj]"
+   * @param {string} errorText - Build output
+   * @param {string} projectDir - Workspace, `file` is relative to its PlayerCode or PlayerTests project
+   * @returns {Array<object>} diagnostics, MSBuild repeats them in its summary so duplicates are dropped
+   * @private
+   */
+  _parseDiagnostics(errorText, projectDir) {
+    const diagnostics = [];
+    const seen = new Set();
+
+    for (const line of errorText.split('\n')) {
+      const located = line.match(/(\S+\.cs)\((\d+),(\d+)(?:,\d+,\d+)?\):\s*(error|warning)\s+([A-Z]+\d+):\s*(.*?)(?:\s+\[[^\]]*\])?\s*$/);
+      const general = !located && line.match(/(?:^|\s|:)(error|warning)\s+([A-Z]+\d+):\s*(.*?)(?:\s+\[[^\]]*\])?\s*$/);
+
+      const diagnostic = located
+        ? { file: this.sourcePath(located[1], projectDir, PROJECTS), line: Number(located[2]), column: Number(located[3]), severity: located[4], code: located[5], message: located[6].trim() }
+        : general
+          ? { file: null, line: null, column: null, severity: general[1], code: general[2], message: general[3].trim() }
+          : null;
+      if (!diagnostic) continue;
+
+      const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.code}:${diagnostic.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        diagnostics.push(diagnostic);
+      }
+    }
+
+    return diagnostics;
+  }
+
+
+  // ✅ Parse test output with TRX console output
+  _parseTestOutput(stdout, stderr, consoleOutput = '') {
+    try {
+      // ✅ If we have console output from TRX, prioritize it
+      if (consoleOutput && consoleOutput.trim().length > 0) {
+        // Get test summary from stdout
+        const passMatch = stdout.match(/Passed:\s*(\d+)/);
+        const failMatch = stdout.match(/Failed:\s*(\d+)/);
+        const totalMatch = stdout.match(/Total:\s*(\d+)/);
+
+        const summary = [];
+        if (totalMatch) summary.push(`Total tests: ${totalMatch[1]}`);
+        if (passMatch) summary.push(`Passed: ${passMatch[1]}`);
+        if (failMatch) summary.push(`Failed: ${failMatch[1]}`);
+
+        // Combine console output with test summary
+        return [
+          consoleOutput,
+          '\n--- Test Results ---',
+          summary.join('\n')
+        ].join('\n');
+      }
+
+      // Fallback: Parse stdout directly (old behavior)
+      if (!stdout || stdout.trim().length === 0) {
+        return 'No test output captured';
+      }
+
+      const linesToSkip = [
+        'Test run for',
+        'test files matched',
+        '.NETCoreApp',
+        'Version=v',
+        '.dll',
+        'Starting test execution',
+        'VSTest',
+        'XUnit',
+        'TestPlatform',
+        'Logging Vstest',
+        'Logging TestHost',
+        'Results File:',
+        'TestResults',
+        '.trx',
+        '/app/temp/',
+        'player_',
+        'Attachments:'
+      ];
+
+      const cleaned = stdout.split('\n')
+        .filter(line => {
+          const trimmed = line.trim();
+
+          // Skip if it's a path (Windows or Unix)
+          if (/^[A-Z]:\\/.test(trimmed) || /^\/[A-Za-z]/.test(trimmed) || trimmed.includes('/app/temp/')) {
+            return false;
+          }
+
+          // Skip if it contains execution time with path pattern
+          if (/\(\d+\.\d+s\)$/.test(trimmed) && trimmed.includes('/')) {
+            return false;
+          }
+
+          // Skip if it matches VSTest keywords
+          if (linesToSkip.some(skip => trimmed.includes(skip))) {
+            return false;
+          }
+
+          // Skip completely empty lines
+          return trimmed !== '';
+        })
+        .map(line => line.trim())
+        .join('\n');
+
+      return cleaned.length > 0 ? cleaned : 'No output captured';
+    } catch (err) {
+      return consoleOutput || stdout || 'Test execution completed';
+    }
+  }
+}
+
+module.exports = DotnetRunner;
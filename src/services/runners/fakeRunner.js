@@ -0,0 +1,382 @@
+const fs = require("fs");
+const path = require("path");
+const BaseRunner = require('./baseRunner');
+
+// Operators the fake mutator knows how to flip, in the order they are tried on a line
+const MUTATIONS = [
+  { pattern: /&&/, replacement: '||', mutatorName: 'LogicalOperator' },
+  { pattern: /\|\|/, replacement: '&&', mutatorName: 'LogicalOperator' },
+  { pattern: /==/, replacement: '!=', mutatorName: 'EqualityOperator' },
+  { pattern: /!=/, replacement: '==', mutatorName: 'EqualityOperator' },
+  { pattern: /<=/, replacement: '<', mutatorName: 'EqualityOperator' },
+  { pattern: />=/, replacement: '>', mutatorName: 'EqualityOperator' },
+  { pattern: /[^<]<[^<=]/, replacement: '<=', mutatorName: 'EqualityOperator', offset: 1, length: 1 },
+  { pattern: /[^>=]>[^>=]/, replacement: '>=', mutatorName: 'EqualityOperator', offset: 1, length: 1 },
+  { pattern: /\+\+/, replacement: '--', mutatorName: 'UpdateOperator' },
+  { pattern: /--/, replacement: '++', mutatorName: 'UpdateOperator' },
+  { pattern: / \+ /, replacement: ' - ', mutatorName: 'ArithmeticOperator' },
+  { pattern: / - /, replacement: ' + ', mutatorName: 'ArithmeticOperator' },
+  { pattern: / \* /, replacement: ' / ', mutatorName: 'ArithmeticOperator' },
+  { pattern: /\btrue\b/, replacement: 'false', mutatorName: 'BooleanLiteral' },
+  { pattern: /\bfalse\b/, replacement: 'true', mutatorName: 'BooleanLiteral' }
+];
+
+// Test method markers (MSTest attributes, JUnit annotations, jest test/it) ending at the body's opening brace
+const ANNOTATED_TEST = /(?:\[(?:Data)?TestMethod[^\]]*\]|@(?:Test|ParameterizedTest)\b)[\s\S]*?(?<name>\w+)\s*\([^)]*\)\s*(?:throws[\w\s.,]+)?\{/g;
+const JEST_TEST = /\b(?:test|it)\s*\(\s*(['"`])(?<name>.*?)\1\s*,\s*(?:async\s*)?(?:\([^)]*\)|\w+)\s*=>\s*\{/g;
+
+// Method declarations: access modified members (C#/Java), functions and class methods (JS/TS)
+const TYPED_METHOD = /^\s*(?:public|private|protected|internal)[\w\s<>\[\],?]*?\s(\w+)\s*\([^;]*$/;
+const SCRIPT_METHOD = /^\s*(?:export\s+)?(?:(?:async|static|public|private|protected)\s+)*(?:function\s+)?(?!if\b|for\b|while\b|switch\b|catch\b)(\w+)\s*\([^;]*\)\s*(?::\s*[\w<>\[\]|]+\s*)?\{\s*$/;
+
+// Source file names, report language and syntax per challenge language
+const LAYOUTS = {
+  csharp: { baseFile: "BaseCode.cs", testFile: "PlayerTests.cs", reportLanguage: 'cs', testMarker: ANNOTATED_TEST, method: TYPED_METHOD },
+  java: { baseFile: "BaseCode.java", testFile: "PlayerTests.java", reportLanguage: 'java', testMarker: ANNOTATED_TEST, method: TYPED_METHOD },
+  javascript: { baseFile: "baseCode.js", testFile: "playerTests.test.js", reportLanguage: 'javascript', testMarker: JEST_TEST, method: SCRIPT_METHOD },
+  typescript: { baseFile: "baseCode.ts", testFile: "playerTests.test.ts", reportLanguage: 'typescript', testMarker: JEST_TEST, method: SCRIPT_METHOD }
+};
+
+const ASSERTION = /\bAssert\.\w+\s*\(|\bassert\w+\s*\(|\bexpect\s*\(/;
+const FORCED_FAILURE = /\bAssert\.Fail\s*\(|\bfail\s*\(/;
+
+/**
+ * Deterministic in-process runner.
+ *
+ * Nothing is compiled or executed: results are derived from the source text so
+ * the submit → score → endGame pipeline can run without dotnet, Maven or jest.
+ * - build fails on unbalanced braces/parentheses
+ * - every [TestMethod]/@Test/test() counts as a test, it fails when it calls Assert.Fail/fail()
+ * - a base code method is covered when a test calls it by name
+ * - a mutant in a covered method is killed when a test calls that method and asserts something
+ */
+class FakeRunner extends BaseRunner {
+  constructor(language = 'csharp') {
+    super('fake');
+    this.layout = LAYOUTS[language] || LAYOUTS.csharp;
+  }
+
+  async prepare({ code, tests, playerId, tempRootDir }) {
+    if (!fs.existsSync(tempRootDir)) fs.mkdirSync(tempRootDir, { recursive: true });
+
+    const projectDir = path.join(tempRootDir, `player_${playerId}_${Date.now()}`);
+    const playerCodeDir = path.join(projectDir, "PlayerCode");
+    const playerTestsDir = path.join(projectDir, "PlayerTests");
+
+    fs.mkdirSync(playerCodeDir, { recursive: true });
+    fs.mkdirSync(playerTestsDir, { recursive: true });
+    this.writeSources(playerCodeDir, this.sourceFiles(code, this.layout.baseFile));
+    fs.writeFileSync(path.join(playerTestsDir, this.layout.testFile), tests || '');
+
+    return { projectDir, playerCodeDir, playerTestsDir };
+  }
+
+  async build({ playerCodeDir, playerTestsDir }) {
+    const tests = fs.readFileSync(path.join(playerTestsDir, this.layout.testFile), "utf8");
+
+    for (const file of this._sources(playerTestsDir)) {
+      const baseError = this._checkBalanced(fs.readFileSync(path.join(playerCodeDir, file), "utf8"), path.posix.basename(file));
+      if (baseError) throw this.compileError("PlayerCode", [baseError], baseError.message);
+    }
+
+    const testsError = this._checkBalanced(tests, this.layout.testFile);
+    if (testsError) throw this.compileError("PlayerTests", [testsError], testsError.message);
+  }
+
+  async test({ playerTestsDir }) {
+    const tests = this._extractTests(fs.readFileSync(path.join(playerTestsDir, this.layout.testFile), "utf8"));
+
+    const results = tests.map(t => {
+      const failedTest = FORCED_FAILURE.test(t.body);
+      return {
+        name: t.name,
+        outcome: failedTest ? 'failed' : 'passed',
+        duration: 0.05,
+        errorMessage: failedTest ? 'Test failed' : null,
+        stackTrace: null,
+        stdout: null
+      };
+    });
+
+    const failed = results.filter(t => t.outcome === 'failed').length;
+    const total = results.length;
+    const passed = total - failed;
+
+    return {
+      stdout: [
+        '--- Test Results ---',
+        `Total tests: ${total}`,
+        `Passed: ${passed}`,
+        `Failed: ${failed}`
+      ].join('\n'),
+      stderr: '',
+      stats: { passed, failed, total },
+      tests: results,
+      executionTime: total * 0.05
+    };
+  }
+
+  async coverage(playerTestsDir) {
+    let executableLines = 0;
+    let coveredLines = 0;
+    let branches = 0;
+    let coveredBranches = 0;
+
+    const files = this._sources(playerTestsDir).map(file => {
+      const { source, lines, methods } = this._analyze(playerTestsDir, file);
+      const executable = lines.filter(l => l.executable);
+
+      executableLines += executable.length;
+      coveredLines += executable.filter(l => l.hits > 0).length;
+      branches += methods.reduce((sum, m) => sum + m.branches, 0);
+      coveredBranches += methods.filter(m => m.covered).reduce((sum, m) => sum + m.branches, 0);
+
+      return {
+        file,
+        source,
+        lines: executable.map(l => ({
+          line: l.line,
+          hits: l.hits,
+          branchesCovered: l.branchesCovered,
+          branchesTotal: l.branchesTotal
+        })),
+        classes: this._classes(source, methods, file)
+      };
+    });
+
+    return {
+      lineRate: executableLines > 0 ? (coveredLines / executableLines) * 100 : 0,
+      branchRate: branches > 0 ? (coveredBranches / branches) * 100 : 0,
+      files
+    };
+  }
+
+  async mutate(playerTestsDir) {
+    const files = {};
+    let nextId = 1;
+
+    for (const file of this._sources(playerTestsDir)) {
+      const { source, methods } = this._analyze(playerTestsDir, file);
+      const sourceLines = source.split("\n");
+      const mutants = [];
+
+      for (const method of methods) {
+        for (let line = method.startLine + 1; line <= method.endLine; line++) {
+          const text = sourceLines[line - 1];
+          const mutation = MUTATIONS.find(m => m.pattern.test(text));
+          if (!mutation) continue;
+
+          const match = text.match(mutation.pattern);
+          const column = match.index + (mutation.offset || 0) + 1;
+          const length = mutation.length || match[0].length;
+
+          let status = 'NoCoverage';
+          if (method.covered) status = method.asserted ? 'Killed' : 'Survived';
+
+          mutants.push({
+            id: String(nextId++),
+            mutatorName: mutation.mutatorName,
+            replacement: mutation.replacement,
+            location: {
+              start: { line, column },
+              end: { line, column: column + length }
+            },
+            status,
+            killedBy: status === 'Killed' ? [method.killers[0]] : [],
+            coveredBy: method.callers
+          });
+        }
+      }
+
+      files[file] = { language: this.layout.reportLanguage, source, mutants };
+    }
+
+    // Test names double as test ids
+    const tests = this._extractTests(fs.readFileSync(path.join(playerTestsDir, this.layout.testFile), "utf8"));
+
+    return {
+      schemaVersion: '2',
+      thresholds: { high: 80, low: 60 },
+      files,
+      testFiles: {
+        [this.layout.testFile]: { tests: tests.map(t => ({ id: t.name, name: t.name })) }
+      }
+    };
+  }
+
+  // Challenge files in PlayerCode, relative paths
+  _sources(playerTestsDir) {
+    return this.listSources(path.join(playerTestsDir, "..", "PlayerCode"), [path.extname(this.layout.baseFile)]);
+  }
+
+  /**
+   * Work out which methods and lines of a challenge file the player's tests reach
+   * @param {string} playerTestsDir
+   * @param {string} file - Path relative to PlayerCode
+   * @private
+   */
+  _analyze(playerTestsDir, file) {
+    const source = fs.readFileSync(path.join(playerTestsDir, "..", "PlayerCode", file), "utf8");
+    const tests = this._extractTests(fs.readFileSync(path.join(playerTestsDir, this.layout.testFile), "utf8"));
+    const sourceLines = source.split("\n");
+
+    const methods = this._extractMethods(source).map(method => {
+      const callers = tests.filter(t => new RegExp(`\\b${method.name}\\s*\\(`).test(t.body));
+      const body = sourceLines.slice(method.startLine, method.endLine).join("\n");
+      const conditions = (body.match(/\bif\b|\bcase\b|\?|&&|\|\|/g) || []).length;
+
+      return {
+        ...method,
+        covered: callers.length > 0,
+        asserted: callers.some(t => ASSERTION.test(t.body)),
+        callers: callers.map(t => t.name),
+        killers: callers.filter(t => ASSERTION.test(t.body)).map(t => t.name),
+        branches: conditions * 2
+      };
+    });
+
+    const lines = sourceLines.map((text, i) => {
+      const line = i + 1;
+      const method = methods.find(m => line > m.startLine && line <= m.endLine);
+      const trimmed = text.trim();
+      const executable = !!method && trimmed.length > 0 && trimmed !== "{" && trimmed !== "}" && !trimmed.startsWith("//");
+
+      const branches = executable ? (trimmed.match(/\bif\b|\bcase\b|\?|&&|\|\|/g) || []).length * 2 : 0;
+
+      return {
+        line,
+        executable,
+        hits: executable && method.covered ? 1 : 0,
+        branchesCovered: executable && method.covered ? branches : 0,
+        branchesTotal: branches
+      };
+    });
+
+    return { source, lines, methods };
+  }
+
+  /**
+   * Find method declarations and the line range of their bodies
+   * @param {string} source
+   * @returns {Array<{ name: string, startLine: number, endLine: number }>}
+   * @private
+   */
+  _extractMethods(source) {
+    const methods = [];
+    const declaration = this.layout.method;
+    const lines = source.split("\n");
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(declaration);
+      if (!match || /\b(class|struct|interface|enum|record)\b/.test(lines[i])) continue;
+
+      let depth = 0;
+      let opened = false;
+      for (let j = i; j < lines.length; j++) {
+        for (const char of lines[j]) {
+          if (char === '{') { depth++; opened = true; }
+          if (char === '}') depth--;
+        }
+        if (opened && depth === 0) {
+          methods.push({ name: match[1], startLine: i + 1, endLine: j + 1 });
+          i = j;
+          break;
+        }
+      }
+    }
+
+    return methods;
+  }
+
+  /**
+   * Group methods under the closest class declared above them, covered methods count as fully covered
+   * @param {string} source
+   * @param {Array<{ name: string, startLine: number, covered: boolean, branches: number }>} methods
+   * @param {string} file - Source file, names the class when none is declared
+   * @returns {Array<{ name: string, lineRate: number, branchRate: number, complexity: number, methods: Array }>}
+   * @private
+   */
+  _classes(source, methods, file) {
+    const sourceLines = source.split("\n");
+    const typed = this.layout.method === TYPED_METHOD;
+    const groups = new Map();
+
+    for (const method of methods) {
+      const declaration = sourceLines[method.startLine - 1];
+      const owner = sourceLines.slice(0, method.startLine - 1).reverse().find(l => /\bclass\s+\w+/.test(l));
+      const className = owner ? owner.match(/\bclass\s+(\w+)/)[1] : path.parse(file).name;
+      const params = declaration.match(/\([^)]*\)/);
+
+      if (!groups.has(className)) groups.set(className, []);
+      groups.get(className).push({
+        name: method.name,
+        signature: params ? params[0] : "()",
+        line: method.startLine,
+        lineRate: method.covered ? 100 : 0,
+        branchRate: method.covered && method.branches > 0 ? 100 : 0,
+        complexity: 1 + method.branches / 2,
+        covered: method.covered,
+        isPublic: typed
+          ? /\bpublic\b/.test(declaration)
+          : !/\b(private|protected)\b/.test(declaration) && !/^_/.test(method.name)
+      });
+    }
+
+    return [...groups.entries()].map(([name, classMethods]) => {
+      const branchy = classMethods.filter(m => m.complexity > 1);
+      return {
+        name,
+        lineRate: (classMethods.filter(m => m.covered).length / classMethods.length) * 100,
+        branchRate: branchy.length > 0 ? (branchy.filter(m => m.covered).length / branchy.length) * 100 : 0,
+        complexity: classMethods.reduce((sum, m) => sum + m.complexity, 0),
+        methods: classMethods
+      };
+    });
+  }
+
+  /**
+   * Split test code into [TestMethod]/@Test/test() bodies
+   * @param {string} tests
+   * @returns {Array<{ name: string, body: string }>}
+   * @private
+   */
+  _extractTests(tests) {
+    const result = [];
+    const regex = new RegExp(this.layout.testMarker.source, 'g');
+
+    let match;
+    while ((match = regex.exec(tests)) !== null) {
+      let depth = 1;
+      let i = regex.lastIndex;
+      while (i < tests.length && depth > 0) {
+        if (tests[i] === '{') depth++;
+        if (tests[i] === '}') depth--;
+        i++;
+      }
+      result.push({ name: match.groups.name, body: tests.slice(regex.lastIndex, i - 1) });
+    }
+
+    return result;
+  }
+
+  // Returns a diagnostic for the first unbalanced bracket, null when the code is fine
+  _checkBalanced(code, file) {
+    const pairs = { '}': '{', ')': '(', ']': '[' };
+    const stack = [];
+    const diagnostic = (position, message) => {
+      const before = code.slice(0, position).split('\n');
+      return { file, line: before.length, column: before[before.length - 1].length + 1, severity: 'error', code: null, message };
+    };
+
+    for (let i = 0; i < code.length; i++) {
+      const char = code[i];
+      if ('{(['.includes(char)) stack.push({ char, position: i });
+      if (pairs[char] && stack.pop()?.char !== pairs[char]) return diagnostic(i, `Unexpected '${char}'`);
+    }
+
+    const open = stack[stack.length - 1];
+    return open ? diagnostic(open.position, `Missing closing bracket for '${open.char}'`) : null;
+  }
+}
+
+module.exports = FakeRunner;
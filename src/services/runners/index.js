@@ -0,0 +1,48 @@
+const { config } = require('../../config/env');
+const Sandbox = require('../sandbox');
+const DotnetRunner = require('./dotnetRunner');
+const JavaRunner = require('./javaRunner');
+const NodeRunner = require('./nodeRunner');
+const FakeRunner = require('./fakeRunner');
+
+// Challenge language -> runner that builds and tests it
+const LANGUAGE_RUNNERS = {
+  csharp: DotnetRunner,
+  java: JavaRunner,
+  javascript: NodeRunner,
+  typescript: NodeRunner
+};
+
+const LANGUAGES = Object.keys(LANGUAGE_RUNNERS);
+
+// One sandbox configuration shared by every runner
+const sandbox = new Sandbox();
+
+/**
+ * Create the test runner for a challenge language.
+ * TEST_RUNNER=fake swaps every language for the deterministic in-process runner.
+ * @param {string} [language] - Challenge language, defaults to csharp
+ * @param {string} [type] - Runner type, defaults to config.runner.type
+ * @returns {import('./baseRunner')}
+ */
+function createRunner(language = 'csharp', type = config.runner.type) {
+  if (!LANGUAGE_RUNNERS[language]) {
+    throw new Error(`Unsupported challenge language "${language}". Available languages: ${LANGUAGES.join(', ')}`);
+  }
+
+  if (type === 'fake') {
+    return new FakeRunner(language);
+  }
+
+  // `dotnet` is what the native runner was called before it covered every language
+  if (type !== 'native' && type !== 'dotnet') {
+    throw new Error(`Unknown test runner "${type}". Available runners: native, fake`);
+  }
+
+  return new LANGUAGE_RUNNERS[language](language, sandbox);
+}
+
+module.exports = {
+  createRunner,
+  LANGUAGES
+};
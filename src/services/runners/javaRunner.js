@@ -0,0 +1,435 @@
+const fs = require("fs");
+const path = require("path");
+const BaseRunner = require('./baseRunner');
+const { SandboxViolationError } = require('../sandbox');
+const { decodeXml, xmlAttributes, xmlText } = require('../../utils/xml');
+
+// Maven source roots of the challenge and of the player's tests
+const SOURCE_ROOTS = ['src/main/java', 'src/test/java'];
+
+// PIT mutation statuses mapped to the Stryker names used everywhere else
+const PIT_STATUS = {
+  KILLED: 'Killed',
+  SURVIVED: 'Survived',
+  NO_COVERAGE: 'NoCoverage',
+  TIMED_OUT: 'Timeout',
+  MEMORY_ERROR: 'RuntimeError',
+  RUN_ERROR: 'RuntimeError',
+  NON_VIABLE: 'CompileError',
+  STARTED: 'Pending',
+  NOT_STARTED: 'Pending'
+};
+
+/**
+ * Runs Java challenges with Maven (JUnit 5 + JaCoCo + PIT)
+ */
+class JavaRunner extends BaseRunner {
+  constructor(language, sandbox) {
+    super('java', sandbox);
+    this.templateDir = path.join(process.cwd(), "JavaTemplate");
+  }
+
+  async prepare({ code, tests, playerId, tempRootDir }) {
+    if (!fs.existsSync(tempRootDir)) fs.mkdirSync(tempRootDir, { recursive: true });
+
+    // Maven project root doubles as the tests dir: every mvn command runs from here
+    const projectDir = path.join(tempRootDir, `player_${playerId}_${Date.now()}`);
+    fs.mkdirSync(projectDir, { recursive: true });
+    fs.cpSync(this.templateDir, projectDir, { recursive: true });
+
+    const playerCodeDir = path.join(projectDir, "src", "main", "java");
+    const testSourceDir = path.join(projectDir, "src", "test", "java");
+    fs.mkdirSync(playerCodeDir, { recursive: true });
+    fs.mkdirSync(testSourceDir, { recursive: true });
+
+    // Java wants the file named after its public type, multi-file challenges bring their own paths
+    const files = this.sourceFiles(code, Array.isArray(code) ? null : this._fileNameFor(code, "BaseCode"));
+    this.writeSources(playerCodeDir, files);
+    fs.writeFileSync(path.join(testSourceDir, this._fileNameFor(tests, "PlayerTests")), tests);
+
+    await this.sandbox.adopt(projectDir);
+
+    return { projectDir, playerCodeDir, playerTestsDir: projectDir };
+  }
+
+  async build({ playerTestsDir }) {
+    console.log("🔨 Compiling Java sources...");
+    try {
+      await this.run(playerTestsDir, `mvn -B -q test-compile`, { timeoutMs: 120000 });
+      console.log("✅ Java sources compiled successfully");
+    } catch (buildError) {
+      if (buildError instanceof SandboxViolationError) throw buildError;
+      const errorMsg = buildError.stdout || buildError.stderr || buildError.message;
+      const inTests = /src[\\/]test[\\/]java/.test(errorMsg);
+
+      throw this.compileError(
+        inTests ? "PlayerTests" : "PlayerCode",
+        this._parseDiagnostics(errorMsg, playerTestsDir),
+        "Failed to compile Java sources. Check your code syntax."
+      );
+    }
+  }
+
+  async test({ playerTestsDir }) {
+    const startTime = Date.now();
+
+    const { stdout, stderr, exitCode } = await this.run(playerTestsDir, `mvn -B surefire:test`, { allowFailure: true });
+    const executionTime = (Date.now() - startTime) / 1000;
+    const output = stdout.trim();
+
+    // Surefire prints a per-class line and a final summary; the last one is the total
+    const summaries = [...output.matchAll(/Tests run:\s*(\d+),\s*Failures:\s*(\d+),\s*Errors:\s*(\d+),\s*Skipped:\s*(\d+)/g)];
+    const last = summaries[summaries.length - 1];
+
+    const total = last ? parseInt(last[1]) : 0;
+    const failed = last ? parseInt(last[2]) + parseInt(last[3]) : 0;
+    const skipped = last ? parseInt(last[4]) : 0;
+    const passed = total - failed - skipped;
+
+    const consoleOutput = this._readSurefireOutput(playerTestsDir);
+    const tests = this._readSurefireResults(playerTestsDir);
+    const summary = [`Total tests: ${total}`, `Passed: ${passed}`, `Failed: ${failed}`].join('\n');
+
+    return {
+      stdout: [consoleOutput, '\n--- Test Results ---', summary].filter(Boolean).join('\n'),
+      stderr: stderr.trim() || (exitCode !== 0 && !last ? `mvn exited with code ${exitCode}` : ""),
+      stats: { passed, failed, total },
+      tests,
+      executionTime
+    };
+  }
+
+  async coverage(playerTestsDir) {
+    const sources = this._readSources(playerTestsDir);
+    const result = {
+      lineRate: 0,
+      branchRate: 0,
+      files: sources.map(({ file, source }) => ({ file, source, lines: null, classes: [] }))
+    };
+
+    // Failing tests still produce coverage
+    const { exitCode } = await this.run(
+      playerTestsDir,
+      `mvn -B -q jacoco:prepare-agent surefire:test jacoco:report`,
+      { allowFailure: true }
+    );
+    if (exitCode !== 0) {
+      console.warn(`⚠️ Coverage run exited with code ${exitCode}, attempting to parse existing results`);
+    }
+
+    const reportPath = path.join(playerTestsDir, "target", "site", "jacoco", "jacoco.xml");
+    if (!fs.existsSync(reportPath)) {
+      console.warn("⚠️ No coverage file found");
+      return result;
+    }
+
+    const xml = fs.readFileSync(reportPath, "utf8");
+
+    // ✅ Report level counters come after the last package
+    const totals = xml.slice(xml.lastIndexOf("</package>"));
+    result.lineRate = this._counterRate(totals, "LINE");
+    result.branchRate = this._counterRate(totals, "BRANCH");
+
+    // ✅ <package name="com/bank"> holds a <class> per type and a <sourcefile> per file
+    const paths = sources.map(s => s.file);
+    for (const [packageBlock] of xml.matchAll(/<package\b[^>]*>[\s\S]*?<\/package>/g)) {
+      const packageName = xmlAttributes(packageBlock.slice(0, packageBlock.indexOf(">") + 1)).name || "";
+
+      for (const [sourceBlock, sourceName] of packageBlock.matchAll(/<sourcefile name="([^"]+)">[\s\S]*?<\/sourcefile>/g)) {
+        const entry = result.files.find(f => f.file === this.matchSource(packageName ? `${packageName}/${sourceName}` : sourceName, paths));
+        if (!entry) continue;
+
+        // <line nr="12" mi="0" ci="3" mb="1" cb="1"/> - covered instructions stand in for hits,
+        // mb/cb are the missed/covered branches of the line
+        entry.lines = [...sourceBlock.matchAll(/<line nr="(\d+)" mi="(\d+)" ci="(\d+)" mb="(\d+)" cb="(\d+)"/g)]
+          .map(m => ({
+            line: Number(m[1]),
+            hits: Number(m[3]),
+            branchesCovered: Number(m[5]),
+            branchesTotal: Number(m[4]) + Number(m[5])
+          }));
+        entry.classes = this._parseJacocoClasses(packageBlock, sourceName, entry.source);
+      }
+    }
+
+    for (const entry of result.files.filter(f => !f.lines)) {
+      console.warn(`⚠️ No coverage data for ${entry.file} found`);
+    }
+
+    return result;
+  }
+
+  // PIT has no line filter, CodeService drops mutants outside options.lines. The budget caps mutants per class
+  async mutate(playerTestsDir, projectDir, options = {}) {
+    const sources = this._readSources(playerTestsDir);
+    const classes = sources.flatMap(({ source }) => {
+      const pkg = (source.match(/^\s*package\s+([\w.]+)\s*;/m) || [])[1];
+      return this._typeNames(source).map(name => (pkg ? `${pkg}.${name}` : name));
+    });
+    const targetClasses = classes.join(",") || "*";
+    const classLimit = options.maxMutants > 0
+      ? ` "-Dfeatures=+CLASSLIMIT(limit[${Math.ceil(options.maxMutants / Math.max(classes.length, 1))}])"`
+      : "";
+    const testsFile = fs.readdirSync(path.join(playerTestsDir, "src", "test", "java")).find(f => f.endsWith(".java"));
+    const targetTests = testsFile ? path.basename(testsFile, ".java") : "*";
+
+    console.log("🧬 Running PIT mutation testing...");
+    await this.run(
+      playerTestsDir,
+      `mvn -B -q org.pitest:pitest-maven:mutationCoverage -DtargetClasses=${targetClasses} -DtargetTests=${targetTests}${classLimit}`,
+      { timeoutMs: options.timeoutMs || 300000 }
+    );
+    console.log("✅ PIT completed successfully");
+
+    const reportPath = path.join(playerTestsDir, "target", "pit-reports", "mutations.xml");
+    if (!fs.existsSync(reportPath)) throw new Error("Report file not found");
+
+    return this._toMutationReport(fs.readFileSync(reportPath, "utf8"), sources);
+  }
+
+  /**
+   * Convert PIT's mutations.xml into the mutation-testing-elements format Stryker writes
+   * @param {string} xml
+   * @param {Array<{ file: string, source: string }>} sources - Challenge files, paths relative to src/main/java
+   * @returns {object}
+   * @private
+   */
+  _toMutationReport(xml, sources) {
+    const paths = sources.map(s => s.file);
+    const files = {};
+    const testNames = new Map();
+    const blocks = xml.match(/<mutation\b[\s\S]*?<\/mutation>/g) || [];
+
+    blocks.forEach((block, index) => {
+      const tag = (name) => {
+        const match = block.match(new RegExp(`<${name}>([\\s\\S]*?)<\\/${name}>`));
+        return match ? match[1].trim() : "";
+      };
+
+      // <mutatedClass>com.bank.Account</mutatedClass> + <sourceFile>Account.java</sourceFile>
+      const packagePath = tag("mutatedClass").split(".").slice(0, -1).join("/");
+      const sourceFile = tag("sourceFile");
+      const reported = packagePath ? `${packagePath}/${sourceFile}` : sourceFile;
+      const file = this.matchSource(reported, paths);
+      // Guessing a file would put the mutant on someone else's lines
+      if (!file) {
+        console.warn(`⚠️ Skipping PIT mutant in ${reported}, no challenge file matches it`);
+        return;
+      }
+      const { source } = sources.find(s => s.file === file);
+      if (!files[file]) files[file] = { language: 'java', source, mutants: [] };
+
+      const status = (block.match(/status='(\w+)'/) || block.match(/status="(\w+)"/) || [])[1];
+      const line = parseInt(tag("lineNumber")) || 1;
+      const text = source.split("\n")[line - 1] || "";
+      const firstColumn = text.length - text.trimStart().length + 1;
+
+      // PIT names tests by their full JUnit id, which doubles as the test id
+      const killing = decodeXml(tag("killingTest") || tag("killingTests")).split("|").filter(Boolean);
+      const succeeding = decodeXml(tag("succeedingTests")).split("|").filter(Boolean);
+      for (const id of [...killing, ...succeeding]) {
+        testNames.set(id, (id.match(/\[method:([^\]()]+)/) || id.match(/\.(\w+)\(/) || [, id])[1]);
+      }
+
+      // PIT only reports the line, the whole line stands in for the mutated code
+      files[file].mutants.push({
+        id: String(index + 1),
+        mutatorName: tag("mutator").split(".").pop(),
+        replacement: tag("description"),
+        location: {
+          start: { line, column: firstColumn },
+          end: { line, column: text.length + 1 }
+        },
+        status: PIT_STATUS[status] || 'Pending',
+        killedBy: killing,
+        coveredBy: [...killing, ...succeeding]
+      });
+    });
+
+    return {
+      schemaVersion: '2',
+      thresholds: { high: 80, low: 60 },
+      files,
+      testFiles: {
+        "": { tests: [...testNames].map(([id, name]) => ({ id, name })) }
+      }
+    };
+  }
+
+  /**
+   * Challenge files below src/main/java
+   * @returns {Array<{ file: string, source: string }>}
+   * @private
+   */
+  _readSources(playerTestsDir) {
+    const sourceDir = path.join(playerTestsDir, "src", "main", "java");
+    const files = this.listSources(sourceDir, [".java"]);
+    if (files.length === 0) {
+      throw new Error("Base code source not found");
+    }
+    return files.map(file => ({ file, source: fs.readFileSync(path.join(sourceDir, file), "utf8") }));
+  }
+
+  /**
+   * Per-test results from Surefire's TEST-*.xml reports
+   * @param {string} projectDir
+   * @returns {Array<{ name: string, outcome: string, duration: number, errorMessage: string|null, stackTrace: string|null, stdout: string|null }>}
+   * @private
+   */
+  _readSurefireResults(projectDir) {
+    const reportsDir = path.join(projectDir, "target", "surefire-reports");
+    if (!fs.existsSync(reportsDir)) return [];
+
+    try {
+      const tests = [];
+      const reports = fs.readdirSync(reportsDir).filter(f => f.startsWith("TEST-") && f.endsWith(".xml"));
+
+      for (const report of reports) {
+        const xml = fs.readFileSync(path.join(reportsDir, report), "utf8");
+        const caseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+        let match;
+        while ((match = caseRegex.exec(xml)) !== null) {
+          const attributes = xmlAttributes(match[1]);
+          const body = match[2] || '';
+          const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+          tests.push({
+            name: attributes.name.replace(/\(\)$/, ''),
+            outcome: failure ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed',
+            duration: parseFloat(attributes.time) || 0,
+            errorMessage: failure ? (xmlAttributes(failure[2]).message || null) : null,
+            stackTrace: failure && failure[3] ? decodeXml(failure[3]).trim() : null,
+            stdout: xmlText(body, "system-out")
+          });
+        }
+      }
+
+      return tests;
+    } catch (err) {
+      console.warn("⚠️ Could not read surefire reports:", err.message);
+      return [];
+    }
+  }
+
+  _readSurefireOutput(projectDir) {
+    const reportsDir = path.join(projectDir, "target", "surefire-reports");
+    if (!fs.existsSync(reportsDir)) return '';
+
+    try {
+      return fs.readdirSync(reportsDir)
+        .filter(f => f.endsWith("-output.txt"))
+        .map(f => fs.readFileSync(path.join(reportsDir, f), "utf8").trim())
+        .filter(text => text.length > 0)
+        .join('\n');
+    } catch (err) {
+      console.warn("⚠️ Could not read surefire output:", err.message);
+      return '';
+    }
+  }
+
+  /**
+   * Per-class, per-method coverage from JaCoCo <class>/<method> counters.
+   * Static initializers and synthetic lambda methods are left out.
+   * @param {string} xml - jacoco.xml contents
+   * @param {string} file - Base code file name
+   * @param {string} source - Base code, used to tell public members apart
+   * @returns {Array<object>}
+   * @private
+   */
+  _parseJacocoClasses(xml, file, source) {
+    const classes = [];
+    const escaped = file.replace(/\./g, "\\.");
+
+    for (const [block] of xml.matchAll(new RegExp(`<class [^>]*sourcefilename="${escaped}"[^>]*>[\\s\\S]*?<\\/class>`, "g"))) {
+      const className = xmlAttributes(block.slice(0, block.indexOf(">") + 1)).name.replace(/\//g, ".");
+      const shortName = className.split(/[.$]/).pop();
+      const methods = [];
+
+      for (const [, tag, body] of block.matchAll(/(<method\b[^>]*>)([\s\S]*?)<\/method>/g)) {
+        const attrs = xmlAttributes(tag);
+        if (attrs.name === "<clinit>" || attrs.name.includes("$")) continue;
+
+        const name = attrs.name === "<init>" ? shortName : attrs.name;
+        const line = attrs.line ? Number(attrs.line) : null;
+        const declaration = line ? this.declarationOf(source, name, line) : "";
+
+        methods.push({
+          name,
+          signature: attrs.desc || "",
+          line,
+          lineRate: this._counterRate(body, "LINE"),
+          branchRate: this._counterRate(body, "BRANCH"),
+          complexity: this._counterTotal(body, "COMPLEXITY") || 1,
+          covered: this._counterRate(body, "INSTRUCTION") > 0,
+          isPublic: /\bpublic\b/.test(declaration)
+        });
+      }
+
+      // Class level counters come after the last method
+      const totals = block.slice(block.lastIndexOf("</method>"));
+      classes.push({
+        name: className,
+        lineRate: this._counterRate(totals, "LINE"),
+        branchRate: this._counterRate(totals, "BRANCH"),
+        complexity: this._counterTotal(totals, "COMPLEXITY"),
+        methods
+      });
+    }
+
+    return classes;
+  }
+
+  _counterTotal(xml, type) {
+    const match = xml.match(new RegExp(`<counter type="${type}" missed="(\\d+)" covered="(\\d+)"`));
+    return match ? Number(match[1]) + Number(match[2]) : 0;
+  }
+
+  _counterRate(xml, type) {
+    const match = xml.match(new RegExp(`<counter type="${type}" missed="(\\d+)" covered="(\\d+)"`));
+    if (!match) return 0;
+    const missed = Number(match[1]);
+    const covered = Number(match[2]);
+    return missed + covered > 0 ? (covered / (missed + covered)) * 100 : 0;
+  }
+
+  _typeNames(code) {
+    return [...code.matchAll(/\b(?:class|interface|enum|record)\s+(\w+)/g)].map(m => m[1]);
+  }
+
+  _fileNameFor(code, fallback) {
+    const match = code.match(/\bpublic\s+(?:(?:final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/);
+    return `${match ? match[1] : fallback}.java`;
+  }
+
+  // "[ERROR] /path/File.java:[12,5] message" lines, javac has no diagnostic codes.
+  // `file` is relative to src/main/java or src/test/java
+  _parseDiagnostics(errorText, projectDir) {
+    const diagnostics = [];
+    const seen = new Set();
+
+    for (const line of errorText.split('\n')) {
+      const match = line.match(/\[(ERROR|WARNING)\]\s+(\S+\.java):\[(\d+),(\d+)\]\s*(.*)$/);
+      if (!match) continue;
+
+      const diagnostic = {
+        file: this.sourcePath(match[2], projectDir, SOURCE_ROOTS),
+        line: Number(match[3]),
+        column: Number(match[4]),
+        severity: match[1].toLowerCase(),
+        code: null,
+        message: match[5].trim()
+      };
+
+      const key = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        diagnostics.push(diagnostic);
+      }
+    }
+
+    return diagnostics;
+  }
+}
+
+module.exports = JavaRunner;
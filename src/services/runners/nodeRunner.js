@@ -0,0 +1,432 @@
+const fs = require("fs");
+const path = require("path");
+const BaseRunner = require('./baseRunner');
+const { SandboxViolationError } = require('../sandbox');
+
+const EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts'
+};
+
+// Source roots of the challenge and of the player's tests
+const SOURCE_ROOTS = ['src', 'tests'];
+
+// Jest statuses mapped to the outcomes every runner reports
+const JEST_OUTCOMES = {
+  passed: 'passed',
+  failed: 'failed',
+  pending: 'skipped',
+  skipped: 'skipped',
+  todo: 'skipped',
+  disabled: 'skipped'
+};
+
+/**
+ * Runs JavaScript/TypeScript challenges with Jest (Istanbul coverage) and StrykerJS
+ */
+class NodeRunner extends BaseRunner {
+  constructor(language = 'javascript', sandbox) {
+    super('node', sandbox);
+    this.language = language;
+    this.extension = EXTENSIONS[language] || 'js';
+    this.templateDir = path.join(process.cwd(), "JavaScriptTemplate");
+  }
+
+  async prepare({ code, tests, playerId, tempRootDir }) {
+    this._ensureTemplateDependencies();
+
+    if (!fs.existsSync(tempRootDir)) fs.mkdirSync(tempRootDir, { recursive: true });
+
+    // Project root doubles as the tests dir: jest and stryker run from here
+    const projectDir = path.join(tempRootDir, `player_${playerId}_${Date.now()}`);
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    // Copy config only, node_modules is shared read-only with the template
+    fs.cpSync(this.templateDir, projectDir, {
+      recursive: true,
+      filter: (src) => path.basename(src) !== "node_modules"
+    });
+    fs.symlinkSync(path.join(this.templateDir, "node_modules"), path.join(projectDir, "node_modules"), "dir");
+
+    const playerCodeDir = path.join(projectDir, "src");
+    const testsDir = path.join(projectDir, "tests");
+    fs.mkdirSync(playerCodeDir, { recursive: true });
+    fs.mkdirSync(testsDir, { recursive: true });
+
+    // Tests import the challenge with require('../src/baseCode'), or '../src/<path>' for multi-file challenges
+    this.writeSources(playerCodeDir, this.sourceFiles(code, `baseCode.${this.extension}`));
+    fs.writeFileSync(path.join(testsDir, `playerTests.test.${this.extension}`), tests);
+
+    await this.sandbox.adopt(projectDir);
+
+    return { projectDir, playerCodeDir, playerTestsDir: projectDir };
+  }
+
+  async build({ playerTestsDir }) {
+    console.log(`🔨 Checking ${this.language} sources...`);
+
+    if (this.language === 'typescript') {
+      try {
+        await this.run(playerTestsDir, `npx --no-install tsc --noEmit -p .`);
+      } catch (buildError) {
+        if (buildError instanceof SandboxViolationError) throw buildError;
+        const errorMsg = buildError.stdout || buildError.stderr || buildError.message;
+        throw this._buildError(errorMsg, playerTestsDir);
+      }
+    } else {
+      const sources = this.listSources(path.join(playerTestsDir, "src"), [".js"]).map(file => path.join("src", file));
+      for (const file of [...sources, path.join("tests", "playerTests.test.js")]) {
+        try {
+          await this.run(playerTestsDir, `node --check "${file}"`, { timeoutMs: 10000 });
+        } catch (buildError) {
+          if (buildError instanceof SandboxViolationError) throw buildError;
+          const errorMsg = buildError.stderr || buildError.message;
+          throw this._buildError(errorMsg, playerTestsDir);
+        }
+      }
+    }
+
+    console.log("✅ Sources checked successfully");
+  }
+
+  async test({ playerTestsDir }) {
+    const resultsPath = path.join(playerTestsDir, "jest-results.json");
+    const startTime = Date.now();
+
+    const { stdout, stderr } = await this.run(
+      playerTestsDir,
+      `npx --no-install jest --ci --json --outputFile="${resultsPath}"`,
+      { allowFailure: true }
+    );
+    const executionTime = (Date.now() - startTime) / 1000;
+
+    let results = null;
+    try {
+      results = JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+    } catch (err) {
+      console.warn("⚠️ Could not read jest results:", err.message);
+    }
+
+    const passed = results?.numPassedTests || 0;
+    const failed = results?.numFailedTests || 0;
+    const total = results?.numTotalTests || 0;
+
+    const assertions = (results?.testResults || []).flatMap(file => file.assertionResults || []);
+
+    // Failure messages are the useful part of jest's output for players
+    const failures = assertions
+      .filter(test => test.status === 'failed')
+      .map(test => `✗ ${test.fullName}\n${(test.failureMessages || []).join('\n')}`);
+
+    // Jest keeps no per-test console output, only failure text (message followed by the stack)
+    const tests = assertions.map(test => {
+      const failure = (test.failureMessages || []).join('\n');
+      const stackStart = failure.search(/\n\s+at /);
+
+      return {
+        name: test.fullName,
+        outcome: JEST_OUTCOMES[test.status] || 'skipped',
+        duration: (test.duration || 0) / 1000,
+        errorMessage: failure ? (stackStart >= 0 ? failure.slice(0, stackStart) : failure).trim() : null,
+        stackTrace: failure && stackStart >= 0 ? failure.slice(stackStart).trim() : null,
+        stdout: null
+      };
+    });
+
+    const summary = [`Total tests: ${total}`, `Passed: ${passed}`, `Failed: ${failed}`].join('\n');
+
+    return {
+      stdout: [...failures, '\n--- Test Results ---', summary].join('\n'),
+      stderr: results ? "" : (stderr.trim() || stdout.trim()),
+      stats: { passed, failed, total },
+      tests,
+      executionTime
+    };
+  }
+
+  async coverage(playerTestsDir) {
+    const sourceDir = path.join(playerTestsDir, "src");
+    const sources = this.listSources(sourceDir, [`.${this.extension}`]);
+    if (sources.length === 0) {
+      throw new Error(`baseCode.${this.extension} not found`);
+    }
+
+    const result = {
+      lineRate: 0,
+      branchRate: 0,
+      files: sources.map(file => ({
+        file,
+        source: fs.readFileSync(path.join(sourceDir, file), "utf8"),
+        lines: null,
+        classes: []
+      }))
+    };
+
+    // Failing tests still produce coverage
+    const { exitCode } = await this.run(playerTestsDir, `npx --no-install jest --ci --coverage`, { allowFailure: true });
+    if (exitCode !== 0) {
+      console.warn(`⚠️ Coverage run exited with code ${exitCode}, attempting to parse existing results`);
+    }
+
+    const reportPath = path.join(playerTestsDir, "coverage", "coverage-final.json");
+    if (!fs.existsSync(reportPath)) {
+      console.warn("⚠️ No coverage file found");
+      return result;
+    }
+
+    const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    const lineHits = [];
+    const branchCounts = [];
+
+    for (const entry of result.files) {
+      const fileCoverage = Object.values(report).find(data => this.matchSource(data.path, sources) === entry.file);
+      if (!fileCoverage) {
+        console.warn(`⚠️ No coverage data for ${entry.file} found`);
+        continue;
+      }
+
+      entry.lines = this._fromIstanbul(fileCoverage).lines;
+      entry.classes = this._classesFromIstanbul(fileCoverage, entry.source, path.posix.basename(entry.file, path.extname(entry.file)));
+      lineHits.push(...entry.lines.map(l => l.hits));
+      branchCounts.push(...Object.values(fileCoverage.b || {}).flat());
+    }
+
+    // Rates over every challenge file, like coverlet's report level rates
+    const rate = (counts) => (counts.length > 0 ? (counts.filter(count => count > 0).length / counts.length) * 100 : 0);
+    result.lineRate = rate(lineHits);
+    result.branchRate = rate(branchCounts);
+
+    return result;
+  }
+
+  async mutate(playerTestsDir, projectDir, options = {}) {
+    // StrykerJS takes line ranges right in the pattern: src/cart.js:3-7
+    const patterns = options.lines
+      ? Object.entries(options.lines).flatMap(([file, lines]) =>
+        this.lineRanges(lines).map(([start, end]) => `src/${file}:${start}-${end}`))
+      : [`src/**/*.${this.extension}`];
+
+    console.log("🧬 Running StrykerJS mutation testing...");
+    await this.run(playerTestsDir, `npx --no-install stryker run --mutate "${patterns.join(",")}"`, { timeoutMs: options.timeoutMs || 300000 });
+    console.log("✅ Stryker completed successfully");
+
+    const reportPath = path.join(playerTestsDir, "reports", "mutation", "mutation.json");
+    if (!fs.existsSync(reportPath)) throw new Error("Report file not found");
+
+    // StrykerJS keys files by project relative path ("src/baseCode.js"), the API uses paths relative to src
+    const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    const sources = this.listSources(path.join(playerTestsDir, "src"), [`.${this.extension}`]);
+    report.files = Object.fromEntries(
+      Object.entries(report.files || {}).map(([file, data]) => [this.matchSource(file, sources) || file, data])
+    );
+    return report;
+  }
+
+  /**
+   * Per-class, per-function coverage from an Istanbul file coverage object.
+   * Functions outside any class are grouped under the module name; complexity is
+   * one plus the branch points inside the function.
+   * @param {object} fileCoverage - Entry of coverage-final.json
+   * @param {string} source - Base code
+   * @param {string} moduleName - Group name for top level functions
+   * @returns {Array<object>}
+   * @private
+   */
+  _classesFromIstanbul(fileCoverage, source, moduleName) {
+    const within = (loc, line) => line >= loc.start.line && line <= loc.end.line;
+    const rate = (covered, total) => (total > 0 ? (covered / total) * 100 : 0);
+    const classRanges = this._classRanges(source);
+    const groups = new Map(); // class name -> { methods, statements, branchCounts }
+
+    const sourceLines = source.split("\n");
+
+    for (const [id, fn] of Object.entries(fileCoverage.fnMap || {})) {
+      const line = fn.decl?.start?.line ?? fn.line;
+      // Istanbul calls class methods and arrow functions "(anonymous_N)": the real name starts where
+      // the declaration does, or is the variable/property the arrow function is assigned to
+      const text = sourceLines[line - 1] || "";
+      const column = fn.decl ? fn.decl.start.column : 0;
+      const declared = text.slice(column).match(/^(?:(?:static|async|get|set)\s+)*\*?\s*(#?[\w$]+)\s*\(/) ||
+        text.slice(0, column).match(/(#?[\w$]+)\s*[=:]\s*(?:async\s*)?$/);
+      const fnName = fn.name.startsWith("(anonymous") && declared ? declared[1] : fn.name;
+      const statements = Object.keys(fileCoverage.statementMap || {})
+        .filter(s => within(fn.loc, fileCoverage.statementMap[s].start.line));
+      const branches = Object.keys(fileCoverage.branchMap || {})
+        .filter(b => within(fn.loc, (fileCoverage.branchMap[b].loc || fileCoverage.branchMap[b].locations[0]).start.line));
+      const branchCounts = branches.flatMap(b => fileCoverage.b[b] || []);
+      const declaration = this.declarationOf(source, fnName, line);
+      const params = declaration.match(/\([^)]*\)/);
+
+      const owner = classRanges.find(c => line > c.start && line <= c.end);
+      const name = owner ? owner.name : moduleName;
+      if (!groups.has(name)) groups.set(name, { methods: [], statements: new Set(), branchCounts: new Map() });
+      const group = groups.get(name);
+
+      statements.forEach(s => group.statements.add(s));
+      branches.forEach(b => group.branchCounts.set(b, fileCoverage.b[b] || []));
+      group.methods.push({
+        name: fnName,
+        signature: params ? params[0] : "()",
+        line,
+        lineRate: rate(statements.filter(s => fileCoverage.s[s] > 0).length, statements.length),
+        branchRate: rate(branchCounts.filter(count => count > 0).length, branchCounts.length),
+        complexity: 1 + branches.length,
+        covered: (fileCoverage.f[id] || 0) > 0,
+        isPublic: !/^(_|#|\(anonymous)/.test(fnName) && !/\b(private|protected)\b/.test(declaration)
+      });
+    }
+
+    return [...groups.entries()].map(([name, group]) => {
+      const statements = [...group.statements];
+      const branchCounts = [...group.branchCounts.values()].flat();
+      return {
+        name,
+        lineRate: rate(statements.filter(s => fileCoverage.s[s] > 0).length, statements.length),
+        branchRate: rate(branchCounts.filter(count => count > 0).length, branchCounts.length),
+        complexity: group.methods.reduce((sum, m) => sum + m.complexity, 0),
+        methods: group.methods
+      };
+    });
+  }
+
+  /**
+   * Line ranges of the classes declared in a source file, found by brace matching
+   * @private
+   */
+  _classRanges(source) {
+    const lines = source.split("\n");
+    const ranges = [];
+
+    lines.forEach((text, i) => {
+      const match = text.match(/\bclass\s+(\w+)/);
+      if (!match) return;
+
+      let depth = 0;
+      let opened = false;
+      for (let j = i; j < lines.length; j++) {
+        for (const char of lines[j]) {
+          if (char === "{") { depth++; opened = true; }
+          if (char === "}") depth--;
+        }
+        if (opened && depth === 0) {
+          ranges.push({ name: match[1], start: i + 1, end: j + 1 });
+          return;
+        }
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Turn an Istanbul file coverage object into per-line hits and global rates.
+   * A line's hits are the highest count of any statement starting on it.
+   * @param {object} fileCoverage - Entry of coverage-final.json
+   * @returns {{ lineRate: number, branchRate: number, lines: Array<{ line: number, hits: number }> }}
+   * @private
+   */
+  _fromIstanbul(fileCoverage) {
+    const hitsByLine = new Map();
+    for (const [id, statement] of Object.entries(fileCoverage.statementMap || {})) {
+      const line = statement.start.line;
+      hitsByLine.set(line, Math.max(hitsByLine.get(line) || 0, fileCoverage.s[id] || 0));
+    }
+
+    // Each branch outcome counts on the line where its location starts
+    const branchesByLine = new Map();
+    for (const [id, branch] of Object.entries(fileCoverage.branchMap || {})) {
+      const counts = fileCoverage.b?.[id] || [];
+      branch.locations.forEach((location, i) => {
+        const line = location?.start?.line ?? branch.loc?.start?.line ?? branch.line;
+        const entry = branchesByLine.get(line) || { covered: 0, total: 0 };
+        entry.total++;
+        if ((counts[i] || 0) > 0) entry.covered++;
+        branchesByLine.set(line, entry);
+      });
+    }
+
+    const lines = [...hitsByLine.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([line, hits]) => {
+        const branches = branchesByLine.get(line) || { covered: 0, total: 0 };
+        return { line, hits, branchesCovered: branches.covered, branchesTotal: branches.total };
+      });
+
+    const branchCounts = Object.values(fileCoverage.b || {}).flat();
+    const coveredLines = lines.filter(l => l.hits > 0).length;
+    const coveredBranches = branchCounts.filter(count => count > 0).length;
+
+    return {
+      lineRate: lines.length > 0 ? (coveredLines / lines.length) * 100 : 0,
+      branchRate: branchCounts.length > 0 ? (coveredBranches / branchCounts.length) * 100 : 0,
+      lines
+    };
+  }
+
+  _buildError(errorText, projectDir) {
+    const inTests = /tests[\\/]playerTests/.test(errorText);
+    return this.compileError(
+      inTests ? "PlayerTests" : "PlayerCode",
+      this._parseDiagnostics(errorText, projectDir),
+      `Failed to build ${this.language} sources. Check your code syntax.`
+    );
+  }
+
+  // tsc: "src/baseCode.ts(3,5): error TS2304: message"
+  // node --check: "/path/src/baseCode.js:3", the source line, a caret under the column, then "SyntaxError: message"
+  // `file` is relative to src (or tests for the player's tests)
+  _parseDiagnostics(errorText, projectDir) {
+    const diagnostics = [];
+    const lines = errorText.split('\n');
+    let location = null;
+
+    lines.forEach((line, i) => {
+      const tsMatch = line.match(/(\S+?)\((\d+),(\d+)\):\s*(error|warning)\s*(TS\d+):\s*(.*)$/);
+      if (tsMatch) {
+        diagnostics.push({
+          file: this.sourcePath(tsMatch[1], projectDir, SOURCE_ROOTS),
+          line: Number(tsMatch[2]),
+          column: Number(tsMatch[3]),
+          severity: tsMatch[4],
+          code: tsMatch[5],
+          message: tsMatch[6].trim()
+        });
+        return;
+      }
+
+      const locationMatch = line.match(/(\S+\.(?:js|ts)):(\d+)$/);
+      if (locationMatch) {
+        const caret = (lines[i + 2] || '').indexOf('^');
+        location = { file: this.sourcePath(locationMatch[1], projectDir, SOURCE_ROOTS), line: Number(locationMatch[2]), column: caret >= 0 ? caret + 1 : null };
+        return;
+      }
+
+      const syntaxMatch = line.match(/^(SyntaxError|ReferenceError):\s*(.*)$/);
+      if (syntaxMatch) {
+        diagnostics.push({
+          file: location?.file || null,
+          line: location?.line || null,
+          column: location?.column || null,
+          severity: 'error',
+          code: syntaxMatch[1],
+          message: syntaxMatch[2].trim()
+        });
+      }
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Check the template's toolchain is installed, every workspace links to it.
+   * Installed at build time (see the Dockerfile), never from a scoring run
+   * @private
+   */
+  _ensureTemplateDependencies() {
+    if (fs.existsSync(path.join(this.templateDir, "node_modules"))) return;
+
+    throw new Error("JavaScript template dependencies are missing, run `npm install --prefix JavaScriptTemplate` on the server");
+  }
+}
+
+module.exports = NodeRunner;
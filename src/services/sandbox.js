@@ -0,0 +1,397 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn, execFile } = require("child_process");
+const { config } = require('../config/env');
+const { directorySize } = require('../utils/directorySize');
+
+const MAX_OUTPUT = 10 * 1024 * 1024;
+const DISK_CHECK_INTERVAL = 2000;
+
+// Runs as root in the new mount namespace of the process driver, then execs the limited command:
+// every mount turns read-only, the workspace ($1) is bound back writable and /tmp (unless it holds the
+// workspace), /dev/shm are private
+const PROCESS_MOUNTS = [
+  'set -e',
+  'workspace="$1"; shift',
+  'mount --make-rprivate /',
+  'mount --bind "$workspace" "$workspace"',
+  'cut -d" " -f5 /proc/self/mountinfo | sort -u | while read -r target; do',
+  '  [ "$target" = "$workspace" ] || mount -o remount,bind,ro "$target" 2>/dev/null || true',
+  'done',
+  'case "$workspace" in /tmp/*) ;; *) mount -t tmpfs -o mode=1777,nosuid,nodev tmpfs /tmp ;; esac',
+  'if [ -d /dev/shm ]; then mount -t tmpfs -o mode=1777,nosuid,nodev tmpfs /dev/shm; fi',
+  'cd "$(pwd)"', // re-enter the working directory through the writable bind
+  'exec "$@"'
+].join('\n');
+
+/**
+ * Raised when player code breaks a sandbox limit. Surfaced to players as
+ * errorType "sandbox_violation" with `reason` telling which limit was hit.
+ */
+class SandboxViolationError extends Error {
+  /**
+   * @param {string} reason - timeout | memory | disk | cpu
+   * @param {string} message
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SandboxViolationError';
+    this.type = 'sandbox_violation';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Runs toolchain commands on player code in isolation.
+ *
+ * Every command gets a scrubbed environment, a wall-clock kill and a disk quota on
+ * its workspace. The driver adds the rest:
+ * - docker:  one container per command (unprivileged user, read-only root, no network, memory/cpu/pids limits)
+ * - process: unshare (network, pid + mount namespace with a read-only root), setpriv to a per-workspace uid,
+ *            prlimit (pids, file size, cpu, address space). The address space limit only approximates a
+ *            memory limit: runtimes reserve far more than they touch, so the heaps are capped by the runtime
+ *            options of _environment() and the kernel's OOM killer catches the rest. Use docker for a hard limit.
+ * - none:    no isolation beyond env/timeout/disk, local development only
+ *
+ * Workspace uids are leased from the pool: no two live workspaces share one, across every
+ * process using the same lease folder, until release() hands it back.
+ */
+class Sandbox {
+  constructor(options = config.sandbox) {
+    this.options = options;
+    this.leases = new Map(); // workspace -> uid leased by this process
+  }
+
+  /**
+   * Hand a freshly prepared workspace over to its sandbox user
+   * @param {string} workspaceDir - Project folder of the run
+   */
+  async adopt(workspaceDir) {
+    if (this.options.driver === 'none') return;
+
+    const uid = this._lease(workspaceDir);
+    fs.mkdirSync(path.join(workspaceDir, ".home"), { recursive: true });
+    fs.mkdirSync(path.join(workspaceDir, ".tmp"), { recursive: true });
+    await new Promise((resolve, reject) => {
+      execFile("chown", ["-R", `${uid}:${uid}`, workspaceDir], (error) => error ? reject(error) : resolve());
+    });
+    // Other players' runs (other uids) can't read these tests
+    fs.chmodSync(workspaceDir, 0o700);
+  }
+
+  /**
+   * Give the uid of a workspace back to the pool, once nothing runs in it anymore (the folder is removed)
+   * @param {string} workspaceDir - Project folder passed to adopt()
+   */
+  release(workspaceDir) {
+    const workspace = path.resolve(workspaceDir);
+    const uid = this.leases.get(workspace);
+    if (uid === undefined) return;
+
+    this.leases.delete(workspace);
+    fs.rmSync(this._leasePath(uid), { force: true });
+  }
+
+  /**
+   * Run a shell command inside the sandbox
+   * @param {string} command - Shell command
+   * @param {object} options
+   * @param {string} options.cwd - Working directory, must be inside the workspace
+   * @param {string} options.workspace - Project folder the command may write to
+   * @param {number} [options.timeoutMs] - Wall-clock limit, defaults to config
+   * @param {boolean} [options.network] - Allow network access (package restore only)
+   * @param {boolean} [options.allowFailure] - Resolve instead of reject on a non-zero exit code
+   * @param {object} [options.env] - Extra environment variables
+   * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
+   */
+  run(command, { cwd, workspace, timeoutMs = this.options.timeoutMs, network = false, allowFailure = false, env = {} }) {
+    const runId = crypto.randomBytes(6).toString('hex');
+    const argv = this._wrap(command, { cwd, workspace, network, runId });
+    const childEnv = this._environment(workspace, env);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(argv[0], argv.slice(1), {
+        cwd,
+        env: this.options.driver === 'docker' ? this._hostEnvironment() : childEnv,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let violation = null;
+
+      child.stdout.on('data', chunk => { if (stdout.length < MAX_OUTPUT) stdout += chunk; });
+      child.stderr.on('data', chunk => { if (stderr.length < MAX_OUTPUT) stderr += chunk; });
+
+      const kill = (reason, message) => {
+        if (violation) return;
+        violation = new SandboxViolationError(reason, message);
+        this._kill(child, runId);
+      };
+
+      const timer = setTimeout(() => {
+        kill('timeout', `Execution exceeded the ${Math.round(timeoutMs / 1000)}s time limit`);
+      }, timeoutMs);
+
+      const diskLimit = this.options.diskMb * 1024 * 1024;
+      const diskTimer = setInterval(() => {
+        if (directorySize(workspace) > diskLimit) {
+          kill('disk', `Workspace exceeded the ${this.options.diskMb}MB disk quota`);
+        }
+      }, DISK_CHECK_INTERVAL);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        clearInterval(diskTimer);
+        reject(error);
+      });
+
+      child.on('close', async (exitCode, signal) => {
+        clearTimeout(timer);
+        clearInterval(diskTimer);
+
+        const oomKilled = this.options.driver === 'docker' ? await this._removeContainer(runId) : false;
+        const detected = violation || this._detectViolation(exitCode, signal, oomKilled);
+        if (detected) {
+          console.warn(`🚫 Sandbox violation (${detected.reason}): ${detected.message}`);
+          return reject(detected);
+        }
+
+        if (exitCode !== 0 && !allowFailure) {
+          const error = new Error(`Command failed with exit code ${exitCode}: ${command}`);
+          error.stdout = stdout;
+          error.stderr = stderr;
+          error.exitCode = exitCode;
+          return reject(error);
+        }
+
+        resolve({ stdout, stderr, exitCode });
+      });
+    });
+  }
+
+  /**
+   * Build the argv that runs `command` under the configured driver
+   * @private
+   */
+  _wrap(command, { cwd, workspace, network, runId }) {
+    const { driver } = this.options;
+    const shell = ["/bin/sh", "-c", command];
+
+    if (driver === 'none') return shell;
+
+    const uid = this._uidFor(workspace);
+    this._renewLease(uid);
+
+    if (driver === 'docker') {
+      const env = Object.entries(this._environment(workspace, {}))
+        .flatMap(([key, value]) => ["-e", `${key}=${value}`]);
+      const sharedMounts = this.options.sharedPaths
+        .flatMap(shared => ["-v", `${shared}:${shared}:ro`]);
+
+      return [
+        "docker", "run", // removed after its OOMKilled flag is read, see _removeContainer
+        "--name", `sandbox_${runId}`,
+        "--user", `${uid}:${uid}`,
+        "--network", network ? "bridge" : "none",
+        "--memory", `${this.options.memoryMb}m`,
+        "--memory-swap", `${this.options.memoryMb}m`,
+        "--cpus", String(this.options.cpus),
+        "--pids-limit", String(this.options.pids),
+        "--cap-drop", "ALL",
+        "--security-opt", "no-new-privileges",
+        "--read-only",
+        "--tmpfs", "/tmp",
+        "-v", `${workspace}:${workspace}`,
+        ...sharedMounts,
+        "-w", cwd,
+        ...env,
+        this.options.image,
+        ...shell
+      ];
+    }
+
+    if (driver === 'process') {
+      return [
+        "unshare", "--mount", "--pid", "--fork", "--kill-child", "--mount-proc",
+        ...(network ? [] : ["--net"]),
+        "/bin/sh", "-c", PROCESS_MOUNTS, "sandbox", workspace,
+        "prlimit",
+        `--nproc=${this.options.pids}`,
+        `--fsize=${this.options.diskMb * 1024 * 1024}`,
+        `--cpu=${this.options.cpuSeconds}`,
+        `--as=${this.options.addressSpaceMb * 1024 * 1024}`,
+        "--",
+        "setpriv", `--reuid=${uid}`, `--regid=${uid}`, "--clear-groups", "--no-new-privs", "--",
+        ...shell
+      ];
+    }
+
+    throw new Error(`Unknown sandbox driver "${driver}". Available drivers: docker, process, none`);
+  }
+
+  /**
+   * Scrubbed environment: nothing from the server process (JWT_SECRET, DATABASE_URL...) leaks in
+   * @private
+   */
+  _environment(workspace, extra) {
+    const home = this.options.driver === 'none' ? (process.env.HOME || workspace) : path.join(workspace, ".home");
+    const tmp = this.options.driver === 'none' ? (process.env.TMPDIR || "/tmp") : path.join(workspace, ".tmp");
+    const memoryBytes = this.options.memoryMb * 1024 * 1024;
+
+    return {
+      PATH: this.options.path,
+      HOME: home,
+      TMPDIR: tmp,
+      LANG: "C.UTF-8",
+      CI: "true",
+      DOTNET_CLI_HOME: home,
+      DOTNET_CLI_TELEMETRY_OPTOUT: "1",
+      DOTNET_NOLOGO: "1",
+      DOTNET_SKIP_FIRST_TIME_EXPERIENCE: "1",
+      DOTNET_CLI_CONTEXT_VERBOSE: "false",
+      // Managed heaps stay under the memory limit even where the driver cannot enforce it
+      DOTNET_GCHeapHardLimit: memoryBytes.toString(16),
+      JAVA_TOOL_OPTIONS: `-Xmx${Math.floor(this.options.memoryMb * 0.75)}m`,
+      NODE_OPTIONS: `--max-old-space-size=${Math.floor(this.options.memoryMb * 0.75)}`,
+      ...(this.options.nugetPackages ? { NUGET_PACKAGES: this.options.nugetPackages } : {}),
+      ...(this.options.mavenRepository ? { MAVEN_OPTS: `-Dmaven.repo.local=${this.options.mavenRepository}` } : {}),
+      ...extra
+    };
+  }
+
+  /**
+   * Environment for the docker CLI itself (the container gets _environment via -e)
+   * @private
+   */
+  _hostEnvironment() {
+    return {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      ...(process.env.DOCKER_HOST ? { DOCKER_HOST: process.env.DOCKER_HOST } : {})
+    };
+  }
+
+  /**
+   * Map the exit status of a finished command to a violation. Only signals (or their 128+n exit codes)
+   * and docker's OOMKilled count: output is player-controlled, and a failed fork or allocation is
+   * an ordinary failure of their code
+   * @param {number|null} exitCode
+   * @param {string|null} signal
+   * @param {boolean} oomKilled - docker killed the container for its memory limit
+   * @private
+   */
+  _detectViolation(exitCode, signal, oomKilled) {
+    if (exitCode === 0) return null;
+
+    if (signal === 'SIGXCPU' || exitCode === 152) {
+      return new SandboxViolationError('cpu', `Execution exceeded the ${this.options.cpuSeconds}s CPU time limit`);
+    }
+    if (signal === 'SIGXFSZ' || exitCode === 153) {
+      return new SandboxViolationError('disk', `A file exceeded the ${this.options.diskMb}MB disk quota`);
+    }
+    // Our own kills are reported before this, any other SIGKILL outside docker is the kernel's OOM killer
+    const killed = this.options.driver === 'docker' ? oomKilled : signal === 'SIGKILL' || exitCode === 137;
+    if (killed) {
+      return new SandboxViolationError('memory', `Execution exceeded the ${this.options.memoryMb}MB memory limit`);
+    }
+    return null;
+  }
+
+  /**
+   * Remove a finished docker run's container
+   * @param {string} runId
+   * @returns {Promise<boolean>} whether docker killed it for its memory limit
+   * @private
+   */
+  _removeContainer(runId) {
+    const name = `sandbox_${runId}`;
+    return new Promise(resolve => {
+      execFile("docker", ["inspect", "-f", "{{.State.OOMKilled}}", name], { env: this._hostEnvironment() }, (error, stdout) => {
+        execFile("docker", ["rm", "-f", name], { env: this._hostEnvironment() }, () => {});
+        resolve(!error && stdout.trim() === 'true');
+      });
+    });
+  }
+
+  _kill(child, runId) {
+    if (this.options.driver === 'docker') {
+      execFile("docker", ["kill", `sandbox_${runId}`], () => {});
+    }
+    try {
+      process.kill(-child.pid, 'SIGKILL'); // whole process group
+    } catch {
+      child.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Uid leased to a workspace by adopt()
+   * @private
+   */
+  _uidFor(workspace) {
+    const uid = this.leases.get(path.resolve(workspace));
+    if (uid === undefined) {
+      throw new Error(`Workspace ${workspace} has no sandbox uid, it was not adopted by this process`);
+    }
+    return uid;
+  }
+
+  /**
+   * Lease a free uid of the pool for a workspace. A lease is a file created exclusively in
+   * the lease folder, leases not renewed for uidLeaseMs belong to a crashed process and are taken over.
+   * @private
+   */
+  _lease(workspaceDir) {
+    const workspace = path.resolve(workspaceDir);
+    if (this.leases.has(workspace)) return this.leases.get(workspace);
+
+    const { uidBase, uidPoolSize, uidLeaseDir, uidLeaseMs } = this.options;
+    fs.mkdirSync(uidLeaseDir, { recursive: true });
+
+    // Start at a random uid so processes do not all race for the first free ones
+    const offset = crypto.randomInt(uidPoolSize);
+    for (let i = 0; i < uidPoolSize; i++) {
+      const uid = uidBase + (offset + i) % uidPoolSize;
+      const leasePath = this._leasePath(uid);
+      try {
+        if (Date.now() - fs.statSync(leasePath).mtimeMs > uidLeaseMs) {
+          fs.rmSync(leasePath, { force: true });
+        }
+      } catch {
+        // no lease yet
+      }
+      try {
+        fs.writeFileSync(leasePath, workspace, { flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') continue;
+        throw error;
+      }
+      this.leases.set(workspace, uid);
+      return uid;
+    }
+    throw new Error(`All ${uidPoolSize} sandbox uids are in use, raise SANDBOX_UID_POOL_SIZE`);
+  }
+
+  /**
+   * Keep the lease of a running workspace from going stale
+   * @private
+   */
+  _renewLease(uid) {
+    const now = new Date();
+    try {
+      fs.utimesSync(this._leasePath(uid), now, now);
+    } catch (error) {
+      console.error(`❌ Could not renew the lease of sandbox uid ${uid}:`, error.message);
+    }
+  }
+
+  _leasePath(uid) {
+    return path.join(this.options.uidLeaseDir, String(uid));
+  }
+}
+
+module.exports = Sandbox;
+module.exports.SandboxViolationError = SandboxViolationError;
@@ -67,6 +67,8 @@ function initializeSocketIO(server) {
   // Handle connection
   io.on('connection', (socket) => {
 
+    // Personal room for events addressed to this player (scoring jobs)
+    socket.join(`player:${socket.playerId}`);
     
     // Initialize room handler for this socket
     socketHandler(io, socket, roomService, gameService);
@@ -84,6 +86,38 @@ function initializeSocketIO(server) {
 
   });
 
+  // Relay scoring job updates from the workers to the player
+  gameService.jobService.watch(
+    (job) => {
+      io.to(`player:${job.playerId}`).emit('scoring_job_updated', job);
+    },
+    (job, event) => {
+      const payload = {
+        jobId: job.id,
+        gameId: job.gameId,
+        playerId: job.playerId,
+        stage: event.stage,
+        status: event.status,
+        elapsedMs: event.elapsedMs,
+        partial: event.partial
+      };
+
+      io.to(`player:${job.playerId}`).emit('scoring_progress', payload);
+      if (config.jobs.progressToRoom && job.roomCode) {
+        // Other players only see how far the pipeline got, partial results would leak the tests
+        const roomPayload = {
+          jobId: job.id,
+          gameId: job.gameId,
+          playerId: job.playerId,
+          stage: event.stage,
+          status: event.status,
+          elapsedMs: event.elapsedMs
+        };
+        io.to(job.roomCode).except(`player:${job.playerId}`).emit('scoring_progress', roomPayload);
+      }
+    }
+  );
+
   // Periodic cleanup of empty rooms
   setInterval(() => {
     const cleaned = roomService.cleanupEmptyRooms();
@@ -0,0 +1,139 @@
+/**
+ * Checks for tests that game the metrics instead of testing the code: coverage without assertions,
+ * catch-all blocks, reflection into private members and killing the test process
+ */
+
+const { stripComments, blockEnds, lineLocator } = require('./testQuality');
+
+// Reflection reaching into private members
+const REFLECTION = {
+  csharp: [
+    /\bBindingFlags\.NonPublic\b/g,
+    /\bPrivateObject\b|\bPrivateType\b/g,
+    /\bInternalsVisibleTo\b/g,
+    /\.Get(?:Field|Method|Property)s?\s*\([^)]{0,300}NonPublic/g
+  ],
+  java: [
+    /\.setAccessible\s*\(\s*true\s*\)/g,
+    /\.getDeclared(?:Field|Method|Constructor)s?\s*\(/g,
+    /\bWhitebox\.|\bReflectionTestUtils\./g
+  ],
+  javascript: [
+    /\brewire\s*\(|\.__(?:get|set)__\s*\(/g,
+    /\bObject\.getOwnPropertySymbols\s*\(/g
+  ]
+};
+REFLECTION.typescript = REFLECTION.javascript;
+
+// Leaving or killing the test process, or starting other processes
+const PROCESS_CALLS = {
+  csharp: [/\bEnvironment\.(?:Exit|FailFast)\s*\(/g, /\bProcess\.(?:Start|GetCurrentProcess)\b/g, /\.Kill\s*\(/g],
+  java: [/\bSystem\.exit\s*\(/g, /\bRuntime\.getRuntime\s*\(\s*\)\s*\.\s*(?:exec|halt|exit)\s*\(/g, /\bnew\s+ProcessBuilder\b/g],
+  javascript: [/\bprocess\.(?:exit|kill|abort)\s*\(/g, /\bchild_process\b/g]
+};
+PROCESS_CALLS.typescript = PROCESS_CALLS.javascript;
+
+// Catch clauses catching every exception
+const CATCH_ALL = {
+  csharp: /\bcatch\s*(?:\(\s*(?:System\.)?Exception(?:\s+\w+)?\s*\))?\s*\{/g,
+  java: /\bcatch\s*\(\s*(?:final\s+)?(?:Exception|Throwable|RuntimeException)\s+\w+\s*\)\s*\{/g,
+  javascript: /\bcatch\s*(?:\(\s*\w*\s*\))?\s*\{/g
+};
+CATCH_ALL.typescript = CATCH_ALL.javascript;
+
+// A catch body doing any of these does not swallow the failure
+const HANDLED = /\bthrow\b|\bAssert\b|\bassert\w*|\bexpect\s*\(|\bfail\s*\(|\.Should\(\)/g;
+
+const SEVERITY_POINTS = { high: 50, medium: 25 };
+
+/**
+ * Whether a sorted list holds a value in [from, to)
+ * @param {number[]} sorted
+ * @param {number} from
+ * @param {number} to
+ * @returns {boolean}
+ */
+function anyBetween(sorted, from, to) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < from) low = mid + 1;
+    else high = mid;
+  }
+  return low < sorted.length && sorted[low] < to;
+}
+
+/**
+ * Check a scored submission for tests gaming the metrics
+ * @param {object} submission
+ * @param {string} submission.testCode - Player's tests
+ * @param {string} [submission.language] - csharp (default), java, javascript or typescript
+ * @param {number} submission.lineRate - Line coverage in percent
+ * @param {number} submission.mutationScore - Mutation score in percent
+ * @param {{ testCount: number, assertionCount: number, testsWithoutAssertions: string[] }} submission.testQuality - From analyzeTests()
+ * @returns {{ level: string, score: number, flags: Array<{ type: string, severity: string, line: number|null, evidence: string, message: string }>, checkedAt: Date }}
+ *   `level` is none, medium or high; `score` (0-100) adds up the flags
+ */
+function checkSuspicion({ testCode, language = 'csharp', lineRate = 0, mutationScore = 0, testQuality }) {
+  const code = stripComments(testCode || '');
+  const lines = code.split('\n');
+  const lineAt = lineLocator(code);
+  const flags = [];
+  const flagged = new Set();
+  const flag = (type, severity, index, message) => {
+    const line = index === null ? null : lineAt(index);
+    if (flagged.has(`${type}:${line}`)) return; // one flag per kind and line
+    flagged.add(`${type}:${line}`);
+
+    flags.push({
+      type,
+      severity,
+      line,
+      evidence: line === null ? '' : lines[line - 1].trim(),
+      message
+    });
+  };
+
+  // Coverage without checking anything: every executed line counts, none is verified
+  const { testCount = 0, assertionCount = 0, testsWithoutAssertions = [] } = testQuality || {};
+  if (lineRate >= 50 && testCount > 0 && assertionCount === 0) {
+    flag('assertionFreeCoverage', 'high', null, `${lineRate}% line coverage from tests without a single assertion`);
+  } else if (lineRate >= 50 && testsWithoutAssertions.length > testCount / 2 && lineRate - mutationScore >= 50) {
+    flag('assertionFreeCoverage', 'medium', null,
+      `${testsWithoutAssertions.length} of ${testCount} tests assert nothing, ${lineRate}% coverage but ${mutationScore}% mutation score`);
+  }
+
+  // Found once for the whole code, nested catch blocks would rescan the same bodies
+  const handled = [...code.matchAll(HANDLED)].map(match => match.index);
+  const ends = blockEnds(code);
+  for (const match of code.matchAll(new RegExp((CATCH_ALL[language] || CATCH_ALL.csharp).source, 'g'))) {
+    const start = match.index + match[0].length;
+    if (!anyBetween(handled, start, ends.get(start) - 1)) {
+      flag('swallowAll', 'medium', match.index, 'Catches every exception and ignores it, failures can never surface');
+    }
+  }
+
+  for (const pattern of REFLECTION[language] || REFLECTION.csharp) {
+    for (const match of code.matchAll(new RegExp(pattern.source, 'g'))) {
+      flag('reflection', 'medium', match.index, 'Reaches into private members through reflection');
+    }
+  }
+
+  for (const pattern of PROCESS_CALLS[language] || PROCESS_CALLS.csharp) {
+    for (const match of code.matchAll(new RegExp(pattern.source, 'g'))) {
+      flag('processCall', 'high', match.index, 'Exits, kills or starts a process from a test');
+    }
+  }
+
+  const score = Math.min(100, flags.reduce((sum, f) => sum + SEVERITY_POINTS[f.severity], 0));
+  let level = 'none';
+  if (flags.some(f => f.severity === 'high') || score >= 75) level = 'high';
+  else if (flags.length > 0) level = 'medium';
+
+  return { level, score, flags, checkedAt: new Date() };
+}
+
+module.exports = {
+  checkSuspicion
+};
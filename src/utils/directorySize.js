@@ -0,0 +1,38 @@
+/**
+ * Disk usage of folders: sandbox disk quotas and the build cache size limit
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Size of a directory in bytes, symlinks (shared node_modules) are not followed
+ * @param {string} dir
+ * @returns {number} 0 when the folder does not exist
+ */
+function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += directorySize(fullPath);
+    } else if (entry.isFile()) {
+      try {
+        total += fs.statSync(fullPath).size;
+      } catch {
+        // file removed while walking
+      }
+    }
+  }
+  return total;
+}
+
+module.exports = {
+  directorySize
+};
@@ -0,0 +1,16 @@
+/**
+ * Query and settings values that may be a list, a single value or a comma-separated string
+ */
+
+/**
+ * Normalise a list parameter: `['a', 'b']`, `'a'` and `'a, b'` all work, blanks are dropped
+ * @param {*} value - Array, single value, comma-separated string, or undefined/null
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function parseList(value) {
+  return [].concat(value ?? []).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+module.exports = {
+  parseList
+};
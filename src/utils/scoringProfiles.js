@@ -0,0 +1,168 @@
+/**
+ * Scoring profiles: how a player's metrics turn into a total score.
+ *
+ * Games store the version they were scored with and reports render that version,
+ * so a published profile must never change. Add a new version instead.
+ */
+
+/**
+ * Each component takes one metric of the player (see calculateScore):
+ * - weight: points per unit, after normalisation
+ * - cap: metric values above it count as the cap
+ * - normalize: turn the capped value into a percentage of the cap before weighting
+ * Penalties work the same way and are subtracted.
+ */
+const PROFILES = {
+  v1: {
+    version: 'v1',
+    name: 'Classic',
+    description: 'Original formula: mutation 40%, branch and line coverage 20% each, test lines 10%, minus 10% of the run time in seconds',
+    components: [
+      { metric: 'mutation', label: 'Mutation Score', unit: '%', weight: 0.4 },
+      { metric: 'branch', label: 'Branch Coverage', unit: '%', weight: 0.2 },
+      { metric: 'coverage', label: 'Line Coverage', unit: '%', weight: 0.2 },
+      { metric: 'testLines', label: 'Test Quality', unit: 'lines', weight: 0.1 }
+    ],
+    penalties: [
+      { metric: 'executionTime', label: 'Time Penalty', unit: 's', weight: 0.1 }
+    ]
+  },
+
+  v2: {
+    version: 'v2',
+    name: 'Balanced',
+    description: 'Scores out of 100: test lines count up to 50, slow runs lose at most 10 points',
+    components: [
+      { metric: 'mutation', label: 'Mutation Score', unit: '%', weight: 0.45 },
+      { metric: 'branch', label: 'Branch Coverage', unit: '%', weight: 0.2 },
+      { metric: 'coverage', label: 'Line Coverage', unit: '%', weight: 0.2 },
+      { metric: 'testLines', label: 'Test Quality', unit: 'lines', weight: 0.15, cap: 50, normalize: true }
+    ],
+    penalties: [
+      { metric: 'executionTime', label: 'Time Penalty', unit: 's', weight: 0.1, cap: 30, normalize: true }
+    ]
+  },
+
+  v3: {
+    version: 'v3',
+    name: 'Test Quality',
+    description: 'Like Classic, but the 10% for tests rewards the test-quality score (distinct tests, assertions) instead of line count',
+    components: [
+      { metric: 'mutation', label: 'Mutation Score', unit: '%', weight: 0.4 },
+      { metric: 'branch', label: 'Branch Coverage', unit: '%', weight: 0.2 },
+      { metric: 'coverage', label: 'Line Coverage', unit: '%', weight: 0.2 },
+      { metric: 'testQuality', label: 'Test Quality', unit: '/100', weight: 0.1 }
+    ],
+    penalties: [
+      { metric: 'executionTime', label: 'Time Penalty', unit: 's', weight: 0.1, cap: 30, normalize: true }
+    ]
+  },
+
+  v4: {
+    version: 'v4',
+    name: 'Strict',
+    description: 'Test Quality plus one point off per test smell (tests without assertions, sleeps, ignored tests...), at most 10',
+    components: [
+      { metric: 'mutation', label: 'Mutation Score', unit: '%', weight: 0.4 },
+      { metric: 'branch', label: 'Branch Coverage', unit: '%', weight: 0.2 },
+      { metric: 'coverage', label: 'Line Coverage', unit: '%', weight: 0.2 },
+      { metric: 'testQuality', label: 'Test Quality', unit: '/100', weight: 0.1 }
+    ],
+    penalties: [
+      { metric: 'executionTime', label: 'Time Penalty', unit: 's', weight: 0.1, cap: 30, normalize: true },
+      { metric: 'testSmells', label: 'Test Smells', unit: 'smells', weight: 1, cap: 10 }
+    ]
+  },
+
+  // Bug-hunt games are always scored with this one
+  bh1: {
+    version: 'bh1',
+    name: 'Bug Hunt',
+    mode: 'bugHunt',
+    description: 'Share of the seeded bugs caught, minus 5 points per test failing on the correct code, at most 20',
+    components: [
+      { metric: 'bugsCaught', label: 'Bugs Caught', unit: '%', weight: 1 }
+    ],
+    penalties: [
+      { metric: 'wrongTests', label: 'Wrong Tests', unit: 'tests', weight: 5, cap: 4 }
+    ]
+  }
+};
+
+// Games and reports from before profiles existed were scored with v1
+const LEGACY_PROFILE = 'v1';
+
+const BUG_HUNT_PROFILE = 'bh1';
+
+/**
+ * Get a scoring profile
+ * @param {string} [version] - Profile version, v1 when missing
+ * @returns {object|null} Profile, null when the version does not exist
+ */
+function getScoringProfile(version = LEGACY_PROFILE) {
+  return PROFILES[version || LEGACY_PROFILE] || null;
+}
+
+/**
+ * List the available scoring profiles
+ * @returns {Array<{ version: string, name: string, mode: string, description: string }>} `mode` is the game mode the profile scores
+ */
+function listScoringProfiles() {
+  return Object.values(PROFILES).map(({ version, name, mode = 'classic', description }) => ({ version, name, mode, description }));
+}
+
+/**
+ * Points of one component or penalty
+ * @param {object} item - Profile component
+ * @param {number} value - Player metric
+ * @returns {number}
+ */
+function itemPoints(item, value) {
+  let counted = Math.max(0, value || 0);
+  if (item.cap !== undefined) counted = Math.min(counted, item.cap);
+  if (item.normalize) counted = (counted / item.cap) * 100;
+  return counted * item.weight;
+}
+
+/**
+ * Score a player's metrics with a profile
+ * @param {{ mutation: number, branch: number, coverage: number, testLines: number, testQuality: number, testSmells: number,
+ *   bugsCaught: number, wrongTests: number, executionTime: number }} metrics
+ *   mutation score, branch and line coverage in percent, test lines, test-quality score (0-100),
+ *   test smell warnings, share of the challenge's bug variants caught in percent, tests failing on the
+ *   reference implementation, run time in seconds
+ * @param {string} [version] - Profile version, v1 when missing
+ * @returns {{ version: string, total: number, breakdown: Array<{ metric: string, label: string, value: number, unit: string, weight: number, cap?: number, points: number, penalty: boolean }> }}
+ */
+function calculateScore(metrics, version) {
+  const profile = getScoringProfile(version);
+  if (!profile) {
+    throw new Error(`Unknown scoring profile: ${version}`);
+  }
+
+  const breakdown = [
+    ...profile.components.map(item => ({ item, penalty: false })),
+    ...profile.penalties.map(item => ({ item, penalty: true }))
+  ].map(({ item, penalty }) => ({
+    metric: item.metric,
+    label: item.label,
+    value: metrics[item.metric] || 0,
+    unit: item.unit,
+    weight: item.weight,
+    cap: item.cap,
+    points: itemPoints(item, metrics[item.metric]),
+    penalty
+  }));
+
+  const total = breakdown.reduce((sum, entry) => sum + (entry.penalty ? -entry.points : entry.points), 0);
+
+  return { version: profile.version, total, breakdown };
+}
+
+module.exports = {
+  LEGACY_PROFILE,
+  BUG_HUNT_PROFILE,
+  getScoringProfile,
+  listScoringProfiles,
+  calculateScore
+};
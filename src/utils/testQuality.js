@@ -0,0 +1,223 @@
+/**
+ * Static analysis of a player's test file: what the tests check, not how long they are
+ */
+
+// Test markers per language, each ending at the opening brace of the test body.
+// Every repetition is bounded and stops at braces/semicolons: unbounded lazy scans made
+// extraction quadratic on test code full of markers that never reach a body
+const TEST_MARKERS = {
+  // MSTest, xUnit and NUnit attributes
+  csharp: /\[\s*(?:(?:Data)?TestMethod|Fact|Theory|Test|TestCase)\b[^\]{};]{0,200}\][^{};]{0,300}?\b(?<name>\w{1,200})\s*\([^(){};]{0,300}\)\s*\{/g,
+  // JUnit annotations
+  java: /@(?:Test|ParameterizedTest|RepeatedTest)\b[^{};]{0,300}?\b(?<name>\w{1,200})\s*\([^(){};]{0,300}\)\s*(?:throws[\w\s.,]{1,200})?\{/g,
+  // jest test()/it(), also skipped or focused (it.skip, xit, test.only, fit...)
+  javascript: /\b(?:[xf]?(?:test|it)|(?:test|it)\.(?:skip|only))\s*\(\s*(['"`])(?<name>.{0,300}?)\1\s*,\s*(?:async\s*)?(?:\([^(){};]{0,300}\)\s*=>|\w{1,200}\s*=>|function\s*\w*\s*\([^(){};]{0,300}\))\s*\{/g
+};
+TEST_MARKERS.typescript = TEST_MARKERS.javascript;
+
+// Assertions per language, the first group (after the prefix) names the assertion type
+const ASSERTIONS = {
+  csharp: [
+    { pattern: /\b((?:Assert|StringAssert|CollectionAssert)\.\w+)\s*(?:<[^>]{0,200}>)?\s*\(/g, prefix: '' },
+    { pattern: /\.Should\(\)\s*\.\s*(\w+)/g, prefix: 'Should.' }                     // FluentAssertions
+  ],
+  java: [
+    { pattern: /\b(?:Assertions\.|Assert\.)?(assert(?!That\b)\w+|fail)\s*\(/g, prefix: '' },
+    { pattern: /\bassertThat\s*\([\s\S]{0,300}?\)\s*\.\s*(\w+)\s*\(/g, prefix: 'assertThat.' } // AssertJ
+  ],
+  javascript: [
+    { pattern: /\bexpect\s*\([\s\S]{0,300}?\)\s*(?:\.\s*(?:not|resolves|rejects)\s*)*\.\s*(to\w+)/g, prefix: '' },
+    { pattern: /\b(assert(?:\.\w+)?)\s*\(/g, prefix: '' }
+  ]
+};
+ASSERTIONS.typescript = ASSERTIONS.javascript;
+
+// Longest test file accepted for analysis and scoring, in characters
+const MAX_TEST_CODE_LENGTH = 100000;
+
+// Where the normalised score saturates
+const ENOUGH_TESTS = 8;
+const ENOUGH_ASSERTIONS_PER_TEST = 3;
+const ENOUGH_ASSERTION_TYPES = 4;
+
+/**
+ * Remove comments so commented-out code neither counts nor hides duplicates.
+ * Line breaks stay, positions in the result are on the same line as in the code.
+ * @param {string} code
+ * @returns {string}
+ */
+function stripComments(code) {
+  return code
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ''))  // block comments
+    .replace(/\/\/.*$/gm, '');                                                // single-line comments
+}
+
+/**
+ * Non-empty lines of code, lone braces excluded
+ * @param {string} code
+ * @returns {number}
+ */
+function countTestLines(code) {
+  return stripComments(code)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && line !== '{' && line !== '}')
+    .length;
+}
+
+/**
+ * Index right after the brace closing the block that starts at `start`
+ * @param {string} code
+ * @param {number} start - Index right after the opening brace
+ * @returns {number} code.length + 1 when the block is never closed
+ */
+function blockEnd(code, start) {
+  let depth = 1;
+  let i = start;
+  while (i < code.length && depth > 0) {
+    if (code[i] === '{') depth++;
+    if (code[i] === '}') depth--;
+    i++;
+  }
+  return depth > 0 ? code.length + 1 : i;
+}
+
+/**
+ * blockEnd() of every block at once, for callers visiting nested blocks
+ * @param {string} code
+ * @returns {Map<number, number>} index right after each opening brace -> index right after its closing brace
+ */
+function blockEnds(code) {
+  const ends = new Map();
+  const open = [];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '{') open.push(i + 1);
+    if (code[i] === '}' && open.length > 0) ends.set(open.pop(), i + 1);
+  }
+  for (const start of open) ends.set(start, code.length + 1);
+  return ends;
+}
+
+/**
+ * Line lookup for many indexes of the same code
+ * @param {string} code
+ * @returns {function(number): number} 1-based line of an index
+ */
+function lineLocator(code) {
+  const starts = [0];
+  for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+
+  return index => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Find the test methods and their bodies
+ * @param {string} code - Comment-free test code
+ * @param {string} language - Challenge language
+ * @returns {Array<{ name: string, body: string, start: number, bodyStart: number, end: number }>} positions are indexes in `code`
+ */
+function extractTests(code, language) {
+  const marker = new RegExp((TEST_MARKERS[language] || TEST_MARKERS.csharp).source, 'g');
+  const tests = [];
+
+  let match;
+  while ((match = marker.exec(code)) !== null) {
+    const bodyStart = marker.lastIndex;
+    const end = blockEnd(code, bodyStart);
+    tests.push({ name: match.groups.name, body: code.slice(bodyStart, end - 1), start: match.index, bodyStart, end });
+    marker.lastIndex = end; // tests do not nest, markers inside a body are not tests
+  }
+
+  return tests;
+}
+
+/**
+ * Assertion types used in a test body, once per assertion
+ * @param {string} body - Test body
+ * @param {string} language - Challenge language
+ * @returns {string[]}
+ */
+function findAssertions(body, language) {
+  return (ASSERTIONS[language] || ASSERTIONS.csharp).flatMap(({ pattern, prefix }) =>
+    [...body.matchAll(new RegExp(pattern.source, 'g'))].map(match => `${prefix}${match[1]}`)
+  );
+}
+
+/**
+ * Analyse a player's tests
+ * @param {string} code - Test file
+ * @param {string} [language] - csharp (default), java, javascript or typescript
+ * @returns {{ totalTestLines: number, testCount: number, uniqueTestCount: number, assertionCount: number,
+ *   assertionsPerTest: number, assertionTypes: string[], testsWithoutAssertions: string[],
+ *   duplicateTests: Array<{ name: string, duplicateOf: string }>,
+ *   tests: Array<{ name: string, assertions: number, assertionTypes: string[] }>, score: number }}
+ *   `score` is 0-100: enough distinct tests, every test asserting something, a few assertions per test
+ *   and more than one kind of assertion. Duplicated tests do not count
+ */
+function analyzeTests(code, language = 'csharp') {
+  const cleaned = stripComments(code || '');
+  const found = extractTests(cleaned, language);
+
+  const seenBodies = new Map(); // normalised body -> first test with it
+  const duplicateTests = [];
+  const tests = found.map(test => {
+    const assertions = findAssertions(test.body, language);
+    const normalized = test.body.replace(/\s+/g, '');
+
+    if (normalized && seenBodies.has(normalized)) {
+      duplicateTests.push({ name: test.name, duplicateOf: seenBodies.get(normalized) });
+    } else {
+      seenBodies.set(normalized, test.name);
+    }
+
+    return { name: test.name, assertions: assertions.length, assertionTypes: [...new Set(assertions)] };
+  });
+
+  const duplicates = new Set(duplicateTests.map(t => t.name));
+  const unique = tests.filter(t => !duplicates.has(t.name));
+  const assertionCount = unique.reduce((sum, t) => sum + t.assertions, 0);
+  const assertionTypes = [...new Set(unique.flatMap(t => t.assertionTypes))];
+  const assertionsPerTest = unique.length > 0 ? assertionCount / unique.length : 0;
+  const assertedShare = unique.length > 0 ? unique.filter(t => t.assertions > 0).length / unique.length : 0;
+
+  const score =
+    30 * Math.min(unique.length / ENOUGH_TESTS, 1) +
+    25 * assertedShare +
+    25 * Math.min(assertionsPerTest / ENOUGH_ASSERTIONS_PER_TEST, 1) +
+    20 * Math.min(assertionTypes.length / ENOUGH_ASSERTION_TYPES, 1);
+
+  return {
+    totalTestLines: countTestLines(code || ''),
+    testCount: tests.length,
+    uniqueTestCount: unique.length,
+    assertionCount,
+    assertionsPerTest: Math.round(assertionsPerTest * 10) / 10,
+    assertionTypes,
+    testsWithoutAssertions: tests.filter(t => t.assertions === 0).map(t => t.name),
+    duplicateTests,
+    tests,
+    score: Math.round(score * 10) / 10
+  };
+}
+
+module.exports = {
+  MAX_TEST_CODE_LENGTH,
+  analyzeTests,
+  stripComments,
+  extractTests,
+  findAssertions,
+  blockEnd,
+  blockEnds,
+  lineLocator
+};
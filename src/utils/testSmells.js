@@ -0,0 +1,138 @@
+/**
+ * Test smell detection on a player's test file (tests that pass without proving anything)
+ */
+
+const { analyzeTests, stripComments, extractTests, lineLocator } = require('./testQuality');
+
+// Language specific smells, `name` groups give the test name when the test itself is not extracted
+const SMELL_PATTERNS = {
+  csharp: {
+    trivialAssertion: [
+      /\bAssert\.(?:IsTrue\s*\(\s*true|IsFalse\s*\(\s*false)\s*[,)]/g,
+      /\bAssert\.AreEqual\s*(?:<[^>]{0,200}>)?\s*\(\s*([^,()]{1,200}?)\s*,\s*\1\s*\)/g
+    ],
+    sleep: [/\b(?:Thread\.Sleep|Task\.Delay)\s*\(/g],
+    ignoredTest: [/\[[^\]]{0,200}?\bIgnore\b[^\]]{0,200}\]/g]
+  },
+  java: {
+    trivialAssertion: [
+      /\b(?:assertTrue\s*\(\s*true|assertFalse\s*\(\s*false)\s*[,)]/g,
+      /\bassertEquals\s*\(\s*([^,()]{1,200}?)\s*,\s*\1\s*\)/g
+    ],
+    sleep: [/\b(?:Thread\.sleep|TimeUnit\.\w+\.sleep)\s*\(/g],
+    ignoredTest: [/@(?:Disabled|Ignore)\b/g]
+  },
+  javascript: {
+    trivialAssertion: [
+      /\bexpect\s*\(\s*true\s*\)\s*\.\s*toBe(?:Truthy\s*\(|\s*\(\s*true)\s*\)/g,
+      /\bexpect\s*\(\s*([^()]{1,200}?)\s*\)\s*\.\s*to(?:Be|Equal|StrictEqual)\s*\(\s*\1\s*\)/g,
+      /\bassert\s*\(\s*true\s*\)/g
+    ],
+    sleep: [/\b(?:setTimeout|sleep)\s*\(/g],
+    ignoredTest: [/\b(?:(?:test|it|describe)\.skip|xit|xtest|xdescribe)\s*\(\s*(['"`])(?<name>.{0,300}?)\1/g]
+  }
+};
+SMELL_PATTERNS.typescript = SMELL_PATTERNS.javascript;
+
+const EMPTY_CATCH = /\bcatch\b\s*(?:\([^(){};]{0,200}\))?\s*\{\s*\}/g;
+
+// Numbers that explain themselves
+const PLAIN_NUMBERS = new Set(['0', '1', '-1']);
+const NUMBER = /(?<![\w.])-?\d+(?:\.\d+)?(?![\w.])/g;
+
+const MESSAGES = {
+  noAssertions: test => `Test \`${test}\` has no assertion, it passes whatever the code does`,
+  trivialAssertion: test => `Test \`${test}\` asserts something that is always true`,
+  emptyCatch: test => `Test \`${test}\` swallows exceptions in an empty catch block`,
+  sleep: test => `Test \`${test}\` sleeps, which makes it slow and flaky`,
+  ignoredTest: test => `Test \`${test}\` is ignored and never runs`,
+  magicNumber: test => `Test \`${test}\` compares against unexplained numbers, name them`,
+  duplicateTest: (test, original) => `Test \`${test}\` repeats \`${original}\``
+};
+
+// Informational smells do not count toward the scoring penalty
+const INFO_SMELLS = new Set(['magicNumber']);
+
+/**
+ * Detect test smells
+ * @param {string} code - Player's test file
+ * @param {string} [language] - csharp (default), java, javascript or typescript
+ * @returns {{ smells: Array<{ smell: string, test: string|null, line: number, severity: string, message: string }>,
+ *   counts: Object<string, number>, penaltySmells: number }}
+ *   `penaltySmells` counts the warnings, the figure scoring profiles may take points off for
+ */
+function detectTestSmells(code, language = 'csharp') {
+  const cleaned = stripComments(code || '');
+  const tests = extractTests(cleaned, language);
+  const patterns = SMELL_PATTERNS[language] || SMELL_PATTERNS.csharp;
+  const quality = analyzeTests(code || '', language);
+  const smells = [];
+  const seen = new Set(); // smell + position, patterns of the same smell may overlap
+  const lineAt = lineLocator(cleaned);
+
+  const add = (smell, test, index, ...details) => {
+    if (seen.has(`${smell}:${index}`)) return;
+    seen.add(`${smell}:${index}`);
+    smells.push({
+      smell,
+      test: test?.name ?? test ?? null,
+      line: lineAt(index),
+      severity: INFO_SMELLS.has(smell) ? 'info' : 'warning',
+      message: MESSAGES[smell](test?.name ?? test ?? 'unknown', ...details)
+    });
+  };
+
+  // Test around an index, or the next one for attributes written above it
+  const testAt = index => tests.find(t => t.start <= index && index < t.end) || tests.find(t => t.bodyStart > index) || null;
+  const scan = (smell, regexes) => {
+    for (const pattern of regexes) {
+      for (const match of cleaned.matchAll(new RegExp(pattern.source, 'g'))) {
+        add(smell, match.groups?.name ?? testAt(match.index), match.index);
+      }
+    }
+  };
+
+  for (const name of quality.testsWithoutAssertions) {
+    const test = tests.find(t => t.name === name);
+    add('noAssertions', test, test?.start ?? 0);
+  }
+  scan('trivialAssertion', patterns.trivialAssertion);
+  scan('emptyCatch', [EMPTY_CATCH]);
+  scan('sleep', patterns.sleep);
+  scan('ignoredTest', patterns.ignoredTest);
+
+  // One magic number finding per test, on the first assertion with one
+  const asserting = new Set(quality.tests.filter(t => t.assertions > 0).map(t => t.name));
+  for (const test of tests.filter(t => asserting.has(t.name))) {
+    let offset = test.bodyStart;
+    for (const line of test.body.split('\n')) {
+      const assertion = line.search(/assert|expect|should/i);
+      const numbers = assertion < 0 ? [] : (line.slice(assertion).match(NUMBER) || []).filter(n => !PLAIN_NUMBERS.has(n));
+      if (numbers.length) {
+        add('magicNumber', test, offset);
+        break;
+      }
+      offset += line.length + 1;
+    }
+  }
+
+  for (const duplicate of quality.duplicateTests) {
+    const test = tests.find(t => t.name === duplicate.name);
+    add('duplicateTest', test, test?.start ?? 0, duplicate.duplicateOf);
+  }
+
+  const counts = {};
+  for (const { smell } of smells) {
+    counts[smell] = (counts[smell] || 0) + 1;
+  }
+
+  return {
+    smells: smells.sort((a, b) => a.line - b.line),
+    counts,
+    penaltySmells: smells.filter(s => s.severity === 'warning').length
+  };
+}
+
+module.exports = {
+  detectTestSmells
+};
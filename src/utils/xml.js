@@ -0,0 +1,61 @@
+/**
+ * Small helpers for the XML reports written by test tools (TRX, Surefire, Cobertura, JaCoCo)
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Decode XML entities and CDATA sections
+ * @param {string} text - Raw XML text content or attribute value
+ * @returns {string} Decoded text
+ */
+function decodeXml(text = '') {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[name] ?? entity;
+    });
+}
+
+/**
+ * Read the attributes of an element's opening tag
+ * @param {string} tag - Opening tag, e.g. `<testcase name="a" time="0.1">`
+ * @returns {Object} Attribute name -> decoded value
+ */
+function xmlAttributes(tag) {
+  const attributes = {};
+  const regex = /([\w:.-]+)="([^"]*)"/g;
+
+  let match;
+  while ((match = regex.exec(tag)) !== null) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Decoded text content of the first child element with the given name
+ * @param {string} xml - Element body to search in
+ * @param {string} name - Child element name
+ * @returns {string|null} Text content, null when the element is missing
+ */
+function xmlText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]).trim() : null;
+}
+
+module.exports = {
+  decodeXml,
+  xmlAttributes,
+  xmlText
+};
@@ -0,0 +1,91 @@
+const { analyzeTests, MAX_TEST_CODE_LENGTH } = require('../src/utils/testQuality');
+const { checkSuspicion } = require('../src/utils/antiCheat');
+
+const CSHARP_TESTS = `
+[TestClass]
+public class AccountTests
+{
+    [TestMethod]
+    public void Deposit_AddsToBalance()
+    {
+        var account = new Account();
+        account.Deposit(10);
+        Assert.AreEqual(10, account.Balance);
+        Assert.IsTrue(account.Balance > 0);
+    }
+
+    [TestMethod]
+    public void Withdraw_Runs()
+    {
+        var account = new Account();
+        account.Withdraw(5);
+    }
+
+    // [TestMethod] public void Commented() { Assert.Fail(); }
+}`;
+
+describe('checkSuspicion', () => {
+  const quality = code => analyzeTests(code, 'csharp');
+
+  test('clean tests are not suspicious', () => {
+    const result = checkSuspicion({ testCode: CSHARP_TESTS, lineRate: 80, mutationScore: 70, testQuality: quality(CSHARP_TESTS) });
+
+    expect(result.level).toBe('none');
+    expect(result.flags).toEqual([]);
+  });
+
+  test('coverage without a single assertion is high', () => {
+    const tests = `
+[TestMethod]
+public void Runs() { new Account().Deposit(10); }`;
+    const result = checkSuspicion({ testCode: tests, lineRate: 90, mutationScore: 0, testQuality: quality(tests) });
+
+    expect(result.level).toBe('high');
+    expect(result.flags.map(f => f.type)).toEqual(['assertionFreeCoverage']);
+  });
+
+  test('flags catch-all blocks, reflection and process calls with their line', () => {
+    const tests = `[TestMethod]
+public void Cheats()
+{
+    try { account.Withdraw(500); } catch (Exception) { }
+    var field = typeof(Account).GetField("balance", BindingFlags.NonPublic | BindingFlags.Instance);
+    Environment.Exit(0);
+}`;
+    const result = checkSuspicion({ testCode: tests, lineRate: 10, mutationScore: 10, testQuality: quality(tests) });
+
+    expect(result.flags.map(f => [f.type, f.line])).toEqual([
+      ['swallowAll', 4],
+      ['reflection', 5],
+      ['processCall', 6]
+    ]);
+    expect(result.level).toBe('high');
+    expect(result.score).toBe(100);
+  });
+
+  test('a catch block that asserts is fine', () => {
+    const tests = `
+[TestMethod]
+public void Throws()
+{
+    try { account.Withdraw(500); Assert.Fail(); } catch (Exception) { Assert.IsTrue(true); }
+}`;
+
+    expect(checkSuspicion({ testCode: tests, lineRate: 10, testQuality: quality(tests) }).flags).toEqual([]);
+  });
+});
+
+describe('large inputs', () => {
+  test.each([
+    ['nested catch blocks', 'try { } catch (Exception) { '],
+    ['unclosed reflection calls', '.GetField("x", '],
+    ['process calls', 'p.Kill();\n']
+  ])('%s stay linear', (name, chunk) => {
+    const code = chunk.repeat(Math.floor(MAX_TEST_CODE_LENGTH / chunk.length));
+    const started = Date.now();
+
+    checkSuspicion({ testCode: code, lineRate: 0 });
+
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
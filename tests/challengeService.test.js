@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Code = require('../src/models/code');
+const ChallengeService = require('../src/services/challengeService');
+const CodeService = require('../src/services/codeService');
+const { createRunner } = require('../src/services/runners');
+
+const BASE_CODE = `public class Calculator
+{
+    public int Add(int a, int b)
+    {
+        return a + b;
+    }
+
+    public bool IsPositive(int value)
+    {
+        return value > 0;
+    }
+
+    public int Double(int value)
+    {
+        return value * 2;
+    }
+}`;
+
+const REFERENCE_TESTS = `[TestClass]
+public class CalculatorTests
+{
+    [TestMethod]
+    public void Add() { Assert.AreEqual(3, new Calculator().Add(1, 2)); }
+
+    [TestMethod]
+    public void IsPositive() { Assert.IsTrue(new Calculator().IsPositive(1)); }
+
+    [TestMethod]
+    public void Double() { Assert.AreEqual(4, new Calculator().Double(2)); }
+}`;
+
+describe('_checkInput', () => {
+  const service = new ChallengeService({});
+  const valid = { title: 'Calculator', baseCode: BASE_CODE, referenceTests: REFERENCE_TESTS };
+
+  test('accepts a complete challenge', () => {
+    expect(service._checkInput(valid, true)).toBeNull();
+    expect(service._checkInput({ title: 'Files', files: [{ path: 'A.cs', content: '' }], referenceTests: 'x' }, true)).toBeNull();
+  });
+
+  test.each([
+    [{ baseCode: 'x', referenceTests: 'x' }, 'Title is required'],
+    [{ title: 'x', referenceTests: 'x' }, 'baseCode or files is required'],
+    [{ title: 'x', files: [], referenceTests: 'x' }, 'baseCode or files is required'],
+    [{ title: 'x', baseCode: 'x' }, 'referenceTests is required']
+  ])('creating %o fails with "%s"', (fields, error) => {
+    expect(service._checkInput(fields, true)).toBe(error);
+  });
+
+  test('updates only check the fields they send', () => {
+    expect(service._checkInput({ description: 'new' }, false)).toBeNull();
+  });
+
+  test.each([
+    [{ title: 42 }, 'title must be a string'],
+    [{ files: [{ content: 'x' }] }, 'files must be a list of { path, content }'],
+    [{ bugVariants: 'bug' }, 'bugVariants must be a list'],
+    [{ bugVariants: [{ id: 'a' }, { id: 'a' }] }, 'Bug variant ids must be unique'],
+    [{ time: 0 }, 'time must be a positive number'],
+    [{ estimatedMinutes: 'soon' }, 'estimatedMinutes must be a positive number'],
+    [{ tags: ['ok', 3] }, 'tags must be a list of strings']
+  ])('%o fails with "%s"', (fields, error) => {
+    expect(service._checkInput(fields, false)).toBe(error);
+  });
+
+  test('status must be known', () => {
+    expect(service._checkInput({ status: 'archived' }, false)).toMatch(/^Unknown status: archived, expected one of/);
+  });
+});
+
+describe('createChallenge', () => {
+  const service = new ChallengeService({});
+
+  beforeEach(() => {
+    jest.spyOn(Code.prototype, 'save').mockResolvedValue();
+    jest.spyOn(service, 'validateChallenge');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues the checks instead of running them', async () => {
+    const result = await service.createChallenge('507f1f77bcf86cd799439011', {
+      title: 'Calculator', baseCode: BASE_CODE, referenceTests: REFERENCE_TESTS, status: 'published'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.challenge).toMatchObject({ status: 'draft', validation: { status: 'pending', requestedStatus: 'published', attempts: 0 } });
+    expect(result.challenge.validation.runId).toMatch(/^[0-9a-f]{12}$/);
+    expect(result.warning).toBe('Validation is pending, it stays draft and is published once it passes');
+    expect(service.validateChallenge).not.toHaveBeenCalled();
+  });
+});
+
+describe('_validate', () => {
+  const service = new ChallengeService({}, { maxAttempts: 3, staleAfterMs: 120000 });
+  const claimed = (attempts = 1) => ({ _id: 'c1', validation: { runId: 'run1', requestedStatus: 'published', attempts } });
+
+  beforeEach(() => {
+    jest.spyOn(Code, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores the results of its own run and applies the requested status', async () => {
+    const passed = { status: 'passed', steps: [] };
+    jest.spyOn(service, 'validateChallenge').mockResolvedValue(passed);
+
+    await service._validate(claimed());
+
+    expect(service.validateChallenge).toHaveBeenCalledWith(expect.anything(), 'run1');
+    expect(Code.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'c1', 'validation.runId': 'run1' },
+      { $set: { validation: passed, status: 'published' } }
+    );
+  });
+
+  test('fails runs interrupted too many times without running them', async () => {
+    jest.spyOn(service, 'validateChallenge');
+
+    const validation = await service._validate(claimed(4));
+
+    expect(service.validateChallenge).not.toHaveBeenCalled();
+    expect(validation.steps).toEqual([{ name: 'pipeline', status: 'failed', message: 'Validation was interrupted too many times' }]);
+    expect(Code.updateOne.mock.calls[0][1].$set.status).toBeUndefined();
+  });
+});
+
+describe('validateChallenge', () => {
+  let tempDir;
+  let codeService;
+  let service;
+
+  const challenge = (overrides = {}) => ({
+    _id: 'c1',
+    language: 'csharp',
+    baseCode: BASE_CODE,
+    testTemplate: '',
+    referenceTests: REFERENCE_TESTS,
+    ...overrides
+  });
+  const stepStatuses = validation => validation.steps.map(s => `${s.name}:${s.status}`);
+
+  beforeAll(() => {
+    // Runs write under <cwd>/temp and schedule a 2 minute cleanup
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'challenge-service-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tempDir);
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    codeService = new CodeService(language => createRunner(language, 'fake'));
+    jest.spyOn(codeService, 'recordMutantCatalogue').mockResolvedValue({ success: true, mutants: [] });
+    service = new ChallengeService(codeService);
+  });
+
+  afterAll(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('passes and records the mutant catalogue', async () => {
+    const validation = await service.validateChallenge(challenge());
+
+    expect(validation.status).toBe('passed');
+    expect(validation.mutationScore).toBe(100);
+    expect(stepStatuses(validation)).toEqual([
+      'baseCode:passed', 'testTemplate:passed', 'referenceTests:passed', 'mutationScore:passed'
+    ]);
+    expect(codeService.recordMutantCatalogue).toHaveBeenCalledWith('c1', expect.arrayContaining([
+      expect.objectContaining({ fileName: 'BaseCode.cs', status: 'Killed' })
+    ]));
+  });
+
+  test('runs never share their folders', async () => {
+    const compile = jest.spyOn(codeService, 'compileAndRunCSharpCode');
+
+    await Promise.all([service.validateChallenge(challenge()), service.validateChallenge(challenge())]);
+
+    const folders = compile.mock.calls.map(call => call[2]);
+    expect(new Set(folders).size).toBe(folders.length);
+  });
+
+  test('base code that does not compile skips the template', async () => {
+    const validation = await service.validateChallenge(challenge({ baseCode: 'public class Calculator {' }));
+
+    expect(stepStatuses(validation)).toEqual(['baseCode:failed', 'testTemplate:skipped']);
+    expect(validation.steps[0].diagnostics).toHaveLength(1);
+  });
+
+  test('a broken test template fails its own step', async () => {
+    const validation = await service.validateChallenge(challenge({ testTemplate: '[TestMethod] public void T() {' }));
+
+    expect(stepStatuses(validation)).toEqual(['baseCode:passed', 'testTemplate:failed']);
+  });
+
+  test('reference tests must pass on the base code', async () => {
+    const referenceTests = REFERENCE_TESTS.replace('Assert.AreEqual(4, new Calculator().Double(2));', 'Assert.Fail();');
+    const validation = await service.validateChallenge(challenge({ referenceTests }));
+
+    expect(validation.status).toBe('failed');
+    expect(validation.steps.pop()).toMatchObject({
+      name: 'referenceTests',
+      message: 'Reference tests fail on the base code: Double'
+    });
+  });
+
+  test('reference tests must reach the minimum mutation score', async () => {
+    const referenceTests = `[TestMethod]
+public void Add() { Assert.AreEqual(3, new Calculator().Add(1, 2)); }`;
+    const validation = await service.validateChallenge(challenge({ referenceTests }));
+
+    expect(validation.mutationScore).toBe(33.3);
+    expect(validation.steps.pop()).toMatchObject({
+      name: 'mutationScore',
+      status: 'failed',
+      message: 'Reference tests reach 33.3% mutation score, 60% needed'
+    });
+    expect(codeService.recordMutantCatalogue).toHaveBeenCalled();
+  });
+
+  test('reference tests must catch every bug variant', async () => {
+    // The fake runner never fails a test on changed code, so no bug is caught
+    const validation = await service.validateChallenge(challenge({
+      reference: { baseCode: BASE_CODE },
+      bugVariants: [{ id: 'add-subtracts', baseCode: BASE_CODE.replace('a + b', 'a - b') }]
+    }));
+
+    expect(validation.steps.pop()).toMatchObject({
+      name: 'bugVariants',
+      status: 'failed',
+      message: 'Reference tests miss bug variants: add-subtracts'
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodeService = require('../src/services/codeService');
+const { createRunner } = require('../src/services/runners');
+
+const BASE_CODE = `public class Account
+{
+    public int Balance;
+
+    public void Deposit(int amount)
+    {
+        Balance = Balance + amount;
+    }
+
+    public bool CanWithdraw(int amount)
+    {
+        return amount <= Balance && amount > 0;
+    }
+
+    public int Fee(int amount)
+    {
+        return amount * 2;
+    }
+}`;
+
+const TESTS = `[TestClass]
+public class AccountTests
+{
+    [TestMethod]
+    public void Deposit_AddsToBalance()
+    {
+        var account = new Account();
+        account.Deposit(10);
+        Assert.AreEqual(10, account.Balance);
+    }
+
+    [TestMethod]
+    public void CanWithdraw_Runs()
+    {
+        new Account().CanWithdraw(5);
+    }
+}`;
+
+let tempRootDir;
+let service;
+let run;
+
+beforeAll(async () => {
+  // compileAndRunCSharpCode schedules a 2 minute cleanup of the run folder
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  tempRootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-service-'));
+  service = new CodeService(language => createRunner(language, 'fake'));
+  run = await service.compileAndRunCSharpCode(BASE_CODE, TESTS, 'p1', tempRootDir);
+});
+
+afterAll(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  fs.rmSync(tempRootDir, { recursive: true, force: true });
+});
+
+describe('compileAndRunCSharpCode', () => {
+  test('returns the test run and its folders', () => {
+    expect(run).toMatchObject({ success: true, allTestsPassed: true, stats: { passed: 2, failed: 0, total: 2 } });
+    expect(fs.existsSync(run.playerTestsDir)).toBe(true);
+  });
+
+  test('compile errors name the broken project', async () => {
+    const result = await service.compileAndRunCSharpCode(BASE_CODE, '[TestMethod] public void T() {', 'p2', tempRootDir);
+
+    expect(result).toMatchObject({ success: false, project: 'PlayerTests', tests: [] });
+    expect(result.diagnostics).toHaveLength(1);
+  });
+});
+
+describe('generateCoverageReport', () => {
+  test('maps runner coverage onto every source line', async () => {
+    const report = await service.generateCoverageReport(run.playerTestsDir);
+    const line = n => report.lineCoverage.find(l => l.line === n);
+
+    expect(report.success).toBe(true);
+    expect(report.lineCoverage).toHaveLength(BASE_CODE.split('\n').length);
+    expect(line(7)).toMatchObject({ file: 'BaseCode.cs', covered: true, hits: 1 });
+    expect(line(12)).toMatchObject({ covered: true, branchesTotal: 2, branchesCovered: 2, partial: false });
+    expect(line(17)).toMatchObject({ covered: false, hits: 0 });
+    expect(report.coverageSummary).toBeCloseTo(66.7);
+  });
+
+  test('lists the public methods no test reaches', async () => {
+    const report = await service.generateCoverageReport(run.playerTestsDir);
+
+    expect(report.untestedMethods.map(m => m.name)).toEqual(['Fee']);
+    expect(report.publicMethodCoverage).toBeCloseTo(66.7);
+  });
+
+  test('reports each file of a multi-file challenge', async () => {
+    const files = [
+      { path: 'Models/Account.cs', content: BASE_CODE },
+      { path: 'Bank.cs', content: 'public class Bank\n{\n    public int Open()\n    {\n        return 1 + 1;\n    }\n}' }
+    ];
+    const multiRun = await service.compileAndRunCSharpCode(files, TESTS, 'multi', tempRootDir);
+    const report = await service.generateCoverageReport(multiRun.playerTestsDir);
+
+    expect(Object.keys(report.coverageByFile).sort()).toEqual(['Bank.cs', 'Models/Account.cs']);
+    expect(report.coverageByFile['Models/Account.cs'].lineRate).toBeCloseTo(66.7);
+    expect(report.coverageByFile['Bank.cs'].lineRate).toBe(0);
+    expect(report.lineCoverage.filter(l => l.file === 'Bank.cs')).toHaveLength(7);
+  });
+
+  test('missing folder fails', async () => {
+    const report = await service.generateCoverageReport(path.join(tempRootDir, 'missing'));
+
+    expect(report.success).toBe(false);
+    expect(report.lineCoverage).toEqual([]);
+  });
+});
+
+const key = m => `${m.fileName}:${m.line}:${m.mutation}`;
+
+describe('generateMutationReport', () => {
+  test('summarises the runner mutants', async () => {
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir);
+
+    expect(report.mutants.map(m => [m.line, m.status])).toEqual([
+      [7, 'Killed'],
+      [12, 'Survived'],
+      [17, 'NoCoverage']
+    ]);
+    expect(report.mutants[0]).toMatchObject({
+      fileName: 'BaseCode.cs',
+      originalCode: ' + ',
+      replacement: ' - ',
+      location: { start: { line: 7, column: 26 }, end: { line: 7, column: 29 } },
+      killedBy: ['Deposit_AddsToBalance']
+    });
+    expect(report.summary).toEqual({ totalMutants: 3, killed: 1, survived: 1, timeout: 0, noCoverage: 1, ignored: 0, mutationScore: 33.3 });
+    expect(report.files['BaseCode.cs'].killed).toBe(1);
+    expect(report.tests.Deposit_AddsToBalance).toBe('Deposit_AddsToBalance');
+  });
+
+  test('only keeps the requested lines', async () => {
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir, 'csharp', { lines: { 'BaseCode.cs': [7, 12] } });
+
+    expect(report.mutants.map(m => m.line)).toEqual([7, 12]);
+  });
+
+  test('tests that run no code skip the runner', async () => {
+    const mutate = jest.spyOn(service.getRunner('csharp'), 'mutate');
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir, 'csharp', { lines: { 'BaseCode.cs': [] } });
+
+    expect(mutate).not.toHaveBeenCalled();
+    expect(report.summary.totalMutants).toBe(0);
+    mutate.mockRestore();
+  });
+
+  test('without a catalogue the budget applies to the mutants found', async () => {
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir, 'csharp', { maxMutants: 2 });
+
+    expect(report.mutants.map(m => m.status)).toEqual(['Killed', 'Survived', 'Ignored']);
+    expect(report.mutants[2].statusReason).toBe('Outside the mutation budget');
+    expect(report.summary).toMatchObject({ totalMutants: 2, ignored: 1, mutationScore: 50 });
+  });
+
+  test('over budget the runner only mutates the lines of the picked catalogue mutants', async () => {
+    const { mutants: catalogue } = await service.generateMutationReport(run.playerTestsDir, run.projectDir);
+    const mutate = jest.spyOn(service.getRunner('csharp'), 'mutate');
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir, 'csharp', {
+      maxMutants: 2,
+      catalogue
+    });
+
+    expect(mutate).toHaveBeenCalledWith(run.playerTestsDir, run.projectDir, expect.objectContaining({
+      lines: { 'BaseCode.cs': [7, 12] },
+      maxMutants: 2
+    }));
+    expect(report.mutants.map(key)).toEqual(expect.arrayContaining(catalogue.map(key)));
+    expect(report.mutants.find(m => m.line === 17)).toMatchObject({ status: 'Ignored', statusReason: 'Outside the mutation budget' });
+    expect(report.summary).toMatchObject({ totalMutants: 2, killed: 1, ignored: 1 });
+    mutate.mockRestore();
+  });
+
+  test('catalogue mutants on lines the run left out are NoCoverage', async () => {
+    const { mutants: catalogue } = await service.generateMutationReport(run.playerTestsDir, run.projectDir);
+    const report = await service.generateMutationReport(run.playerTestsDir, run.projectDir, 'csharp', {
+      lines: { 'BaseCode.cs': [7, 12] },
+      catalogue
+    });
+
+    expect(report.mutants.map(m => [m.line, m.status])).toEqual([
+      [7, 'Killed'],
+      [12, 'Survived'],
+      [17, 'NoCoverage']
+    ]);
+    expect(report.mutants[2].statusReason).toBe('No test runs this line');
+    expect(report.summary.mutationScore).toBe(33.3);
+  });
+});
+
+describe('runBugVariants', () => {
+  test('tests failing on the reference implementation do not catch bugs', async () => {
+    const tests = TESTS.replace('new Account().CanWithdraw(5);', 'Assert.Fail();');
+    const challenge = {
+      baseCode: BASE_CODE,
+      reference: { baseCode: BASE_CODE },
+      bugVariants: [{ id: 'deposit-subtracts', title: 'Deposit subtracts', baseCode: BASE_CODE.replace('Balance + amount', 'Balance - amount') }]
+    };
+    const result = await service.runBugVariants(challenge, tests, 'bugs', tempRootDir);
+
+    expect(result).toMatchObject({
+      success: true,
+      reference: { passed: false, failedTests: ['CanWithdraw_Runs'] },
+      bugsCaught: 0,
+      bugsTotal: 1
+    });
+    expect(result.bugs).toEqual([{ id: 'deposit-subtracts', title: 'Deposit subtracts', caught: false, caughtBy: [] }]);
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../src/models/game', () => ({ findById: jest.fn() }));
+
+const Game = require('../src/models/game');
+const GameService = require('../src/services/gameService');
+
+describe('enqueueScoring', () => {
+  const service = new GameService();
+  const game = (gameState) => ({
+    _id: 'game1',
+    roomCode: 'ROOM1',
+    gameState,
+    players: [{ playerId: 'player1', submission: { testCode: 'last tests' } }]
+  });
+
+  beforeEach(() => {
+    jest.spyOn(service.jobService, 'enqueue').mockResolvedValue({ success: true, job: { id: 'job1' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues the last submission of a playing game', async () => {
+    Game.findById.mockResolvedValue(game('playing'));
+
+    expect(await service.enqueueScoring('game1', 'player1')).toEqual({ success: true, job: { id: 'job1' } });
+    expect(service.jobService.enqueue).toHaveBeenCalledWith('game1', 'player1', 'last tests', 'ROOM1');
+  });
+
+  test('refuses games that are not playing', async () => {
+    Game.findById.mockResolvedValue(game('finished'));
+
+    expect(await service.enqueueScoring('game1', 'player1', 'tests')).toEqual({ success: false, error: 'Game is not active' });
+    expect(service.jobService.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('refuses players outside the game', async () => {
+    Game.findById.mockResolvedValue(game('playing'));
+
+    expect((await service.enqueueScoring('game1', 'intruder', 'tests')).error).toBe('Player not in this game');
+  });
+});
+
+describe('bug reports during play', () => {
+  const service = new GameService();
+  const bugReport = {
+    referencePassed: true,
+    wrongTests: ['Withdraw_Wrong'],
+    caught: 1,
+    total: 2,
+    bugs: [
+      { id: 'off-by-one', title: 'Limit off by one', caught: true, caughtBy: ['Withdraw_AtLimit'], caughtAt: 'now' },
+      { id: 'no-fee', title: 'Fee skipped', caught: false, caughtBy: [] }
+    ]
+  };
+
+  test('players see the ids and tests of the bugs they caught', () => {
+    expect(service.hideBugs(bugReport).bugs).toEqual([
+      { id: 'off-by-one', caught: true, caughtBy: ['Withdraw_AtLimit'], caughtAt: 'now' }
+    ]);
+  });
+
+  test('game results only count the bugs of every player', async () => {
+    const game = {
+      gameState: 'playing',
+      mode: 'bugHunt',
+      players: [{ playerId: { _id: 'player1', name: 'Ada' }, toObject: () => ({ totalScore: 50, bugReport, suspicion: {} }) }]
+    };
+    Game.findById.mockReturnValue({ populate: () => ({ populate: () => Promise.resolve(game) }) });
+
+    const results = await service.getGameResults('game1');
+
+    expect(results.playerData[0].bugReport).toEqual({ caught: 1, total: 2 });
+    expect(results.playerData[0]).not.toHaveProperty('suspicion');
+    expect(results).not.toHaveProperty('bugs');
+  });
+});
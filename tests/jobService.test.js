@@ -0,0 +1,229 @@
+jest.mock('../src/models/scoringJob', () => ({
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+
+const ScoringJob = require('../src/models/scoringJob');
+const JobService = require('../src/services/jobService');
+const { MAX_TEST_CODE_LENGTH } = require('../src/utils/testQuality');
+
+const OPTIONS = { concurrency: 2, pollIntervalMs: 1000, maxAttempts: 3, staleAfterMs: 120000 };
+
+const claimedJob = (overrides = {}) => ({
+  _id: 'job1',
+  gameId: 'game1',
+  playerId: 'player1',
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  startedAt: new Date(),
+  progress: [],
+  ...overrides
+});
+
+// The $set of the last updateOne call
+const lastUpdate = () => ScoringJob.updateOne.mock.calls[ScoringJob.updateOne.mock.calls.length - 1][1].$set;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  ScoringJob.updateOne.mockResolvedValue({});
+  ScoringJob.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('enqueue', () => {
+  const service = new JobService(jest.fn(), OPTIONS);
+
+  test('needs test code', async () => {
+    expect(await service.enqueue('game1', 'player1', '')).toEqual({ success: false, error: 'No test code submitted' });
+    expect(ScoringJob.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses oversized test code', async () => {
+    const result = await service.enqueue('game1', 'player1', 'x'.repeat(MAX_TEST_CODE_LENGTH + 1));
+
+    expect(result).toEqual({ success: false, error: `Test code is longer than ${MAX_TEST_CODE_LENGTH} characters` });
+    expect(ScoringJob.create).not.toHaveBeenCalled();
+  });
+
+  test('reuses a job still waiting for the player', async () => {
+    ScoringJob.findOneAndUpdate.mockResolvedValue(claimedJob({ status: 'queued', attempts: 0 }));
+
+    const result = await service.enqueue('game1', 'player1', 'new tests', 'ROOM1');
+
+    expect(ScoringJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { gameId: 'game1', playerId: 'player1', status: 'queued' },
+      { $set: { testCode: 'new tests', roomCode: 'ROOM1' } },
+      { new: true }
+    );
+    expect(ScoringJob.create).not.toHaveBeenCalled();
+    expect(result.job).toMatchObject({ id: 'job1', status: 'queued' });
+  });
+
+  test('creates a job with the configured attempts', async () => {
+    ScoringJob.findOneAndUpdate.mockResolvedValue(null);
+    ScoringJob.create.mockResolvedValue(claimedJob({ status: 'queued', attempts: 0 }));
+
+    const result = await service.enqueue('game1', 'player1', 'tests', 'ROOM1');
+
+    expect(ScoringJob.create).toHaveBeenCalledWith({
+      gameId: 'game1', playerId: 'player1', roomCode: 'ROOM1', testCode: 'tests', maxAttempts: 3
+    });
+    expect(result.success).toBe(true);
+    expect(result.job).not.toHaveProperty('testCode');
+  });
+});
+
+describe('getJob', () => {
+  test('unknown job', async () => {
+    ScoringJob.findById.mockResolvedValue(null);
+
+    expect(await new JobService(jest.fn(), OPTIONS).getJob('nope')).toEqual({ success: false, error: 'Job not found' });
+  });
+});
+
+describe('_claimNext', () => {
+  test('moves the oldest queued job to running and counts the attempt', async () => {
+    ScoringJob.findOneAndUpdate.mockResolvedValue(claimedJob());
+
+    const job = await new JobService(jest.fn(), OPTIONS)._claimNext();
+    const [filter, update, options] = ScoringJob.findOneAndUpdate.mock.calls[0];
+
+    expect(job._id).toBe('job1');
+    expect(filter).toEqual({ status: 'queued' });
+    expect(update.$set).toMatchObject({ status: 'running', progress: [] });
+    expect(update.$set.lockedAt).toBeInstanceOf(Date);
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(options).toEqual({ sort: { createdAt: 1 }, new: true });
+  });
+});
+
+describe('_execute', () => {
+  test('stores the result of a successful run', async () => {
+    const result = { success: true, score: 42 };
+    const handler = jest.fn().mockResolvedValue(result);
+
+    await new JobService(handler, OPTIONS)._execute(claimedJob());
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job1' }), expect.any(Function));
+    expect(lastUpdate()).toMatchObject({ status: 'succeeded', result, error: '' });
+  });
+
+  test('a failed run is final', async () => {
+    const handler = jest.fn().mockResolvedValue({ success: false, error: 'Build Error in PlayerTests: x', errorType: 'compile' });
+
+    await new JobService(handler, OPTIONS)._execute(claimedJob());
+
+    expect(lastUpdate()).toMatchObject({ status: 'failed', error: 'Build Error in PlayerTests: x', errorType: 'compile' });
+  });
+
+  test('a crash is retried while attempts are left', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('worker crashed'));
+
+    await new JobService(handler, OPTIONS)._execute(claimedJob({ attempts: 2 }));
+
+    expect(lastUpdate()).toEqual({ status: 'queued', error: 'worker crashed' });
+  });
+
+  test('the last attempt fails the job', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('worker crashed'));
+
+    await new JobService(handler, OPTIONS)._execute(claimedJob({ attempts: 3 }));
+
+    expect(lastUpdate()).toMatchObject({ status: 'failed', error: 'worker crashed' });
+    expect(lastUpdate().finishedAt).toBeInstanceOf(Date);
+  });
+
+  test('progress is stored before the result', async () => {
+    const handler = jest.fn(async (job, reportProgress) => {
+      reportProgress({ stage: 'build', status: 'started' });
+      reportProgress({ stage: 'build', status: 'completed' });
+      return { success: true };
+    });
+
+    await new JobService(handler, OPTIONS)._execute(claimedJob());
+
+    const pushed = ScoringJob.updateOne.mock.calls.filter(([, update]) => update.$push).map(([, update]) => update.$push.progress.status);
+    expect(pushed).toEqual(['started', 'completed']);
+    expect(lastUpdate().status).toBe('succeeded');
+  });
+});
+
+describe('_recoverStale', () => {
+  test('fails jobs out of attempts and requeues the others', async () => {
+    ScoringJob.updateMany.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 2 });
+
+    await new JobService(jest.fn(), OPTIONS)._recoverStale();
+
+    const [[exhausted, failed], [stale, requeued]] = ScoringJob.updateMany.mock.calls;
+    expect(exhausted).toMatchObject({ status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    expect(failed.$set.status).toBe('failed');
+    expect(stale.lockedAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - OPTIONS.staleAfterMs);
+    expect(requeued).toEqual({ $set: { status: 'queued' } });
+    expect(console.warn).toHaveBeenCalledWith('♻️ Requeued 2 interrupted scoring job(s)');
+  });
+});
+
+describe('watch', () => {
+  const service = new JobService(jest.fn(), OPTIONS);
+  // Each poll lists these jobs, whatever their updatedAt
+  const poll = async (...jobs) => {
+    ScoringJob.find.mockReturnValue({ select: () => ({ sort: () => Promise.resolve(jobs) }) });
+    await jest.advanceTimersByTimeAsync(OPTIONS.pollIntervalMs);
+  };
+  const event = stage => ({ stage, status: 'completed', elapsedMs: 10 });
+  let onChange;
+  let onProgress;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onChange = jest.fn();
+    onProgress = jest.fn();
+    service.watch(onChange, onProgress);
+  });
+
+  afterEach(() => {
+    service.unwatch();
+    jest.useRealTimers();
+  });
+
+  test('reports writes that committed after a newer one was read', async () => {
+    const later = new Date();
+    const earlier = new Date(later.getTime() - 5000);
+
+    await poll(claimedJob({ progress: [event('build')], updatedAt: later }));
+    // Same job, its next write was stamped before the one already read
+    await poll(claimedJob({ progress: [event('build'), event('test')], updatedAt: earlier }));
+
+    expect(onProgress.mock.calls.map(([, e]) => e.stage)).toEqual(['build', 'test']);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a finished job once, with its result', async () => {
+    const finished = claimedJob({ status: 'succeeded', finishedAt: new Date() });
+    ScoringJob.findById.mockReturnValue({ select: () => Promise.resolve({ ...finished, result: { score: 42 } }) });
+
+    await poll(finished);
+    await poll(finished);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0]).toMatchObject({ status: 'succeeded', result: { score: 42 } });
+  });
+
+  test('keeps following jobs it saw running', async () => {
+    await poll(claimedJob());
+
+    const [{ $or: [, followed] }] = ScoringJob.find.mock.calls[ScoringJob.find.mock.calls.length - 1];
+    await poll();
+    const [{ $or: [, stillFollowed] }] = ScoringJob.find.mock.calls[ScoringJob.find.mock.calls.length - 1];
+
+    expect(followed).toEqual({ _id: { $in: [] } });
+    expect(stillFollowed).toEqual({ _id: { $in: ['job1'] } });
+  });
+});
@@ -0,0 +1,73 @@
+const RoomService = require('../src/services/roomService');
+
+describe('_validateSettings', () => {
+  const service = new RoomService();
+
+  test('keeps known settings only', () => {
+    expect(service._validateSettings({ scoringProfile: 'v2', mode: 'bugHunt', timeLimit: 5 })).toEqual({
+      success: true,
+      settings: { scoringProfile: 'v2', mode: 'bugHunt' }
+    });
+  });
+
+  test('rejects unknown scoring profiles', () => {
+    expect(service._validateSettings({ scoringProfile: 'v99' })).toEqual({ success: false, error: 'Unknown scoring profile: v99' });
+  });
+
+  test.each([
+    [{ scoringProfile: '' }, 'scoringProfile must not be empty'],
+    [{ scoringProfile: null }, 'scoringProfile must not be empty'],
+    [{ mode: '' }, 'mode must not be empty'],
+    [{ challengeId: '' }, 'challengeId must not be empty, send null to pick by filters']
+  ])('%o fails with "%s"', (settings, error) => {
+    expect(service._validateSettings(settings)).toEqual({ success: false, error });
+  });
+
+  test('mode specific profiles cannot be picked', () => {
+    expect(service._validateSettings({ scoringProfile: 'bh1' }).error).toBe('Scoring profile bh1 is only used by bugHunt games');
+  });
+
+  test('rejects unknown modes', () => {
+    expect(service._validateSettings({ mode: 'speedrun' }).error).toBe('Unknown game mode: speedrun, expected one of classic, bugHunt');
+  });
+
+  test('challenge id must be an ObjectId, null clears it', () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    expect(service._validateSettings({ challengeId: id }).settings).toEqual({ challengeId: id });
+    expect(service._validateSettings({ challengeId: null }).settings).toEqual({ challengeId: null });
+    expect(service._validateSettings({ challengeId: 'abc' }).error).toBe('Invalid challenge id: abc');
+  });
+
+  describe('filters', () => {
+    test('normalises difficulty and tags to lists', () => {
+      const { settings } = service._validateSettings({
+        filters: { difficulty: 'easy, medium', tags: 'Strings,LOOPS', language: 'java', maxEstimatedMinutes: '15' }
+      });
+
+      expect(settings.filters).toEqual({
+        difficulty: ['easy', 'medium'],
+        tags: ['strings', 'loops'],
+        language: 'java',
+        maxEstimatedMinutes: 15
+      });
+    });
+
+    test('accepts lists and clears with null', () => {
+      expect(service._validateSettings({ filters: { difficulty: ['hard'], tags: ['oop'] } }).settings.filters)
+        .toEqual({ difficulty: ['hard'], tags: ['oop'] });
+      expect(service._validateSettings({ filters: null }).settings.filters).toEqual({ difficulty: [], tags: [] });
+    });
+
+    test.each([
+      [{ difficulty: 'easy,extreme' }, /^Unknown difficulty: extreme/],
+      [{ language: 'cobol' }, /^Unknown language: cobol/],
+      [{ maxEstimatedMinutes: -5 }, /^maxEstimatedMinutes must be a positive number$/]
+    ])('%o is rejected', (filters, error) => {
+      const result = service._validateSettings({ filters });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(error);
+    });
+  });
+});
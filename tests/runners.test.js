@@ -0,0 +1,307 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunner } = require('../src/services/runners');
+const BaseRunner = require('../src/services/runners/baseRunner');
+const DotnetRunner = require('../src/services/runners/dotnetRunner');
+const FakeRunner = require('../src/services/runners/fakeRunner');
+const { CompileError } = BaseRunner;
+
+const SAMPLES = {
+  csharp: {
+    baseFile: 'BaseCode.cs',
+    testFile: 'PlayerTests.cs',
+    code: `public class Calculator
+{
+    public int Add(int a, int b)
+    {
+        return a + b;
+    }
+
+    public bool IsPositive(int value)
+    {
+        return value > 0;
+    }
+}`,
+    tests: `[TestClass]
+public class CalculatorTests
+{
+    [TestMethod]
+    public void Add_Works()
+    {
+        Assert.AreEqual(3, new Calculator().Add(1, 2));
+    }
+
+    [TestMethod]
+    public void Broken()
+    {
+        Assert.Fail("nope");
+    }
+}`
+  },
+  java: {
+    baseFile: 'BaseCode.java',
+    testFile: 'PlayerTests.java',
+    code: `public class Calculator {
+    public int add(int a, int b) {
+        return a + b;
+    }
+
+    public boolean isPositive(int value) {
+        return value > 0;
+    }
+}`,
+    tests: `public class PlayerTests {
+    @Test
+    void addWorks() {
+        assertEquals(3, new Calculator().add(1, 2));
+    }
+
+    @Test
+    void broken() {
+        fail("nope");
+    }
+}`
+  },
+  javascript: {
+    baseFile: 'baseCode.js',
+    testFile: 'playerTests.test.js',
+    code: `function add(a, b) {
+  return a + b;
+}
+
+function isPositive(value) {
+  return value > 0;
+}
+
+module.exports = { add, isPositive };`,
+    tests: `const { add } = require('./baseCode');
+
+test('add works', () => {
+  expect(add(1, 2)).toBe(3);
+});
+
+test('broken', () => {
+  fail('nope');
+});`
+  }
+};
+
+let tempRootDir;
+
+beforeAll(() => {
+  tempRootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runners-'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  fs.rmSync(tempRootDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('createRunner', () => {
+  test('rejects unknown languages and runners', () => {
+    expect(() => createRunner('cobol', 'fake')).toThrow('Unsupported challenge language "cobol"');
+    expect(() => createRunner('csharp', 'docker')).toThrow('Unknown test runner "docker"');
+  });
+
+  test('fake runs every language in process', () => {
+    const runner = createRunner('java', 'fake');
+
+    expect(runner).toBeInstanceOf(FakeRunner);
+    expect(runner.layout.testFile).toBe('PlayerTests.java');
+  });
+
+  test('dotnet is an alias of the native runner', () => {
+    expect(createRunner('csharp', 'dotnet')).toBeInstanceOf(DotnetRunner);
+    expect(createRunner('csharp', 'native')).toBeInstanceOf(DotnetRunner);
+  });
+
+  test('defaults to TEST_RUNNER', () => {
+    expect(createRunner()).toBeInstanceOf(FakeRunner);
+  });
+});
+
+describe('BaseRunner', () => {
+  test('every stage must be implemented', async () => {
+    const runner = new BaseRunner('bare');
+
+    await expect(runner.prepare({})).rejects.toThrow('bare runner does not implement prepare()');
+    await expect(runner.build({})).rejects.toThrow('bare runner does not implement build()');
+    await expect(runner.test({})).rejects.toThrow('bare runner does not implement test()');
+    await expect(runner.coverage('dir')).rejects.toThrow('bare runner does not implement coverage()');
+    await expect(runner.mutate('dir', 'dir')).rejects.toThrow('bare runner does not implement mutate()');
+  });
+
+  test('rejects source paths leaving the project', () => {
+    const runner = new BaseRunner('bare');
+
+    expect(() => runner.sourceFiles([{ path: '../evil.cs', content: '' }], 'BaseCode.cs')).toThrow('Invalid source file path');
+  });
+});
+
+describe('compiler diagnostics', () => {
+  const projectDir = '/srv/temp/player_p1_1';
+
+  test('MSBuild files are relative to their project', () => {
+    const output = [
+      `${projectDir}/PlayerCode/Models/Account.cs(7,9): error CS1002: ; expected [${projectDir}/PlayerCode/PlayerCode.csproj]`,
+      `${projectDir}/PlayerTests/PlayerTests.cs(3,1): error CS0246: Type not found [${projectDir}/PlayerTests/PlayerTests.csproj]`
+    ].join('\n');
+
+    expect(createRunner('csharp', 'native')._parseDiagnostics(output, projectDir).map(d => d.file))
+      .toEqual(['Models/Account.cs', 'PlayerTests.cs']);
+  });
+
+  test('tsc and node --check files are relative to src', () => {
+    const tsc = 'src/models/account.ts(3,5): error TS2304: Cannot find name x.';
+    const check = `${projectDir}/src/models/account.js:3\nreturn x +;\n         ^\n\nSyntaxError: Unexpected token ';'`;
+
+    expect(createRunner('typescript', 'native')._parseDiagnostics(tsc, projectDir)[0].file).toBe('models/account.ts');
+    expect(createRunner('javascript', 'native')._parseDiagnostics(check, projectDir)[0]).toMatchObject({
+      file: 'models/account.js', line: 3, column: 10
+    });
+  });
+
+  test('javac files are relative to the Maven source root', () => {
+    const output = `[ERROR] ${projectDir}/src/main/java/bank/Account.java:[12,5] ';' expected`;
+
+    expect(createRunner('java', 'native')._parseDiagnostics(output, projectDir)[0].file).toBe('bank/Account.java');
+  });
+});
+
+describe('build cache eviction', () => {
+  const { config } = require('../src/config/env');
+  const saved = { ...config.buildCache };
+  let cacheDir;
+
+  // Entry of `size` bytes last used `age` ms ago
+  const entry = (name, size, age) => {
+    const dir = path.join(cacheDir, name);
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'PlayerCode.dll'), 'x'.repeat(size));
+    const usedAt = new Date(Date.now() - age);
+    fs.writeFileSync(path.join(dir, '.prebuilt'), '');
+    fs.utimesSync(path.join(dir, '.prebuilt'), usedAt, usedAt);
+    return dir;
+  };
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'));
+    Object.assign(config.buildCache, { dir: cacheDir, maxMb: 2 / 1024, lockTimeoutMs: 60000 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.buildCache, saved);
+    console.log.mockRestore();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test('removes the least recently used entries until the cache fits', () => {
+    entry('oldest', 1000, 3600000);
+    entry('older', 1000, 1800000);
+    entry('recentlyUsed', 1000, 1000);
+    const built = entry('built', 1000, 0);
+
+    createRunner('csharp', 'native')._evictPrebuilt(built);
+
+    expect(fs.readdirSync(cacheDir).sort()).toEqual(['built', 'recentlyUsed']);
+  });
+
+  test('leaves the cache alone below the limit', () => {
+    entry('old', 500, 3600000);
+    const built = entry('built', 500, 0);
+
+    createRunner('csharp', 'native')._evictPrebuilt(built);
+
+    expect(fs.readdirSync(cacheDir).sort()).toEqual(['built', 'old']);
+  });
+});
+
+describe('PIT reports', () => {
+  const mutation = (mutatedClass, sourceFile) => `<mutation detected='true' status='KILLED'>
+  <sourceFile>${sourceFile}</sourceFile><mutatedClass>${mutatedClass}</mutatedClass>
+  <lineNumber>1</lineNumber><mutator>org.pitest.MathMutator</mutator>
+  <killingTest>bank.AccountTest.[method:deposits()]</killingTest><description>Replaced addition</description>
+</mutation>`;
+
+  test('mutants of files outside the challenge are skipped, not pinned on another file', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sources = [{ file: 'bank/Account.java', source: 'return a + b;' }];
+    const xml = `<mutations>${mutation('bank.Account', 'Account.java')}${mutation('bank.Generated', 'Generated.java')}</mutations>`;
+
+    const report = createRunner('java', 'native')._toMutationReport(xml, sources);
+
+    expect(Object.keys(report.files)).toEqual(['bank/Account.java']);
+    expect(report.files['bank/Account.java'].mutants).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Skipping PIT mutant in bank/Generated.java, no challenge file matches it');
+    console.warn.mockRestore();
+  });
+});
+
+describe.each(Object.entries(SAMPLES))('FakeRunner (%s)', (language, sample) => {
+  const runner = new FakeRunner(language);
+  let workspace;
+
+  beforeAll(async () => {
+    workspace = await runner.prepare({ code: sample.code, tests: sample.tests, playerId: language, tempRootDir });
+  });
+
+  test('prepare lays out PlayerCode and PlayerTests', () => {
+    expect(path.basename(workspace.projectDir)).toMatch(new RegExp(`^player_${language}_\\d+$`));
+    expect(fs.readFileSync(path.join(workspace.playerCodeDir, sample.baseFile), 'utf8')).toBe(sample.code);
+    expect(fs.readFileSync(path.join(workspace.playerTestsDir, sample.testFile), 'utf8')).toBe(sample.tests);
+  });
+
+  test('build accepts balanced code', async () => {
+    await expect(runner.build(workspace)).resolves.toBeUndefined();
+  });
+
+  test('test reports every test, forced failures fail', async () => {
+    const run = await runner.test(workspace);
+
+    expect(run.stats).toEqual({ passed: 1, failed: 1, total: 2 });
+    expect(run.tests.map(t => t.outcome)).toEqual(['passed', 'failed']);
+    expect(run.executionTime).toBeCloseTo(0.1);
+  });
+
+  test('coverage follows the methods the tests call', async () => {
+    const coverage = await runner.coverage(workspace.playerTestsDir);
+    const [file] = coverage.files;
+
+    expect(file.file).toBe(sample.baseFile);
+    expect(coverage.lineRate).toBe(50);
+    expect(file.lines.filter(l => l.hits > 0)).toHaveLength(1);
+    expect(file.classes.flatMap(c => c.methods).map(m => m.covered)).toEqual([true, false]);
+  });
+
+  test('mutate kills asserted mutants and leaves uncalled ones uncovered', async () => {
+    const report = await runner.mutate(workspace.playerTestsDir, workspace.projectDir, {});
+    const mutants = report.files[sample.baseFile].mutants;
+
+    expect(mutants.map(m => [m.mutatorName, m.status])).toEqual([
+      ['ArithmeticOperator', 'Killed'],
+      ['EqualityOperator', 'NoCoverage']
+    ]);
+    expect(mutants[0].killedBy).toHaveLength(1);
+    expect(Object.values(report.testFiles)[0].tests).toHaveLength(2);
+  });
+});
+
+describe('FakeRunner build errors', () => {
+  const runner = new FakeRunner('csharp');
+
+  test.each([
+    ['PlayerCode', 'public class Broken {', '[TestMethod] public void T() { }'],
+    ['PlayerTests', 'public class Fine { }', '[TestMethod] public void T() { ']
+  ])('names the %s project', async (project, code, tests) => {
+    const workspace = await runner.prepare({ code, tests, playerId: project, tempRootDir });
+    const error = await runner.build(workspace).catch(e => e);
+
+    expect(error).toBeInstanceOf(CompileError);
+    expect(error.project).toBe(project);
+    expect(error.message).toMatch(`Build Error in ${project}:`);
+    expect(error.diagnostics[0]).toMatchObject({ line: 1, severity: 'error' });
+  });
+});
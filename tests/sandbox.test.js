@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Sandbox = require('../src/services/sandbox');
+
+let leaseDir;
+const sandbox = (overrides = {}) => new Sandbox({
+  driver: 'process',
+  uidBase: 20000,
+  uidPoolSize: 2,
+  uidLeaseDir: leaseDir,
+  uidLeaseMs: 3600000,
+  ...overrides
+});
+
+beforeEach(() => {
+  leaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-uids-'));
+});
+
+afterEach(() => {
+  fs.rmSync(leaseDir, { recursive: true, force: true });
+});
+
+describe('uid leases', () => {
+  test('live workspaces never share a uid, even across processes', () => {
+    const first = sandbox();
+    const second = sandbox(); // another worker on the same host
+
+    const uids = [first._lease('/work/a'), second._lease('/work/b')];
+
+    expect(new Set(uids).size).toBe(2);
+    expect(first._uidFor('/work/a')).toBe(uids[0]);
+    expect(() => first._lease('/work/c')).toThrow('All 2 sandbox uids are in use');
+  });
+
+  test('released uids go back to the pool', () => {
+    const box = sandbox();
+    const uid = box._lease('/work/a');
+    box._lease('/work/b');
+
+    box.release('/work/a');
+
+    expect(box._lease('/work/c')).toBe(uid);
+    expect(() => box._uidFor('/work/a')).toThrow('it was not adopted by this process');
+  });
+
+  test('leases of a crashed process are taken over once stale', () => {
+    const crashed = sandbox();
+    crashed._lease('/work/a');
+    crashed._lease('/work/b');
+    const old = new Date(Date.now() - 2 * 3600000);
+    for (const file of fs.readdirSync(leaseDir)) {
+      fs.utimesSync(path.join(leaseDir, file), old, old);
+    }
+
+    expect(sandbox()._lease('/work/c')).toBeGreaterThanOrEqual(20000);
+  });
+
+  test('commands run as the leased uid', () => {
+    const box = sandbox();
+    const uid = box._lease('/work/a');
+
+    expect(box._wrap('dotnet test', { cwd: '/work/a', workspace: '/work/a', network: false, runId: 'r1' }))
+      .toContain(`--reuid=${uid}`);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  LEGACY_PROFILE,
+  BUG_HUNT_PROFILE,
+  getScoringProfile,
+  listScoringProfiles,
+  calculateScore
+} = require('../src/utils/scoringProfiles');
+
+const points = (score, metric) => score.breakdown.find(entry => entry.metric === metric).points;
+
+describe('calculateScore', () => {
+  test('v1 keeps the original formula', () => {
+    const score = calculateScore({ mutation: 80, branch: 50, coverage: 90, testLines: 40, executionTime: 5 }, 'v1');
+
+    expect(score.version).toBe('v1');
+    expect(score.total).toBeCloseTo(80 * 0.4 + 50 * 0.2 + 90 * 0.2 + 40 * 0.1 - 5 * 0.1);
+  });
+
+  test('missing version scores with the legacy profile', () => {
+    expect(calculateScore({ mutation: 100 }).version).toBe(LEGACY_PROFILE);
+  });
+
+  test('caps and normalises capped components', () => {
+    const score = calculateScore({ testLines: 200, executionTime: 300 }, 'v2');
+
+    expect(points(score, 'testLines')).toBeCloseTo(100 * 0.15);
+    expect(points(score, 'executionTime')).toBeCloseTo(100 * 0.1);
+    expect(score.breakdown.find(entry => entry.metric === 'executionTime').penalty).toBe(true);
+  });
+
+  test('v3 rewards test quality instead of test lines', () => {
+    const lines = calculateScore({ testLines: 500, testQuality: 0 }, 'v3');
+    const quality = calculateScore({ testLines: 0, testQuality: 80 }, 'v3');
+
+    expect(lines.total).toBe(0);
+    expect(quality.total).toBeCloseTo(8);
+  });
+
+  test('v4 takes one point per smell, at most 10', () => {
+    const few = calculateScore({ mutation: 100, testSmells: 3 }, 'v4');
+    const many = calculateScore({ mutation: 100, testSmells: 25 }, 'v4');
+
+    expect(few.total).toBeCloseTo(40 - 3);
+    expect(many.total).toBeCloseTo(40 - 10);
+  });
+
+  test('bug hunt scores caught bugs minus wrong tests', () => {
+    const score = calculateScore({ bugsCaught: 75, wrongTests: 10, mutation: 100 }, BUG_HUNT_PROFILE);
+
+    expect(score.total).toBeCloseTo(75 - 20);
+    expect(score.breakdown.map(entry => entry.metric)).toEqual(['bugsCaught', 'wrongTests']);
+  });
+
+  test('negative metrics count as zero', () => {
+    expect(calculateScore({ mutation: -50, executionTime: -3 }, 'v1').total).toBe(0);
+  });
+
+  test('unknown version throws', () => {
+    expect(() => calculateScore({}, 'v99')).toThrow('Unknown scoring profile: v99');
+  });
+});
+
+describe('scoring profiles', () => {
+  test('lists every profile with the mode it scores', () => {
+    const profiles = listScoringProfiles();
+
+    expect(profiles.map(p => p.version)).toEqual(['v1', 'v2', 'v3', 'v4', 'bh1']);
+    expect(profiles.find(p => p.version === 'v3').mode).toBe('classic');
+    expect(profiles.find(p => p.version === BUG_HUNT_PROFILE).mode).toBe('bugHunt');
+  });
+
+  test('unknown version is null', () => {
+    expect(getScoringProfile('nope')).toBeNull();
+    expect(getScoringProfile().version).toBe(LEGACY_PROFILE);
+  });
+});
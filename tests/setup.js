@@ -0,0 +1,5 @@
+// Runs before every test file: no SDK, no sandbox, nothing written under the repo's temp folder
+process.env.TEST_RUNNER = 'fake';
+process.env.SANDBOX_DRIVER = 'none';
+process.env.MUTATION_CACHE = 'false';
+process.env.BUILD_CACHE = 'false';
@@ -0,0 +1,90 @@
+const { analyzeTests, MAX_TEST_CODE_LENGTH } = require('../src/utils/testQuality');
+const { detectTestSmells } = require('../src/utils/testSmells');
+
+const CSHARP_TESTS = `
+[TestClass]
+public class AccountTests
+{
+    [TestMethod]
+    public void Deposit_AddsToBalance()
+    {
+        var account = new Account();
+        account.Deposit(10);
+        Assert.AreEqual(10, account.Balance);
+        Assert.IsTrue(account.Balance > 0);
+    }
+
+    [TestMethod]
+    public void Withdraw_Runs()
+    {
+        var account = new Account();
+        account.Withdraw(5);
+    }
+
+    // [TestMethod] public void Commented() { Assert.Fail(); }
+}`;
+
+describe('analyzeTests', () => {
+  test('counts tests, assertions and tests without assertions', () => {
+    const result = analyzeTests(CSHARP_TESTS, 'csharp');
+
+    expect(result.testCount).toBe(2);
+    expect(result.assertionCount).toBe(2);
+    expect(result.assertionTypes).toEqual(['Assert.AreEqual', 'Assert.IsTrue']);
+    expect(result.testsWithoutAssertions).toEqual(['Withdraw_Runs']);
+    expect(result.score).toBeGreaterThan(0);
+    expect(result.score).toBeLessThan(100);
+  });
+
+  test('duplicated tests do not count', () => {
+    const tests = `
+@Test
+void first() { assertEquals(2, calc.add(1, 1)); }
+
+@Test
+void second() { assertEquals(2, calc.add(1, 1)); }`;
+    const result = analyzeTests(tests, 'java');
+
+    expect(result.testCount).toBe(2);
+    expect(result.uniqueTestCount).toBe(1);
+    expect(result.duplicateTests).toEqual([{ name: 'second', duplicateOf: 'first' }]);
+  });
+
+  test('extracts skipped and focused jest tests', () => {
+    const tests = `
+test('adds', () => { expect(add(1, 2)).toBe(3); });
+it.skip('subtracts', () => { expect(sub(3, 1)).toBe(2); });
+xit('multiplies', () => { expect(mul(2, 2)).toBe(4); });
+test.only('divides', async () => { expect(div(4, 2)).toBe(2); });`;
+
+    expect(analyzeTests(tests, 'javascript').tests.map(t => t.name)).toEqual(['adds', 'subtracts', 'multiplies', 'divides']);
+  });
+
+  test('empty code scores 0', () => {
+    expect(analyzeTests('', 'csharp')).toMatchObject({ testCount: 0, assertionCount: 0, score: 0 });
+  });
+});
+
+describe('large inputs', () => {
+  // Unclosed markers used to make every pattern rescan the rest of the file
+  const repeat = chunk => chunk.repeat(Math.floor(MAX_TEST_CODE_LENGTH / chunk.length));
+
+  test.each([
+    ['csharp', '[TestMethod] '],
+    ['csharp', '[TestMethod] void a('],
+    ['csharp', 'Assert.AreEqual<'],
+    ['java', '@Test void a('],
+    ['java', 'assertThat(('],
+    ['javascript', "test('a', "],
+    ['javascript', 'expect(('],
+    ['javascript', 'catch ('],
+  ])('%s %j repeated stays linear', (language, chunk) => {
+    const code = repeat(chunk);
+    const started = Date.now();
+
+    analyzeTests(code, language);
+    detectTestSmells(code, language);
+
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
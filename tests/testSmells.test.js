@@ -0,0 +1,49 @@
+const { detectTestSmells } = require('../src/utils/testSmells');
+
+describe('detectTestSmells', () => {
+  test('finds smells and names their test', () => {
+    const tests = `
+[TestMethod]
+public void Sleeps()
+{
+    Thread.Sleep(100);
+    Assert.IsTrue(true);
+}
+
+[TestMethod]
+public void Swallows()
+{
+    try { account.Withdraw(500); } catch (Exception) { }
+}`;
+    const { smells, counts, penaltySmells } = detectTestSmells(tests, 'csharp');
+    const found = smells.map(s => `${s.smell}:${s.test}`);
+
+    expect(found).toEqual(expect.arrayContaining([
+      'sleep:Sleeps',
+      'trivialAssertion:Sleeps',
+      'emptyCatch:Swallows',
+      'noAssertions:Swallows'
+    ]));
+    expect(counts.sleep).toBe(1);
+    expect(penaltySmells).toBe(smells.filter(s => s.severity === 'warning').length);
+  });
+
+  test('attributes a skipped jest test to itself', () => {
+    const tests = `
+it.skip('skipped', () => { expect(true).toBe(true); });
+test('next', () => { expect(add(1, 2)).toBe(3); });`;
+    const { smells } = detectTestSmells(tests, 'javascript');
+
+    expect(smells.filter(s => s.smell === 'ignoredTest').map(s => s.test)).toEqual(['skipped']);
+    expect(smells.filter(s => s.smell === 'trivialAssertion').map(s => s.test)).toEqual(['skipped']);
+  });
+
+  test('magic numbers are informational', () => {
+    const { smells, penaltySmells } = detectTestSmells(`
+@Test
+void adds() { assertEquals(42, calc.add(40, 2)); }`, 'java');
+
+    expect(smells).toEqual([expect.objectContaining({ smell: 'magicNumber', severity: 'info', test: 'adds' })]);
+    expect(penaltySmells).toBe(0);
+  });
+});
@@ -0,0 +1,59 @@
+const { config, validateConfig } = require('./src/config/env');
+const connectDB = require('./src/config/db');
+const GameService = require('./src/services/gameService');
+const ChallengeService = require('./src/services/challengeService');
+
+/**
+ * Scoring worker: claims jobs from the ScoringJob collection and runs
+ * compile → tests → coverage → mutation for them, and validates saved challenges. Runs no HTTP or Socket.IO
+ * server, so any number of workers can be started next to the API.
+ */
+
+// Validate configuration
+try {
+  validateConfig();
+} catch (error) {
+  console.error('Configuration validation failed:', error.message);
+  process.exit(1);
+}
+
+// Connect to MongoDB
+connectDB();
+
+const scoringJobs = new GameService().jobService;
+scoringJobs.start();
+const challengeValidations = new ChallengeService();
+challengeValidations.startValidations();
+
+console.log(`🛠️ Scoring worker ${process.pid} started`);
+console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+// Graceful shutdown: stop claiming, let running jobs finish
+const gracefulShutdown = async (signal) => {
+  console.log(`\n${signal} received. Waiting for running scoring jobs...`);
+
+  const [drained, validated] = await Promise.all([
+    scoringJobs.stop(config.jobs.shutdownTimeoutMs),
+    challengeValidations.stopValidations(config.jobs.shutdownTimeoutMs)
+  ]);
+  if (!drained || !validated) {
+    console.error('❌ Jobs still running, they will be requeued by another worker');
+    process.exit(1);
+  }
+
+  console.log('✅ Worker stopped successfully');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+process.on('uncaughtException', (err) => {
+  console.error('Uncaught Exception:', err);
+  gracefulShutdown('UNCAUGHT_EXCEPTION');
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  gracefulShutdown('UNHANDLED_REJECTION');
+});